@@ -0,0 +1,72 @@
+/**
+ * Normalized Order Model
+ * Every commerce source is converted to this shape before it reaches the
+ * claim pipeline. Field names follow Shopify's order payload, which the
+ * eligibility rules, storeOrder and stored order_metadata already use.
+ *
+ * @typedef {Object} NormalizedOrder
+ * @property {string} id - Internal order key: the Shopify order ID, or "<source>:<id>" for other sources
+ * @property {string} source - 'shopify', 'stripe' or 'woocommerce'
+ * @property {string} external_id - Order ID in the source system
+ * @property {string} order_number - Customer-facing order number
+ * @property {Object} customer - { email, first_name, last_name }
+ * @property {Array<NormalizedLineItem>} line_items
+ * @property {number} total_price
+ * @property {string} currency
+ * @property {Array} discount_codes - [{ code }]
+ * @property {string} created_at - ISO date
+ * @property {string|null} financial_status
+ * @property {string|null} cancelled_at
+ * @property {Object|null} shipping_address
+ * @property {Object|null} billing_address
+ *
+ * @typedef {Object} NormalizedLineItem
+ * @property {string} id - Line item ID, unique within the order
+ * @property {string|null} product_id
+ * @property {string} name
+ * @property {string|null} sku
+ * @property {number} quantity
+ * @property {number} price - Unit price
+ * @property {string|null} product_type
+ * @property {string|null} vendor
+ * @property {Array<string>} tags
+ */
+
+const SOURCES = ['shopify', 'stripe', 'woocommerce'];
+
+/**
+ * Shopify orders keep their plain ID so existing rows and claims still match
+ */
+function orderKey(source, externalId) {
+  return source === 'shopify' ? String(externalId) : `${source}:${externalId}`;
+}
+
+/**
+ * @throws {Error} With statusCode 400 when the order can't be processed
+ */
+function assertValidOrder(order) {
+  const problems = [];
+  if (!order?.id) problems.push('id');
+  if (!SOURCES.includes(order?.source)) problems.push('source');
+  if (!order?.customer?.email) problems.push('customer email');
+  if (!Array.isArray(order?.line_items)) problems.push('line items');
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid order data (missing ${problems.join(', ')})`);
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+/**
+ * Split a single "full name" field into first and last name
+ */
+function splitName(fullName) {
+  const parts = (fullName || '').trim().split(/\s+/).filter(Boolean);
+  return {
+    first_name: parts[0] || null,
+    last_name: parts.slice(1).join(' ') || null
+  };
+}
+
+module.exports = { SOURCES, orderKey, assertValidOrder, splitName };
@@ -0,0 +1,52 @@
+const { orderKey } = require('./orderModel');
+
+/**
+ * Shopify source adapter
+ * Signatures are checked by ShopifyWebhookVerifier; topics other than
+ * orders/paid are handled by ShopifyWebhookHandler.
+ */
+class ShopifyAdapter {
+  constructor() {
+    this.source = 'shopify';
+  }
+
+  /**
+   * @param {Object} order - Shopify order payload
+   * @returns {NormalizedOrder}
+   */
+  normalize(order) {
+    return {
+      id: orderKey(this.source, order.id),
+      source: this.source,
+      external_id: String(order.id),
+      order_number: String(order.order_number ?? order.id),
+      customer: {
+        email: order.customer?.email || order.email || null,
+        first_name: order.customer?.first_name || null,
+        last_name: order.customer?.last_name || null
+      },
+      line_items: (order.line_items || []).map(item => ({
+        id: String(item.id),
+        product_id: item.product_id ? String(item.product_id) : null,
+        name: item.name || item.title,
+        sku: item.sku || null,
+        quantity: item.quantity || 1,
+        price: parseFloat(item.price) || 0,
+        product_type: item.product_type || null,
+        vendor: item.vendor || null,
+        tags: item.tags || []
+      })),
+      total_price: parseFloat(order.total_price) || 0,
+      currency: order.currency,
+      discount_codes: order.discount_codes || [],
+      created_at: order.created_at || null,
+      processed_at: order.processed_at || null,
+      financial_status: order.financial_status || null,
+      cancelled_at: order.cancelled_at || null,
+      shipping_address: order.shipping_address || null,
+      billing_address: order.billing_address || null
+    };
+  }
+}
+
+module.exports = ShopifyAdapter;
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { orderKey, splitName } = require('./orderModel');
+
+// Currencies Stripe amounts are not expressed in cents for
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+/**
+ * Stripe Checkout source adapter
+ * Stripe signs "<timestamp>.<raw body>" (HMAC-SHA256, hex) and sends
+ * t=<timestamp>,v1=<signature> in the Stripe-Signature header.
+ * Checkout events don't include line items, so they are fetched from the
+ * Stripe API with the product expanded. SKU, product type, vendor and tags
+ * are read from the Stripe product's metadata.
+ */
+class StripeAdapter {
+  constructor() {
+    this.source = 'stripe';
+
+    // STRIPE_WEBHOOK_SECRET accepts a comma-separated list for rotation
+    this.secrets = (process.env.STRIPE_WEBHOOK_SECRET || '')
+      .split(',')
+      .map(secret => secret.trim())
+      .filter(Boolean);
+    this.secretKey = process.env.STRIPE_SECRET_KEY;
+    this.apiUrl = process.env.STRIPE_API_URL || 'https://api.stripe.com';
+
+    // Reject signatures older than this to limit replayed requests
+    this.toleranceSeconds = 300;
+    this.paidEvents = ['checkout.session.completed', 'checkout.session.async_payment_succeeded'];
+  }
+
+  isConfigured() {
+    return this.secrets.length > 0;
+  }
+
+  computeSignature(rawBody, timestamp, secret) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check a webhook body against the Stripe-Signature header
+   * @param {Buffer|string} rawBody - Exact bytes received from Stripe
+   * @param {string} signatureHeader - e.g. "t=1700000000,v1=abc...,v1=def..."
+   * @returns {boolean} True if a v1 signature matches a configured secret
+   */
+  verify(rawBody, signatureHeader, now = Date.now()) {
+    if (!rawBody || !signatureHeader || typeof signatureHeader !== 'string') {
+      return false;
+    }
+
+    const parts = signatureHeader.split(',').map(part => part.trim().split('='));
+    const timestamp = parts.find(([key]) => key === 't')?.[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => Buffer.from(value || '', 'hex'));
+
+    if (!timestamp || signatures.length === 0) return false;
+    if (Math.abs(now / 1000 - parseInt(timestamp, 10)) > this.toleranceSeconds) return false;
+
+    return this.secrets.some(secret => {
+      const expected = Buffer.from(this.computeSignature(rawBody, timestamp, secret), 'hex');
+      return signatures.some(received =>
+        received.length === expected.length && crypto.timingSafeEqual(expected, received));
+    });
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      if (!this.isConfigured()) {
+        console.error('🚨 Stripe webhook rejected - STRIPE_WEBHOOK_SECRET is not configured');
+        return res.status(500).json({ error: 'Webhook verification not configured' });
+      }
+
+      if (!this.verify(req.rawBody, req.get('stripe-signature'))) {
+        console.warn('🚨 Invalid Stripe webhook signature from:', req.ip);
+        return res.status(401).json({ error: 'Invalid webhook signature' });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Pull the delivery identity out of a Stripe event request
+   */
+  getDelivery(req) {
+    const event = req.body || {};
+    return {
+      webhookId: event.id ? `stripe:${event.id}` : null,
+      topic: event.type,
+      payload: event.data?.object,
+      rawBody: req.rawBody
+    };
+  }
+
+  /**
+   * Sessions paid by delayed methods complete unpaid and are followed by
+   * checkout.session.async_payment_succeeded
+   */
+  isPaidEvent(topic, session) {
+    return this.paidEvents.includes(topic) && session?.payment_status === 'paid';
+  }
+
+  getOrderId(session) {
+    return session?.id ? orderKey(this.source, session.id) : null;
+  }
+
+  /**
+   * @param {Object} session - Stripe Checkout Session
+   * @returns {NormalizedOrder}
+   */
+  async normalize(session) {
+    const lineItems = await this.fetchLineItems(session.id);
+    const currency = (session.currency || '').toLowerCase();
+    const name = splitName(session.customer_details?.name);
+
+    return {
+      id: orderKey(this.source, session.id),
+      source: this.source,
+      external_id: session.id,
+      order_number: session.metadata?.order_number || session.id.slice(-8).toUpperCase(),
+      customer: {
+        email: session.customer_details?.email || session.customer_email || null,
+        ...name
+      },
+      line_items: lineItems.map(item => {
+        const product = typeof item.price?.product === 'object' ? item.price.product : null;
+        const metadata = { ...(product?.metadata || {}), ...(item.price?.metadata || {}) };
+
+        return {
+          id: item.id,
+          product_id: product?.id || item.price?.product || null,
+          name: product?.name || item.description,
+          sku: metadata.sku || null,
+          quantity: item.quantity || 1,
+          price: this.fromMinorUnits(item.price?.unit_amount ?? item.amount_total, currency),
+          product_type: metadata.product_type || null,
+          vendor: metadata.vendor || null,
+          tags: metadata.tags ? metadata.tags.split(',').map(tag => tag.trim()) : []
+        };
+      }),
+      total_price: this.fromMinorUnits(session.amount_total, currency),
+      currency: currency.toUpperCase(),
+      discount_codes: [],
+      created_at: new Date(session.created * 1000).toISOString(),
+      financial_status: 'paid',
+      cancelled_at: null,
+      shipping_address: session.shipping_details?.address || null,
+      billing_address: session.customer_details?.address || null
+    };
+  }
+
+  async fetchLineItems(sessionId) {
+    if (!this.secretKey) {
+      throw new Error('STRIPE_SECRET_KEY is not configured - cannot load Checkout line items');
+    }
+
+    const items = [];
+    let startingAfter = null;
+
+    do {
+      const response = await axios.get(`${this.apiUrl}/v1/checkout/sessions/${sessionId}/line_items`, {
+        params: {
+          limit: 100,
+          'expand[]': 'data.price.product',
+          ...(startingAfter && { starting_after: startingAfter })
+        },
+        headers: { Authorization: `Bearer ${this.secretKey}` },
+        timeout: 30000
+      });
+
+      items.push(...response.data.data);
+      startingAfter = response.data.has_more ? items[items.length - 1].id : null;
+    } while (startingAfter);
+
+    return items;
+  }
+
+  fromMinorUnits(amount, currency) {
+    if (amount === undefined || amount === null) return 0;
+    return ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount : amount / 100;
+  }
+}
+
+module.exports = StripeAdapter;
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { orderKey } = require('./orderModel');
+
+/**
+ * WooCommerce source adapter
+ * WooCommerce signs the raw request body with the webhook secret
+ * (HMAC-SHA256, base64) and sends it in the X-WC-Webhook-Signature header.
+ * Configure the store's webhook with the order.paid topic.
+ */
+class WooCommerceAdapter {
+  constructor() {
+    this.source = 'woocommerce';
+
+    // WOOCOMMERCE_WEBHOOK_SECRET accepts a comma-separated list for rotation
+    this.secrets = (process.env.WOOCOMMERCE_WEBHOOK_SECRET || '')
+      .split(',')
+      .map(secret => secret.trim())
+      .filter(Boolean);
+    this.paidStatuses = ['processing', 'completed'];
+  }
+
+  isConfigured() {
+    return this.secrets.length > 0;
+  }
+
+  computeSignature(rawBody, secret) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest('base64');
+  }
+
+  verify(rawBody, signatureHeader) {
+    if (!rawBody || !signatureHeader || typeof signatureHeader !== 'string') {
+      return false;
+    }
+
+    const received = Buffer.from(signatureHeader, 'base64');
+
+    return this.secrets.some(secret => {
+      const expected = Buffer.from(this.computeSignature(rawBody, secret), 'base64');
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    });
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      // WooCommerce pings a new webhook with a form-encoded webhook_id
+      // and no topic before activating it
+      if (!req.get('x-wc-webhook-topic')) {
+        return res.status(200).json({ received: true, ping: true });
+      }
+
+      if (!this.isConfigured()) {
+        console.error('🚨 WooCommerce webhook rejected - WOOCOMMERCE_WEBHOOK_SECRET is not configured');
+        return res.status(500).json({ error: 'Webhook verification not configured' });
+      }
+
+      if (!this.verify(req.rawBody, req.get('x-wc-webhook-signature'))) {
+        console.warn('🚨 Invalid WooCommerce webhook signature from:', req.ip);
+        return res.status(401).json({ error: 'Invalid webhook signature' });
+      }
+
+      next();
+    };
+  }
+
+  getDelivery(req) {
+    const deliveryId = req.get('x-wc-webhook-delivery-id');
+    return {
+      webhookId: deliveryId ? `woocommerce:${deliveryId}` : null,
+      topic: req.get('x-wc-webhook-topic'),
+      payload: req.body,
+      rawBody: req.rawBody
+    };
+  }
+
+  isPaidEvent(topic, order) {
+    return topic === 'order.paid' && this.paidStatuses.includes(order?.status);
+  }
+
+  getOrderId(order) {
+    return order?.id ? orderKey(this.source, order.id) : null;
+  }
+
+  /**
+   * @param {Object} order - WooCommerce REST API order
+   * @returns {NormalizedOrder}
+   */
+  normalize(order) {
+    const createdAt = order.date_created_gmt ? `${order.date_created_gmt}Z` : order.date_created;
+
+    return {
+      id: orderKey(this.source, order.id),
+      source: this.source,
+      external_id: String(order.id),
+      order_number: String(order.number || order.id),
+      customer: {
+        email: order.billing?.email || null,
+        first_name: order.billing?.first_name || null,
+        last_name: order.billing?.last_name || null
+      },
+      line_items: (order.line_items || []).map(item => ({
+        id: String(item.id),
+        product_id: item.product_id ? String(item.product_id) : null,
+        name: item.name,
+        sku: item.sku || null,
+        quantity: item.quantity || 1,
+        price: parseFloat(item.price) || 0,
+        product_type: null,
+        vendor: null,
+        tags: []
+      })),
+      total_price: parseFloat(order.total) || 0,
+      currency: order.currency,
+      discount_codes: (order.coupon_lines || []).map(coupon => ({ code: coupon.code })),
+      created_at: createdAt ? new Date(createdAt).toISOString() : null,
+      financial_status: 'paid',
+      cancelled_at: null,
+      shipping_address: order.shipping || null,
+      billing_address: order.billing || null
+    };
+  }
+}
+
+module.exports = WooCommerceAdapter;
@@ -0,0 +1,251 @@
+const { v4: uuidv4 } = require('uuid');
+const ShopifyAdapter = require('./adapters/shopifyAdapter');
+const { assertValidOrder } = require('./adapters/orderModel');
+
+// Steps of the paid-order pipeline, in order. A failed delivery records the
+// step it failed at so an admin replay can resume from there.
+const PIPELINE_STAGES = ['store_order', 'create_claim', 'send_email'];
+
+/**
+ * Claim Pipeline
+ * Shared by every commerce source: evaluates eligibility, stores the order,
+ * creates one claim per eligible unit and emails the claim links. Orders
+ * arrive as NormalizedOrder (see adapters/orderModel.js).
+ *
+ * onClaimsCreated(claims), when given, is handed each batch of new claims
+ * (vault pre-minting) as part of the create_claim stage, so a failure
+ * dead-letters the delivery. Claims an earlier attempt created without
+ * handing off are handed off again on replay.
+ */
+class ClaimPipeline {
+  constructor({ db, emailService, eligibilityService, onClaimsCreated = null }) {
+    this.db = db;
+    this.emailService = emailService;
+    this.eligibilityService = eligibilityService;
+    this.onClaimsCreated = onClaimsCreated;
+    this.shopifyAdapter = new ShopifyAdapter();
+  }
+
+  /**
+   * Store a paid order and send a claim link if it is NFT eligible.
+   * If a step fails the delivery is dead-lettered with its raw payload and
+   * normalized order so it can be replayed from the admin API instead of
+   * being lost.
+   * @param {NormalizedOrder} order
+   * @param {Object} [delivery] - Webhook ID, topic and raw body of the source event
+   * @returns {Object} Pipeline result
+   */
+  async handlePaidOrder(order, delivery = {}) {
+    assertValidOrder(order);
+    const topic = delivery.topic || 'orders/paid';
+
+    try {
+      const result = await this.processPaidOrder(order);
+      return { received: true, topic, ...result };
+    } catch (error) {
+      if (!error.stage) throw error;
+
+      console.error(`⚠️ Order ${order.id} failed at ${error.stage}:`, error.message);
+
+      const failure = await this.db.recordWebhookFailure({
+        webhook_id: delivery.webhookId || null,
+        topic,
+        source: order.source,
+        shopify_order_id: order.id,
+        raw_payload: delivery.rawBody ? delivery.rawBody.toString('utf8') : JSON.stringify(order),
+        normalized_order: order,
+        failure_stage: error.stage,
+        error_message: error.message,
+        context: error.context
+      });
+      console.log('📥 Delivery dead-lettered:', failure.id);
+
+      return {
+        received: true,
+        topic,
+        source: order.source,
+        orderId: order.id,
+        deadLettered: true,
+        failureId: failure.id,
+        failureStage: error.stage
+      };
+    }
+  }
+
+  /**
+   * Run the paid-order pipeline: store order, create claim, send claim email
+   * @param {NormalizedOrder} order
+   * @param {Object} [options]
+   * @param {string} [options.fromStage] - Pipeline stage to resume from
+   * @param {Object} [options.context] - State saved by the failed attempt
+   * @returns {Object} Pipeline result
+   * @throws {Error} With `stage` and `context` set when a stage fails
+   */
+  async processPaidOrder(order, { fromStage = 'store_order', context = {} } = {}) {
+    const startIndex = PIPELINE_STAGES.indexOf(fromStage);
+    if (startIndex === -1) {
+      throw new Error(`Unknown pipeline stage: ${fromStage}`);
+    }
+    const shouldRun = stage => PIPELINE_STAGES.indexOf(stage) >= startIndex;
+    const state = { ...context };
+
+    const runStage = async (stage, step) => {
+      try {
+        await step();
+      } catch (error) {
+        error.stage = stage;
+        error.context = state;
+        throw error;
+      }
+    };
+
+    if (shouldRun('store_order')) {
+      await runStage('store_order', async () => {
+        const eligibility = await this.eligibilityService.evaluateOrder(order);
+        state.eligibleLineItemIds = eligibility.eligibleLineItems.map(item => item.id.toString());
+
+        state.storedOrder = await this.db.storeOrder(order, eligibility);
+        console.log('✅ Order stored:', state.storedOrder.shopify_order_id);
+      });
+    }
+
+    const { storedOrder } = state;
+    const createdClaims = [];
+
+    // One claim per eligible line item unit. Units that already have a claim
+    // (from an earlier delivery or a partial failure) are skipped.
+    if (storedOrder.is_nft_eligible && shouldRun('create_claim')) {
+      await runStage('create_claim', async () => {
+        const existingClaims = await this.db.getClaimsForOrder(storedOrder.shopify_order_id);
+
+        // Claims created before per-unit claims existed cover the whole order
+        if (existingClaims.some(claim => !claim.line_item_id)) {
+          console.log('♻️ Order-level claim already exists for order:', storedOrder.shopify_order_id);
+          return;
+        }
+
+        const existingUnits = new Set(existingClaims.map(claim => `${claim.line_item_id}:${claim.unit_index}`));
+        state.newClaims = state.newClaims || [];
+
+        if (!state.eligibleLineItemIds) {
+          const eligibility = await this.eligibilityService.evaluateOrder(order);
+          state.eligibleLineItemIds = eligibility.eligibleLineItems.map(item => item.id.toString());
+        }
+        const eligibleItems = order.line_items.filter(item => state.eligibleLineItemIds.includes(item.id.toString()));
+
+        for (const item of eligibleItems) {
+          const unitCount = item.quantity || 1;
+
+          for (let unitIndex = 1; unitIndex <= unitCount; unitIndex++) {
+            if (existingUnits.has(`${item.id}:${unitIndex}`)) continue;
+
+            const claim = await this.db.createClaim(
+              storedOrder.shopify_order_id,
+              storedOrder.customer_email,
+              uuidv4(),
+              {
+                lineItemId: item.id.toString(),
+                unitIndex,
+                unitCount,
+                productName: item.name || 'Unknown Product',
+                productSku: item.sku || 'NO-SKU'
+              }
+            );
+            console.log(`🎫 Claim created: ${claim.claim_token} (${claim.product_sku} ${unitIndex}/${unitCount})`);
+
+            state.newClaims.push({
+              claim_token: claim.claim_token,
+              product_name: claim.product_name,
+              product_sku: claim.product_sku,
+              unit_index: claim.unit_index,
+              unit_count: claim.unit_count
+            });
+            createdClaims.push(claim);
+          }
+        }
+
+        if (this.onClaimsCreated) {
+          const notHandedOff = existingClaims.filter(claim => claim.claim_status === 'pending' && !claim.vault_status);
+          const handOff = [...notHandedOff, ...createdClaims];
+          if (handOff.length > 0) await this.onClaimsCreated(handOff);
+        }
+      });
+    }
+
+    // Send one email to the customer with a claim link per new certificate
+    if (state.newClaims?.length > 0 && shouldRun('send_email')) {
+      await runStage('send_email', async () => {
+        await this.emailService.sendClaimsEmail(storedOrder.customer_email, state.newClaims, storedOrder);
+        console.log(`📧 Claim email (${state.newClaims.length} certificates) sent to:`, storedOrder.customer_email);
+      });
+    }
+
+    return {
+      received: true,
+      source: order.source,
+      orderId: storedOrder.shopify_order_id,
+      nftEligible: storedOrder.is_nft_eligible,
+      claimsCreated: createdClaims.length
+    };
+  }
+
+  /**
+   * Re-run a dead-lettered delivery from the stage it failed at
+   * @param {Object} failure - Row from the failed_webhooks table
+   * @returns {Object} Replay outcome
+   */
+  async replayFailure(failure) {
+    // Claim the failure so two admins can't replay it at the same time
+    const claimed = await this.db.claimWebhookFailureForReplay(failure.id);
+    if (!claimed) {
+      const error = new Error(`Failed delivery is already ${failure.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // Failures recorded before orders were normalized hold a Shopify payload
+    const order = failure.normalized_order || this.shopifyAdapter.normalize(JSON.parse(failure.raw_payload));
+    const attempts = (failure.attempts || 1) + 1;
+
+    try {
+      const result = await this.processPaidOrder(order, {
+        fromStage: failure.failure_stage,
+        context: failure.context || {}
+      });
+
+      await this.db.updateWebhookFailure(failure.id, {
+        status: 'replayed',
+        attempts,
+        last_attempt_at: new Date().toISOString(),
+        resolved_at: new Date().toISOString(),
+        replay_result: result
+      });
+      console.log('✅ Failed delivery replayed:', failure.id);
+
+      return { success: true, result };
+    } catch (error) {
+      if (!error.stage) {
+        await this.db.updateWebhookFailure(failure.id, { status: 'failed' });
+        throw error;
+      }
+
+      await this.db.updateWebhookFailure(failure.id, {
+        status: 'failed',
+        failure_stage: error.stage,
+        error_message: error.message,
+        context: error.context,
+        attempts,
+        last_attempt_at: new Date().toISOString()
+      });
+      console.error(`⚠️ Replay of ${failure.id} failed at ${error.stage}:`, error.message);
+
+      return {
+        success: false,
+        failureStage: error.stage,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = ClaimPipeline;
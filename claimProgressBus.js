@@ -0,0 +1,69 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Claim Progress Bus
+ * In-process publish/subscribe of claim progress, keyed by claim token, that
+ * feeds the /api/claim/events/:token stream. Two kinds of event are published:
+ *   status   - a claim state machine transition (pending → processing → ...)
+ *   progress - a pipeline stage: wallet_generated, certificate_rendered,
+ *              mint_submitted, minted, retry_scheduled, failed
+ *
+ * Events only reach subscribers in the same process. The stream also polls
+ * the database, so progress made by another instance still shows up.
+ */
+class ClaimProgressBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+
+    // Recent events per claim, replayed to clients that reconnect with Last-Event-ID
+    this.recent = new Map();
+    this.historyLimit = 20;
+    this.historyTtlMs = 10 * 60 * 1000;
+    this.sequence = 0;
+  }
+
+  /**
+   * @param {string} claimToken
+   * @param {string} type - 'status' or 'progress'
+   * @param {Object} data - Sent to the client as JSON; must be safe to show the customer
+   */
+  publish(claimToken, type, data) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      data: { ...data, at: new Date().toISOString() }
+    };
+
+    this.pruneHistory();
+    const history = this.recent.get(claimToken) || [];
+    history.push(event);
+    this.recent.set(claimToken, history.slice(-this.historyLimit));
+
+    this.emitter.emit(claimToken, event);
+    return event;
+  }
+
+  /**
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(claimToken, listener) {
+    this.emitter.on(claimToken, listener);
+    return () => this.emitter.off(claimToken, listener);
+  }
+
+  getEventsSince(claimToken, lastEventId) {
+    return (this.recent.get(claimToken) || []).filter(event => event.id > lastEventId);
+  }
+
+  pruneHistory() {
+    const cutoff = Date.now() - this.historyTtlMs;
+    for (const [claimToken, history] of this.recent) {
+      if (new Date(history[history.length - 1].data.at).getTime() < cutoff) {
+        this.recent.delete(claimToken);
+      }
+    }
+  }
+}
+
+module.exports = ClaimProgressBus;
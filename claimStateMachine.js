@@ -0,0 +1,142 @@
+/**
+ * Claim State Machine
+ *
+ *   pending → processing → minted → confirmed
+ *      ↑          │ ↑         │
+ *      └──────────┤ └─────────┤ (mint dropped or reorged out)
+ *                 │           └→ failed
+ *                 └→ failed → pending (admin retry)
+ *   pending / failed → revoked
+ *   confirmed → revoked (admin revoke of a soulbound certificate)
+ *
+ * Every transition is a conditional update on the current status, so only
+ * one request can move a claim out of a given state. Moving pending →
+ * processing is the lock that stops a claim from being minted twice.
+ * Each transition stamps its own column and is written to claim_events.
+ */
+
+const TRANSITIONS = {
+  pending: ['processing', 'revoked'],
+  // Back to pending only when nothing was sent to the chain
+  processing: ['minted', 'failed', 'pending'],
+  // Back to processing when the mint transaction is dropped or reorged out
+  minted: ['confirmed', 'failed', 'processing'],
+  // Only soulbound certificates, burned by the issuer - see SoulboundService
+  confirmed: ['revoked'],
+  failed: ['pending', 'revoked'],
+  revoked: []
+};
+
+const STATUS_TIMESTAMPS = {
+  processing: 'processing_started_at',
+  minted: 'minted_at',
+  confirmed: 'confirmed_at',
+  failed: 'failed_at',
+  revoked: 'revoked_at'
+};
+
+// Claims that hold (or may hold) an NFT on chain
+const MINTED_STATUSES = ['minted', 'confirmed'];
+
+class ClaimStateMachine {
+  // isClaimBusy(claim) resolves true while something still owns a
+  // processing claim (a queued mint job), so it isn't treated as stuck.
+  // Transitions are published to the progress bus when one is given.
+  constructor({ db, isClaimBusy = async () => false, progress = null }) {
+    this.db = db;
+    this.isClaimBusy = isClaimBusy;
+    this.progress = progress;
+
+    // A claim processing for longer than this was abandoned (crash or timeout)
+    this.processingTimeoutMs = parseInt(process.env.CLAIM_PROCESSING_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Move a claim to a new status if it is still in the status we read
+   * @param {Object} claim - Claim row as last read
+   * @param {string} to - Target status
+   * @param {Object} [options]
+   * @param {Object} [options.fields] - Extra columns to set with the transition
+   * @param {string} [options.reason] - Recorded in claim_events
+   * @returns {Object|null} Updated claim, or null if another request moved it first
+   */
+  async transition(claim, to, { fields = {}, reason = null } = {}) {
+    const from = claim.claim_status;
+
+    if (!this.canTransition(from, to)) {
+      const error = new Error(`Claim cannot move from ${from} to ${to}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    const stamped = {
+      ...fields,
+      status_updated_at: now,
+      ...(STATUS_TIMESTAMPS[to] && { [STATUS_TIMESTAMPS[to]]: now })
+    };
+
+    const updated = await this.db.transitionClaim(claim.id, from, to, stamped, reason);
+    if (updated) {
+      console.log(`🔀 Claim ${claim.claim_token}: ${from} → ${to}${reason ? ` (${reason})` : ''}`);
+      this.progress?.publish(claim.claim_token, 'status', { status: to, previousStatus: from, reason });
+    }
+    return updated;
+  }
+
+  /**
+   * Take the processing lock on a pending claim
+   * @param {Object} claim - Pending claim
+   * @param {Object} [fields] - Columns to write with the lock
+   * @returns {Object|null} The locked claim, or null if it is already taken
+   */
+  async acquire(claim, fields = {}) {
+    return this.transition(claim, 'processing', { fields, reason: 'claim_started' });
+  }
+
+  isStuck(claim) {
+    if (claim.claim_status !== 'processing') return false;
+    const startedAt = new Date(claim.processing_started_at || claim.status_updated_at || claim.created_at).getTime();
+    return Date.now() - startedAt > this.processingTimeoutMs;
+  }
+
+  /**
+   * Fail a claim left in processing by a crashed or timed-out request.
+   * The mint may have reached the chain, so it goes to failed for review
+   * rather than back to pending.
+   */
+  async recoverStuckClaim(claim) {
+    if (!this.isStuck(claim) || await this.isClaimBusy(claim)) return null;
+
+    return this.transition(claim, 'failed', {
+      fields: { failure_reason: 'processing_timeout' },
+      reason: 'processing_timeout'
+    });
+  }
+
+  /**
+   * Recover every claim stuck in processing
+   * @returns {Array} Claims moved to failed
+   */
+  async recoverStuckClaims() {
+    const cutoff = new Date(Date.now() - this.processingTimeoutMs).toISOString();
+    const stuck = await this.db.getStuckProcessingClaims(cutoff);
+    const recovered = [];
+
+    for (const claim of stuck) {
+      const updated = await this.recoverStuckClaim(claim);
+      if (updated) recovered.push(updated);
+    }
+
+    if (recovered.length > 0) {
+      console.warn(`🩹 Recovered ${recovered.length} claim(s) stuck in processing`);
+    }
+    return recovered;
+  }
+}
+
+module.exports = { ClaimStateMachine, TRANSITIONS, STATUS_TIMESTAMPS, MINTED_STATUSES };
@@ -4,6 +4,26 @@
  * PRIVACY-FOCUSED: Does not display customer names publicly
  */
 
+// Overlay positions for the house certificate. Catalog entries can override
+// any field's font, size, color, gravity, x, y or hide it entirely.
+const DEFAULT_LAYOUT = {
+  // Product Name - Center top area
+  productName: { font: 'Amiri', size: 24, color: 'black', gravity: 'center', y: 370 },
+  // Authenticity ID - Center main area (where customer name was)
+  authenticityId: { font: 'Amiri', size: 20, color: 'black', gravity: 'center', y: 470 },
+  // Serial Number - Center below authenticity ID
+  serialNumber: { font: 'Amiri', size: 18, color: 'black', gravity: 'center', y: 440 },
+  // Date - Bottom left area
+  purchaseDate: { font: 'Amiri', size: 14, color: 'black', gravity: 'south_west', x: 50, y: 50 },
+  // Brand name - Bottom right area
+  brand: { font: 'Amiri', size: 14, color: 'black', gravity: 'south_east', x: 50, y: 50 },
+  // Edition number, e.g. "Edition 7 of 50" - limited editions only
+  edition: { font: 'Amiri', size: 18, color: 'black', gravity: 'center', y: 410 }
+};
+
+// Product photo - Top center, only drawn when the product has an image
+const DEFAULT_IMAGE_LAYOUT = { width: 220, gravity: 'north', y: 140 };
+
 class CloudinaryCoAGenerator {
   constructor() {
     this.baseUrl = 'https://res.cloudinary.com/dd3cjiork/image/upload';
@@ -18,45 +38,51 @@ class CloudinaryCoAGenerator {
    * @param {string} data.authenticityId - Unique authenticity ID
    * @param {string} data.serialNumber - Serial number
    * @param {Date} data.purchaseDate - Purchase date
+   * @param {string} [data.productImageUrl] - Product photo to place on the certificate
+   * @param {string} [data.edition] - Edition label of a limited edition, e.g. "7 of 50"
+   * @param {Object} [layout] - Catalog coa_layout: { baseImageId, fields: { productName: { size, y, ... } } }
    * @returns {string} Cloudinary URL with text overlays
    */
-  generateCertificateUrl(data) {
+  generateCertificateUrl(data, layout = {}) {
+    const baseImageId = layout.baseImageId || this.baseImageId;
+
     try {
       const {
         customerName = 'Customer Name', // NOT USED - kept for compatibility
         productName = 'Mavire Product',
         authenticityId = 'AUTH-000000',
         serialNumber = 'SN-000000',
-        purchaseDate = new Date()
+        purchaseDate = new Date(),
+        productImageUrl = null,
+        edition = null
       } = data;
 
-      // Format the purchase date
-      const formattedDate = this.formatDate(purchaseDate);
+      const text = {
+        productName,
+        authenticityId,
+        serialNumber,
+        purchaseDate: this.formatDate(purchaseDate),
+        brand: 'Mavire Codoir',
+        edition: edition ? `Edition ${edition}` : null
+      };
 
       // Create text overlays with proper positioning
       // NOTE: Customer name is NOT included to protect privacy
-      const overlays = [
-        // Product Name - Center top area
-        `l_text:Amiri_24:${this.encodeText(productName)},co_black,g_center,y_370`,
-        
-        // Authenticity ID - Center main area (where customer name was)
-        `l_text:Amiri_20:${this.encodeText(authenticityId)},co_black,g_center,y_470`,
-        
-        // Serial Number - Center below authenticity ID
-        `l_text:Amiri_18:${this.encodeText(serialNumber)},co_black,g_center,y_440`,
-        
-        // Date - Bottom left area
-        `l_text:Amiri_14:${this.encodeText(formattedDate)},co_black,g_south_west,x_50,y_50`,
-        
-        // Brand name - Bottom right area
-        `l_text:Amiri_14:Mavire%20Codoir,co_black,g_south_east,x_50,y_50`
-      ];
+      const overlays = Object.entries(DEFAULT_LAYOUT)
+        .map(([field, defaults]) => ({ ...defaults, ...(layout.fields?.[field] || {}), field }))
+        .filter(overlay => !overlay.hidden && text[overlay.field])
+        .map(overlay => this.buildOverlay(text[overlay.field], overlay));
+
+      const imageLayout = { ...DEFAULT_IMAGE_LAYOUT, ...(layout.fields?.productImage || {}) };
+      if (productImageUrl && !imageLayout.hidden) {
+        overlays.unshift(this.buildImageOverlay(productImageUrl, imageLayout));
+      }
 
       // Combine all overlays
       const transformations = overlays.join('/');
 
       // Build final URL
-      const certificateUrl = `${this.baseUrl}/${transformations}/${this.baseImageId}.jpg`;
+      const certificateUrl = `${this.baseUrl}/${transformations}/${baseImageId}.jpg`;
 
       console.log('Generated Certificate URL (Privacy Protected):', certificateUrl);
       return certificateUrl;
@@ -64,10 +90,35 @@ class CloudinaryCoAGenerator {
     } catch (error) {
       console.error('Error generating certificate URL:', error);
       // Return fallback URL without text overlays
-      return `${this.baseUrl}/${this.baseImageId}.jpg`;
+      return `${this.baseUrl}/${baseImageId}.jpg`;
     }
   }
 
+  /**
+   * Build one Cloudinary text overlay, e.g. l_text:Amiri_24:Text,co_black,g_center,y_370
+   */
+  buildOverlay(text, { font, size, color, gravity, x, y }) {
+    const position = [`g_${gravity}`, x !== undefined && `x_${x}`, y !== undefined && `y_${y}`]
+      .filter(Boolean)
+      .join(',');
+
+    return `l_text:${font}_${size}:${this.encodeText(text)},co_${color},${position}`;
+  }
+
+  /**
+   * Build a fetched-image overlay, e.g. l_fetch:<base64 url>,w_220,c_fit/fl_layer_apply,g_north,y_140
+   */
+  buildImageOverlay(imageUrl, { width, gravity, x, y }) {
+    const encodedUrl = Buffer.from(imageUrl).toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_');
+    const position = [`g_${gravity}`, x !== undefined && `x_${x}`, y !== undefined && `y_${y}`]
+      .filter(Boolean)
+      .join(',');
+
+    return `l_fetch:${encodedUrl},w_${width},c_fit/fl_layer_apply,${position}`;
+  }
+
   /**
    * Encode text for Cloudinary URL (handle spaces and special characters)
    * @param {string} text - Text to encode
@@ -0,0 +1,44 @@
+/**
+ * Commerce Webhook Handler
+ * Runs paid-order events from non-Shopify sources (Stripe, WooCommerce)
+ * through the same ledger and claim pipeline as Shopify. Each source adapter
+ * verifies its own signatures and converts its payload to a NormalizedOrder.
+ */
+class CommerceWebhookHandler {
+  constructor({ ledger, claimPipeline }) {
+    this.ledger = ledger;
+    this.claimPipeline = claimPipeline;
+  }
+
+  /**
+   * @param {Object} adapter - StripeAdapter or WooCommerceAdapter
+   * @param {Object} delivery - From adapter.getDelivery(req)
+   * @returns {Object} Handler result
+   */
+  async handleDelivery(adapter, { webhookId, topic, payload, rawBody }) {
+    if (!webhookId || !topic) {
+      const error = new Error(`Missing ${adapter.source} delivery ID or topic`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const paid = adapter.isPaidEvent(topic, payload);
+
+    return this.ledger.run({
+      webhookId,
+      topic,
+      orderId: paid ? adapter.getOrderId(payload) : null,
+      oncePerOrder: paid
+    }, async () => {
+      if (!paid) {
+        console.log(`ℹ️ Ignoring ${adapter.source} event:`, topic);
+        return { received: true, ignored: true, source: adapter.source, topic };
+      }
+
+      const order = await adapter.normalize(payload);
+      return this.claimPipeline.handlePaidOrder(order, { webhookId, topic, rawBody });
+    });
+  }
+}
+
+module.exports = CommerceWebhookHandler;
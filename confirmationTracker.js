@@ -0,0 +1,228 @@
+const { ethers } = require('ethers');
+
+/**
+ * Mint Confirmation Tracker
+ * A claim is minted once mintTo returns a receipt, and confirmed once that
+ * receipt is MINT_CONFIRMATIONS blocks deep. Every check re-reads the
+ * receipt: a transaction that moved to another block (reorg) restarts its
+ * count, and one that disappeared - dropped from the mempool or reorged out -
+ * sends the claim back to processing and queues the mint again.
+ */
+class ConfirmationTracker {
+  constructor({ db, claimStateMachine, nftMintService, mintJobQueue, costLedger = null, progress = null }) {
+    this.db = db;
+    this.claimStateMachine = claimStateMachine;
+    this.nftMintService = nftMintService;
+    this.mintJobQueue = mintJobQueue;
+    this.costLedger = costLedger;
+    this.progress = progress;
+
+    this.requiredConfirmations = parseInt(process.env.MINT_CONFIRMATIONS, 10) || 12;
+
+    // RPC nodes can briefly lose track of a transaction - it only counts as
+    // gone once it has been missing for this long
+    this.missingGraceMs = 5 * 60 * 1000;
+
+    // Minimum time between checks of the same claim
+    this.checkIntervalMs = 10 * 1000;
+  }
+
+  isDue(claim) {
+    if (claim.claim_status !== 'minted') return false;
+    if (!claim.confirmation_checked_at) return true;
+    return Date.now() - new Date(claim.confirmation_checked_at).getTime() >= this.checkIntervalMs;
+  }
+
+  // Claims minted before the chain was recorded on the claim used the defaults
+  getChain(claim) {
+    return {
+      chain: claim.nft_network || process.env.THIRDWEB_CHAIN || 'polygon',
+      contractAddress: claim.nft_contract_address || process.env.THIRDWEB_CONTRACT_ADDRESS,
+      tokenStandard: claim.nft_token_standard || 'erc721'
+    };
+  }
+
+  /**
+   * Re-check a minted claim's transaction
+   * @param {Object} claim - Claim in minted
+   * @returns {string} confirmed, confirming, waiting, reminted or failed
+   */
+  async checkClaim(claim) {
+    if (!claim.nft_transaction_hash) {
+      return this.checkOwnership(claim);
+    }
+
+    const { chain } = this.getChain(claim);
+    const provider = this.nftMintService.getProvider(chain);
+    const [receipt, currentBlock] = await Promise.all([
+      provider.getTransactionReceipt(claim.nft_transaction_hash),
+      provider.getBlockNumber()
+    ]);
+
+    if (!receipt) {
+      // Back in the mempool after a reorg, or still waiting to be re-included
+      const transaction = await provider.getTransaction(claim.nft_transaction_hash);
+      if (transaction) {
+        await this.db.updateMintedClaim(claim.id, {
+          mint_confirmations: 0,
+          mint_missing_since: null,
+          confirmation_checked_at: new Date().toISOString()
+        });
+        return 'waiting';
+      }
+
+      return this.handleMissing(claim, claim.mint_block_number ? 'mint_reorged_out' : 'mint_dropped');
+    }
+
+    if (receipt.status === 0) {
+      console.error(`💥 Mint transaction reverted for claim ${claim.claim_token}:`, claim.nft_transaction_hash);
+      this.publish(claim, 'failed', { reason: 'mint_reverted' });
+      await this.claimStateMachine.transition(claim, 'failed', {
+        fields: { failure_reason: 'mint_reverted', confirmation_checked_at: new Date().toISOString() },
+        reason: 'mint_reverted'
+      });
+      await this.markCost(claim, 'reverted');
+      return 'failed';
+    }
+
+    if (claim.mint_block_hash && claim.mint_block_hash !== receipt.blockHash) {
+      console.warn(`🔀 Mint for claim ${claim.claim_token} moved from block ${claim.mint_block_number} to ${receipt.blockNumber} (reorg)`);
+    }
+
+    const confirmations = Math.max(currentBlock - receipt.blockNumber + 1, 0);
+    const fields = {
+      // A re-included mint can be assigned a different token ID
+      nft_token_id: this.nftMintService.tokenIdFromReceipt(receipt, claim.wallet_address) || claim.nft_token_id,
+      mint_block_number: receipt.blockNumber,
+      mint_block_hash: receipt.blockHash,
+      // Batched mints share the batch's gas equally
+      mint_gas_used: receipt.gasUsed ? ethers.BigNumber.from(receipt.gasUsed).div(claim.mint_batch_size || 1).toString() : null,
+      mint_effective_gas_price: receipt.effectiveGasPrice?.toString() ?? null,
+      mint_confirmations: confirmations,
+      mint_missing_since: null,
+      confirmation_checked_at: new Date().toISOString()
+    };
+
+    if (confirmations >= this.requiredConfirmations) {
+      this.publish(claim, 'confirmed', { confirmations, blockNumber: receipt.blockNumber });
+      await this.claimStateMachine.transition(claim, 'confirmed', { fields, reason: 'confirmations_reached' });
+      return 'confirmed';
+    }
+
+    if (confirmations !== claim.mint_confirmations) {
+      this.publish(claim, 'confirming', { confirmations, required: this.requiredConfirmations });
+    }
+    await this.db.updateMintedClaim(claim.id, fields);
+    return 'confirming';
+  }
+
+  /**
+   * Mints recovered from the wallet have no transaction hash to follow -
+   * confirm them once the wallet is seen holding the token
+   */
+  async checkOwnership(claim) {
+    const existing = await this.nftMintService.findExistingMint(claim, this.getChain(claim));
+    if (!existing) {
+      return this.handleMissing(claim, 'mint_missing');
+    }
+
+    this.publish(claim, 'confirmed', { confirmations: null });
+    await this.claimStateMachine.transition(claim, 'confirmed', {
+      fields: {
+        nft_token_id: existing.tokenId,
+        mint_missing_since: null,
+        confirmation_checked_at: new Date().toISOString()
+      },
+      reason: 'ownership_verified'
+    });
+    return 'confirmed';
+  }
+
+  async handleMissing(claim, reason) {
+    const now = new Date().toISOString();
+    const missingSince = claim.mint_missing_since || now;
+
+    if (Date.now() - new Date(missingSince).getTime() < this.missingGraceMs) {
+      await this.db.updateMintedClaim(claim.id, {
+        mint_confirmations: 0,
+        mint_missing_since: missingSince,
+        confirmation_checked_at: now
+      });
+      return 'waiting';
+    }
+
+    console.warn(`⚠️ Mint for claim ${claim.claim_token} is gone (${reason}) - minting again:`, claim.nft_transaction_hash);
+    this.publish(claim, 'mint_lost', { reason });
+
+    // A lost transfer out of the vault leaves the token in the vault
+    const lastJob = await this.db.getLatestMintJobForClaim(claim.id);
+    const transferLost = lastJob?.kind === 'vault_transfer';
+
+    const reverted = await this.claimStateMachine.transition(claim, 'processing', {
+      fields: {
+        nft_token_id: null,
+        nft_transaction_hash: null,
+        mint_block_number: null,
+        mint_block_hash: null,
+        mint_cost_native: null,
+        mint_cost_fiat: null,
+        mint_cost_currency: null,
+        mint_confirmations: 0,
+        mint_missing_since: null,
+        confirmation_checked_at: now,
+        ...(transferLost && { vault_status: 'minted' })
+      },
+      reason
+    });
+    if (!reverted) return 'waiting';
+
+    // The lost transaction never paid for gas
+    await this.markCost(claim, 'dropped');
+
+    // Mint (or transfer) the same certificate again
+    const job = await this.mintJobQueue.enqueue(reverted, { preparedMint: lastJob?.prepared_mint, kind: lastJob?.kind });
+    this.mintJobQueue.kick(job);
+
+    return 'reminted';
+  }
+
+  async markCost(claim, status) {
+    await this.costLedger?.markStatus(claim, status).catch(error => {
+      console.error('Failed to update mint cost:', error);
+    });
+  }
+
+  publish(claim, stage, details) {
+    this.progress?.publish(claim.claim_token, 'progress', { stage, ...details });
+  }
+
+  /**
+   * Check every minted claim not checked within the check interval
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most claims to check in this pass
+   * @returns {Object} Counts by outcome
+   */
+  async processPending({ limit = 25 } = {}) {
+    const checkedBefore = new Date(Date.now() - this.checkIntervalMs).toISOString();
+    const claims = await this.db.getClaimsAwaitingConfirmation(checkedBefore, limit);
+    const summary = { checked: 0, confirmed: 0, confirming: 0, waiting: 0, reminted: 0, failed: 0, errors: 0 };
+
+    for (const claim of claims) {
+      try {
+        const outcome = await this.checkClaim(claim);
+        summary.checked++;
+        summary[outcome]++;
+      } catch (error) {
+        console.error(`Error checking confirmations for claim ${claim.claim_token}:`, error.message);
+        summary.errors++;
+      }
+    }
+
+    if (summary.checked > 0) {
+      console.log(`⛓️ Checked ${summary.checked} minted claim(s) - ${summary.confirmed} confirmed, ${summary.reminted} reminted`);
+    }
+    return summary;
+  }
+}
+
+module.exports = ConfirmationTracker;
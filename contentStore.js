@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest();
+}
+
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * CIDv1 of raw bytes (raw codec, sha2-256, base32) - what IPFS gives a file
+ * added with raw leaves that fits in one block (256 KiB). IPFS chunks larger
+ * files into a DAG with a different root CID, so for those the local store's
+ * CID is its own and won't match the file's CID on IPFS.
+ */
+function computeCid(buffer) {
+  const multihash = Buffer.concat([Buffer.from([0x12, 0x20]), sha256(buffer)]);
+  return `b${base32(Buffer.concat([Buffer.from([0x01, 0x55]), multihash]))}`;
+}
+
+// The CIDv1 base32 format both stores' CIDs are in
+function isCid(value) {
+  return /^b[a-z2-7]{20,}$/.test(value);
+}
+
+/**
+ * Local Content Store
+ * Stand-in for IPFS: files named by their CID in a local directory, served
+ * by GET /content/:cid. For development - serverless filesystems don't keep
+ * them.
+ */
+class LocalContentStore {
+  constructor({ directory, baseUrl }) {
+    this.name = 'local';
+    this.directory = directory;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @param {Object} [options]
+   * @param {string} [options.contentType]
+   * @returns {{ cid: string, sha256: string, size: number, contentType: string, uri: string }}
+   */
+  async put(buffer, { contentType = 'application/octet-stream' } = {}) {
+    const cid = computeCid(buffer);
+    const file = path.join(this.directory, cid);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    // Same content, same name - nothing to do if it is already stored
+    const exists = await fs.access(file).then(() => true, () => false);
+    if (!exists) {
+      await fs.writeFile(`${file}.tmp`, buffer);
+      await fs.rename(`${file}.tmp`, file);
+    }
+
+    return { cid, sha256: contentSha256(buffer), size: buffer.length, contentType, uri: this.url(cid) };
+  }
+
+  /**
+   * Stored bytes - the caller knows what they are (see GET /content/:cid)
+   * @returns {Buffer|null}
+   */
+  async get(cid) {
+    if (!isCid(cid)) return null;
+
+    try {
+      return await fs.readFile(path.join(this.directory, cid));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  url(cid) {
+    return `${this.baseUrl}/content/${cid}`;
+  }
+}
+
+/**
+ * IPFS Content Store
+ * Adds and pins files through an IPFS node's HTTP API (IPFS_API_URL, with
+ * IPFS_API_TOKEN as a bearer token for hosted nodes). Files are addressed
+ * as ipfs://<cid>; get reads them back through IPFS_GATEWAY_URL.
+ */
+class IpfsContentStore {
+  constructor({ apiUrl, apiToken = null, gatewayUrl }) {
+    this.name = 'ipfs';
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.apiToken = apiToken;
+    this.gatewayUrl = gatewayUrl.replace(/\/$/, '');
+  }
+
+  async put(buffer, { contentType = 'application/octet-stream' } = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: contentType }));
+
+    const response = await axios.post(`${this.apiUrl}/api/v0/add`, form, {
+      params: { 'cid-version': 1, 'raw-leaves': true, pin: true },
+      headers: this.apiToken ? { Authorization: `Bearer ${this.apiToken}` } : {},
+      maxBodyLength: Infinity,
+      timeout: 60 * 1000
+    });
+
+    const cid = response.data.Hash;
+    return { cid, sha256: contentSha256(buffer), size: buffer.length, contentType, uri: `ipfs://${cid}` };
+  }
+
+  // Bytes from the gateway - neither its content type nor its bytes are
+  // trusted; GET /content/:cid checks them against the recorded hash
+  async get(cid) {
+    if (!isCid(cid)) return null;
+
+    try {
+      const response = await axios.get(this.url(cid), { responseType: 'arraybuffer', timeout: 30 * 1000 });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+
+  url(cid) {
+    return `${this.gatewayUrl}/${cid}`;
+  }
+}
+
+/**
+ * Content store from CONTENT_STORE: 'ipfs', 'local', or unset for none -
+ * certificates then keep their Cloudinary image and are uploaded by thirdweb
+ */
+function createContentStore() {
+  switch (process.env.CONTENT_STORE) {
+    case 'ipfs':
+      return new IpfsContentStore({
+        apiUrl: process.env.IPFS_API_URL || 'http://127.0.0.1:5001',
+        apiToken: process.env.IPFS_API_TOKEN || null,
+        gatewayUrl: process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs'
+      });
+    case 'local':
+      return new LocalContentStore({
+        directory: process.env.CONTENT_STORE_DIR || path.join(os.tmpdir(), 'mavire-content'),
+        baseUrl: process.env.METADATA_BASE_URL || `http://localhost:${process.env.PORT || 3000}`
+      });
+    default:
+      return null;
+  }
+}
+
+// Hex SHA-256, as recorded on claims for each stored file
+function contentSha256(buffer) {
+  return sha256(buffer).toString('hex');
+}
+
+module.exports = { LocalContentStore, IpfsContentStore, createContentStore, computeCid, isCid, contentSha256 };
@@ -0,0 +1,208 @@
+const { ethers } = require('ethers');
+
+// Chains certificates can be minted on, by thirdweb chain slug
+const CHAINS = {
+  polygon: { name: 'Polygon', chainId: 137, testnet: false },
+  base: { name: 'Base', chainId: 8453, testnet: false },
+  ethereum: { name: 'Ethereum', chainId: 1, testnet: false },
+  arbitrum: { name: 'Arbitrum One', chainId: 42161, testnet: false },
+  optimism: { name: 'OP Mainnet', chainId: 10, testnet: false },
+  'polygon-amoy-testnet': { name: 'Polygon Amoy', chainId: 80002, testnet: true },
+  'base-sepolia-testnet': { name: 'Base Sepolia', chainId: 84532, testnet: true },
+  sepolia: { name: 'Sepolia', chainId: 11155111, testnet: true }
+};
+
+function chainName(chain) {
+  return CHAINS[chain]?.name || chain;
+}
+
+/**
+ * Contract Registry
+ * Which chain and collection contract a certificate is minted on. In order:
+ *
+ *   1. the SKU's own chain/contract_address in product_catalog
+ *   2. the product line's row in collection_contracts - the catalog entry's
+ *      collection, or else one of the product's Shopify collections
+ *   3. the default row in collection_contracts
+ *   4. THIRDWEB_CHAIN / THIRDWEB_CONTRACT_ADDRESS
+ *
+ * A product line's row also sets its token standard (ERC-721, or ERC-1155
+ * for limited editions), edition_size, the cap on its certificates, and
+ * whether its contract is the soulbound (non-transferable) variant.
+ *
+ * Rows are cached for a minute; admin changes clear the cache.
+ */
+class ContractRegistry {
+  constructor({ db }) {
+    this.db = db;
+    this.cache = null;
+    this.cacheTtlMs = 60 * 1000;
+  }
+
+  async getEntries() {
+    if (this.cache && Date.now() - this.cache.fetchedAt < this.cacheTtlMs) {
+      return this.cache.entries;
+    }
+
+    const entries = await this.db.getCollectionContracts();
+    this.cache = { entries, fetchedAt: Date.now() };
+    return entries;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  getEnvDefault() {
+    return {
+      chain: process.env.THIRDWEB_CHAIN || 'polygon',
+      contractAddress: process.env.THIRDWEB_CONTRACT_ADDRESS,
+      productLine: null,
+      tokenStandard: 'erc721',
+      editionSize: null,
+      soulbound: false,
+      source: 'env'
+    };
+  }
+
+  async getDefault() {
+    const entry = (await this.getEntries()).find(row => row.is_default && row.enabled);
+    return entry ? this.target(entry, 'default') : this.getEnvDefault();
+  }
+
+  target(entry, source) {
+    return {
+      chain: entry.chain,
+      contractAddress: entry.contract_address,
+      productLine: entry.product_line,
+      tokenStandard: entry.token_standard || 'erc721',
+      editionSize: entry.edition_size || null,
+      soulbound: Boolean(entry.soulbound),
+      source
+    };
+  }
+
+  /**
+   * Chain and contract for a SKU
+   * @param {Object} options
+   * @param {Object} [options.catalogEntry] - The SKU's product_catalog row
+   * @param {Object} [options.product] - The synced Shopify product
+   * @returns {{ chain: string, contractAddress: string, productLine: string|null,
+   *   tokenStandard: string, editionSize: number|null, soulbound: boolean, source: string }}
+   */
+  async resolve({ catalogEntry = null, product = null } = {}) {
+    if (catalogEntry?.contract_address) {
+      const { chain } = await this.getDefault();
+      return {
+        chain: catalogEntry.chain || chain,
+        contractAddress: catalogEntry.contract_address,
+        productLine: catalogEntry.collection || null,
+        tokenStandard: 'erc721',
+        editionSize: null,
+        soulbound: false,
+        source: 'sku'
+      };
+    }
+
+    const entries = (await this.getEntries()).filter(row => row.enabled);
+    const productLines = [catalogEntry?.collection, ...(product?.collections || []).map(collection => collection.title)]
+      .filter(Boolean);
+    for (const productLine of productLines) {
+      const entry = entries.find(row => row.product_line.toLowerCase() === productLine.toLowerCase());
+      if (entry) return this.target(entry, 'product_line');
+    }
+
+    return this.getDefault();
+  }
+
+  /**
+   * Chain and contract a claim is (or will be) minted on
+   */
+  async resolveClaim(claim) {
+    if (claim.nft_contract_address) {
+      return {
+        chain: claim.nft_network || this.getEnvDefault().chain,
+        contractAddress: claim.nft_contract_address,
+        productLine: claim.edition_product_line || null,
+        tokenStandard: claim.nft_token_standard || 'erc721',
+        editionSize: claim.edition_size || null,
+        soulbound: Boolean(claim.nft_soulbound),
+        source: 'claim'
+      };
+    }
+
+    const sku = claim.product_sku || claim.orders?.product_sku;
+    const [catalogEntry, product] = sku
+      ? await Promise.all([
+        this.db.getCatalogEntry(sku).catch(() => null),
+        this.db.getProductBySku(sku).catch(() => null)
+      ])
+      : [null, null];
+    return this.resolve({ catalogEntry, product });
+  }
+
+  /**
+   * Every chain and contract in use - the registry, and the env default
+   * if nothing replaces it
+   */
+  async listTargets() {
+    const entries = (await this.getEntries()).filter(row => row.enabled);
+    const targets = entries.map(entry => this.target(entry, entry.is_default ? 'default' : 'product_line'));
+    if (!entries.some(entry => entry.is_default) && process.env.THIRDWEB_CONTRACT_ADDRESS) {
+      targets.push(this.getEnvDefault());
+    }
+    return targets;
+  }
+
+  /**
+   * Add or replace a product line's contract
+   * @throws {Error} 400 for an unknown chain or invalid contract address
+   */
+  async save(productLine, {
+    chain,
+    contractAddress,
+    label = null,
+    tokenStandard = 'erc721',
+    editionSize = null,
+    soulbound = false,
+    isDefault = false,
+    enabled = true
+  }) {
+    if (!CHAINS[chain]) {
+      const error = new Error(`chain must be one of ${Object.keys(CHAINS).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (!ethers.utils.isAddress(contractAddress)) {
+      const error = new Error(`Invalid contract address: ${contractAddress}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (isDefault) {
+      await this.db.clearDefaultCollectionContract(productLine);
+    }
+
+    const entry = await this.db.upsertCollectionContract({
+      product_line: productLine,
+      label,
+      chain,
+      contract_address: ethers.utils.getAddress(contractAddress),
+      token_standard: tokenStandard,
+      edition_size: editionSize,
+      soulbound,
+      is_default: isDefault,
+      enabled
+    });
+    this.invalidate();
+    return entry;
+  }
+
+  async remove(productLine) {
+    const deleted = await this.db.deleteCollectionContract(productLine);
+    this.invalidate();
+    return deleted;
+  }
+}
+
+module.exports = { ContractRegistry, CHAINS, chainName };
@@ -19,28 +19,42 @@ class DatabaseService {
     return bytes.toString(CryptoJS.enc.Utf8);
   }
 
-  async storeOrder(orderData) {
+  // orderData is a NormalizedOrder (see adapters/orderModel.js)
+  async storeOrder(orderData, eligibility) {
     try {
+      const summaryItem = eligibility.eligibleLineItems[0] || orderData.line_items[0];
+      const catalogEntry = summaryItem?.sku ? await this.getCatalogEntry(summaryItem.sku) : null;
+
+      // Upsert so a redelivered or replayed order updates the existing row
       const { data, error } = await this.supabase
         .from('orders')
-        .insert([{
+        .upsert([{
+          // Internal order key - "<source>:<id>" for non-Shopify orders
           shopify_order_id: orderData.id.toString(),
+          order_source: orderData.source || 'shopify',
           shopify_order_number: orderData.order_number.toString(),
           customer_email: orderData.customer.email,
           customer_first_name: orderData.customer.first_name,
           customer_last_name: orderData.customer.last_name,
-          product_name: orderData.line_items[0]?.name || 'Unknown Product',
-          product_sku: orderData.line_items[0]?.sku || 'NO-SKU',
+          // Summary only - each eligible unit gets its own claim with its product
+          product_name: summaryItem?.name || 'Unknown Product',
+          product_sku: summaryItem?.sku || 'NO-SKU',
           order_total: parseFloat(orderData.total_price),
           currency: orderData.currency,
-          is_nft_eligible: this.isNFTEligible(orderData),
-          nft_template_url: this.getTemplateURL(orderData),
+          is_nft_eligible: eligibility.eligible,
+          nft_template_url: catalogEntry?.template_image_url || null,
           order_metadata: {
             line_items: orderData.line_items,
             shipping_address: orderData.shipping_address,
-            billing_address: orderData.billing_address
+            billing_address: orderData.billing_address,
+            discount_codes: orderData.discount_codes,
+            external_id: orderData.external_id,
+            // When the order was placed - date-window rules are checked against these
+            created_at: orderData.created_at || null,
+            processed_at: orderData.processed_at || null,
+            eligible_line_item_ids: eligibility.eligibleLineItems.map(item => item.id.toString())
           }
-        }])
+        }], { onConflict: 'shopify_order_id' })
         .select()
         .single();
 
@@ -52,19 +66,26 @@ class DatabaseService {
     }
   }
 
-  isNFTEligible(orderData) {
-    return orderData.line_items.some(item => 
-      item.product_type === 'NFT Eligible' || 
-      (item.tags && item.tags.includes('nft-eligible'))
-    );
-  }
+  async updateOrderStatus(shopifyOrderId, statusFields) {
+    try {
+      const { data, error } = await this.supabase
+        .from('orders')
+        .update({
+          ...statusFields,
+          updated_at: new Date().toISOString()
+        })
+        .eq('shopify_order_id', shopifyOrderId)
+        .select();
 
-  getTemplateURL(orderData) {
-    const firstItem = orderData.line_items[0];
-    return `https://your-assets-domain.com/templates/${firstItem.sku}-template.png`;
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating order status:', error);
+      throw error;
+    }
   }
 
-  async createClaim(shopifyOrderId, customerEmail, claimToken) {
+  async createClaim(shopifyOrderId, customerEmail, claimToken, unit = {}) {
     try {
       const expiresAt = new Date();
       expiresAt.setDate(expiresAt.getDate() + 90);
@@ -76,7 +97,13 @@ class DatabaseService {
           customer_email: customerEmail,
           claim_token: claimToken,
           expires_at: expiresAt.toISOString(),
-          claim_status: 'pending'
+          claim_status: 'pending',
+          // One claim per eligible line item unit
+          line_item_id: unit.lineItemId || null,
+          unit_index: unit.unitIndex || null,
+          unit_count: unit.unitCount || null,
+          product_name: unit.productName || null,
+          product_sku: unit.productSku || null
         }])
         .select()
         .single();
@@ -89,6 +116,43 @@ class DatabaseService {
     }
   }
 
+  async getClaimsForOrder(shopifyOrderId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .select('*')
+        .eq('shopify_order_id', shopifyOrderId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting claims for order:', error);
+      throw error;
+    }
+  }
+
+  async getPendingClaimsByEmail(email) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .select(`
+          *,
+          orders (shopify_order_number, product_name, product_sku)
+        `)
+        .eq('customer_email', email)
+        .eq('claim_status', 'pending')
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting claims by email:', error);
+      return [];
+    }
+  }
+
   async verifyClaim(email, claimToken) {
     try {
       const { data, error } = await this.supabase
@@ -111,68 +175,1776 @@ class DatabaseService {
     }
   }
 
-  async updateClaimWithNFT(claimId, walletData, nftData) {
+  // Wallet columns - keys are stored encrypted. Written when the claim is
+  // locked, so the keys are saved before anything is minted to the wallet
+  walletClaimFields(walletData) {
+    return {
+      wallet_address: walletData.address,
+      encrypted_private_key: this.encrypt(walletData.privateKey),
+      wallet_mnemonic_encrypted: this.encrypt(walletData.mnemonic)
+    };
+  }
+
+  // Columns set when a claim's NFT is minted
+  nftClaimFields(nftData) {
+    return {
+      nft_token_id: nftData.tokenId,
+      nft_transaction_hash: nftData.transactionHash,
+      nft_network: nftData.network,
+      nft_contract_address: nftData.contractAddress,
+      nft_token_standard: nftData.tokenStandard || 'erc721',
+      nft_soulbound: Boolean(nftData.soulbound),
+      mint_block_number: nftData.blockNumber ?? null,
+      mint_block_hash: nftData.blockHash ?? null,
+      mint_gas_used: nftData.gasUsed ?? null,
+      mint_effective_gas_price: nftData.effectiveGasPrice ?? null,
+      mint_batch_size: nftData.batchSize ?? 1,
+      mint_cost_native: nftData.cost?.native ?? null,
+      mint_cost_fiat: nftData.cost?.fiat ?? null,
+      mint_cost_currency: nftData.cost?.currency ?? null,
+      mint_confirmations: 0,
+      mint_missing_since: null,
+      coa_unique_id: nftData.coaUniqueId,
+      ...this.contentClaimFields(nftData.storage),
+      claimed_at: new Date().toISOString(),
+      metadata: {
+        nft_metadata: nftData.metadata,
+        generation_timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  // Content store copies of the certificate - written with the mint or pre-mint
+  contentClaimFields(storage) {
+    return {
+      content_store: storage?.store ?? null,
+      coa_image_cid: storage?.imageCid ?? null,
+      coa_image_sha256: storage?.imageSha256 ?? null,
+      coa_image_content_type: storage?.imageContentType ?? null,
+      metadata_cid: storage?.metadataCid ?? null,
+      metadata_sha256: storage?.metadataSha256 ?? null
+    };
+  }
+
+  // Conditional status change - returns null if the claim is no longer in fromStatus
+  async transitionClaim(claimId, fromStatus, toStatus, fields = {}, reason = null) {
     try {
       const { data, error } = await this.supabase
         .from('claims')
         .update({
-          wallet_address: walletData.address,
-          encrypted_private_key: this.encrypt(walletData.privateKey),
-          wallet_mnemonic_encrypted: this.encrypt(walletData.mnemonic),
-          nft_token_id: nftData.tokenId,
-          nft_transaction_hash: nftData.transactionHash,
-          coa_unique_id: nftData.coaUniqueId,
-          claim_status: 'completed',
-          claimed_at: new Date().toISOString(),
-          metadata: {
-            nft_metadata: nftData.metadata,
-            generation_timestamp: new Date().toISOString()
-          }
+          ...fields,
+          claim_status: toStatus
         })
         .eq('id', claimId)
+        .eq('claim_status', fromStatus)
+        .select(`
+          *,
+          orders (*)
+        `);
+
+      if (error) throw error;
+      if (!data || data.length === 0) return null;
+
+      await this.recordClaimEvents([{ claim_id: claimId, from_status: fromStatus, to_status: toStatus, reason }]);
+      return data[0];
+    } catch (error) {
+      console.error('Error transitioning claim:', error);
+      throw error;
+    }
+  }
+
+  // Audit trail of status changes - a failed write is logged, not fatal
+  async recordClaimEvents(events) {
+    if (events.length === 0) return;
+
+    const { error } = await this.supabase
+      .from('claim_events')
+      .insert(events);
+
+    if (error) {
+      console.error('Error recording claim events:', error);
+    }
+  }
+
+  async getClaim(claimId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .select(`
+          *,
+          orders (*)
+        `)
+        .eq('id', claimId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting claim:', error);
+      throw error;
+    }
+  }
+
+  async getClaimEvents(claimId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claim_events')
+        .select('from_status, to_status, reason, created_at')
+        .eq('claim_id', claimId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting claim events:', error);
+      throw error;
+    }
+  }
+
+  // Confirmation progress on a minted claim - returns null once it has left minted
+  async updateMintedClaim(claimId, fields) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .update(fields)
+        .eq('id', claimId)
+        .eq('claim_status', 'minted')
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error updating minted claim:', error);
+      throw error;
+    }
+  }
+
+  // Vault pre-mint columns - written whatever the claim's status
+  async updateClaimVault(claimId, fields) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .update(fields)
+        .eq('id', claimId)
         .select()
-        .single();
+        .maybeSingle();
 
       if (error) throw error;
       return data;
     } catch (error) {
-      console.error('Error updating claim:', error);
+      console.error('Error updating claim vault status:', error);
       throw error;
     }
   }
 
-  async getClaimStatus(claimToken) {
+  // Claims holding a token id, minted to the customer or to the vault - the
+  // caller matches the contract, whose stored case varies
+  async getClaimsByTokenId(tokenId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .select('*')
+        .or(`nft_token_id.eq.${tokenId},vault_token_id.eq.${tokenId}`)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting claims by token id:', error);
+      throw error;
+    }
+  }
+
+  // Claim whose certificate image or metadata has this CID, if any
+  async getClaimByContentCid(cid) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .select('id, content_store, coa_image_cid, coa_image_sha256, coa_image_content_type, metadata_cid, metadata_sha256')
+        .or(`coa_image_cid.eq.${cid},metadata_cid.eq.${cid}`)
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error getting claim by content CID:', error);
+      throw error;
+    }
+  }
+
+  // Warranty columns - written whatever the claim's status
+  async updateClaimWarranty(claimId, fields) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .update({ ...fields, metadata_updated_at: new Date().toISOString() })
+        .eq('id', claimId)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating claim warranty:', error);
+      throw error;
+    }
+  }
+
+  async getCertificateRecords(claimId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('certificate_records')
+        .select('*')
+        .eq('claim_id', claimId)
+        .order('occurred_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting certificate records:', error);
+      throw error;
+    }
+  }
+
+  async createCertificateRecord(record) {
     try {
       const { data, error } = await this.supabase
+        .from('certificate_records')
+        .insert([record])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await this.supabase
+        .from('claims')
+        .update({ metadata_updated_at: new Date().toISOString() })
+        .eq('id', record.claim_id);
+      return data;
+    } catch (error) {
+      console.error('Error creating certificate record:', error);
+      throw error;
+    }
+  }
+
+  // Claims whose certificate is in the vault (or on its way there), oldest first
+  async getVaultClaims({ statuses = ['queued', 'minted'], mintedBefore = null, limit = 1000 } = {}) {
+    try {
+      let query = this.supabase
         .from('claims')
         .select(`
-          *,
-          orders (product_name, product_sku)
+          id, claim_token, customer_email, claim_status, shopify_order_id, product_name, product_sku,
+          created_at, expires_at, vault_status, vault_token_id, vault_transaction_hash, vault_chain,
+          vault_contract_address, vault_minted_at,
+          orders (shopify_order_number)
         `)
-        .eq('claim_token', claimToken)
+        .in('vault_status', statuses)
+        .order('vault_minted_at', { ascending: true, nullsFirst: false })
+        .limit(limit);
+
+      if (mintedBefore) {
+        query = query.lt('vault_minted_at', mintedBefore);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting vault claims:', error);
+      throw error;
+    }
+  }
+
+  async countClaimsByVaultStatus(vaultStatus) {
+    try {
+      const { count, error } = await this.supabase
+        .from('claims')
+        .select('id', { count: 'exact', head: true })
+        .eq('vault_status', vaultStatus);
+
+      if (error) throw error;
+      return count || 0;
+    } catch (error) {
+      console.error('Error counting vault claims:', error);
+      throw error;
+    }
+  }
+
+  // Highest edition number issued for a product line, 0 before the first
+  async getHighestEditionNumber(productLine) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .select('edition_number')
+        .eq('edition_product_line', productLine)
+        .not('edition_number', 'is', null)
+        .order('edition_number', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0].edition_number : 0;
+    } catch (error) {
+      console.error('Error getting highest edition number:', error);
+      throw error;
+    }
+  }
+
+  // Gives a claim its edition number - returns the claim, null if it already
+  // has one, or false if another claim took the number first
+  async assignEditionNumber(claimId, fields) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .update(fields)
+        .eq('id', claimId)
+        .is('edition_number', null)
+        .select();
+
+      if (error?.code === '23505') return false;
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error assigning edition number:', error);
+      throw error;
+    }
+  }
+
+  // New pending claim replacing a revoked one, for the same unit and edition
+  // number - returns false if the claim has already been reissued
+  async createReissuedClaim(claim, customerEmail, claimToken) {
+    try {
+      const expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + 90);
+
+      const { data, error } = await this.supabase
+        .from('claims')
+        .insert([{
+          shopify_order_id: claim.shopify_order_id,
+          customer_email: customerEmail,
+          claim_token: claimToken,
+          expires_at: expiresAt.toISOString(),
+          claim_status: 'pending',
+          line_item_id: claim.line_item_id,
+          unit_index: claim.unit_index,
+          unit_count: claim.unit_count,
+          product_name: claim.product_name,
+          product_sku: claim.product_sku,
+          edition_product_line: claim.edition_product_line,
+          edition_number: claim.edition_number,
+          edition_size: claim.edition_size,
+          edition_allocated_at: claim.edition_allocated_at,
+          reissued_from_claim_id: claim.id,
+          reissued_at: new Date().toISOString()
+        }])
+        .select()
         .single();
 
+      if (error?.code === '23505') return false;
       if (error) throw error;
       return data;
     } catch (error) {
-      console.error('Error getting claim status:', error);
-      return null;
+      console.error('Error reissuing claim:', error);
+      throw error;
     }
   }
 
-  async isOrderClaimed(shopifyOrderId) {
+  async getClaimsAwaitingConfirmation(checkedBefore, limit = 25) {
     try {
       const { data, error } = await this.supabase
         .from('claims')
-        .select('id')
+        .select('*')
+        .eq('claim_status', 'minted')
+        .or(`confirmation_checked_at.is.null,confirmation_checked_at.lt.${checkedBefore}`)
+        .order('minted_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting claims awaiting confirmation:', error);
+      throw error;
+    }
+  }
+
+  async getStuckProcessingClaims(startedBefore) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .select('*')
+        .eq('claim_status', 'processing')
+        .lt('processing_started_at', startedBefore);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting stuck claims:', error);
+      throw error;
+    }
+  }
+
+  async revokePendingClaims(shopifyOrderId, reason) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.supabase
+        .from('claims')
+        .update({
+          claim_status: 'revoked',
+          revoked_at: now,
+          status_updated_at: now,
+          revocation_reason: reason
+        })
         .eq('shopify_order_id', shopifyOrderId)
-        .in('claim_status', ['completed', 'processing']);
+        .eq('claim_status', 'pending')
+        .select();
 
       if (error) throw error;
-      return data && data.length > 0;
+      await this.recordClaimEvents((data || []).map(claim => ({ claim_id: claim.id, from_status: 'pending', to_status: 'revoked', reason })));
+      return data || [];
     } catch (error) {
-      console.error('Error checking if order claimed:', error);
-      return false;
+      console.error('Error revoking claims:', error);
+      throw error;
+    }
+  }
+
+  async flagCompletedClaims(shopifyOrderId, reason) {
+    try {
+      // Minted certificates can't be taken back - flag them for manual review
+      const { data, error } = await this.supabase
+        .from('claims')
+        .update({
+          flagged_at: new Date().toISOString(),
+          flag_reason: reason
+        })
+        .eq('shopify_order_id', shopifyOrderId)
+        .in('claim_status', ['processing', 'minted', 'confirmed', 'failed'])
+        .select();
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error flagging claims:', error);
+      throw error;
+    }
+  }
+
+  async revokeClaims(claimIds, reason) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.supabase
+        .from('claims')
+        .update({
+          claim_status: 'revoked',
+          revoked_at: now,
+          status_updated_at: now,
+          revocation_reason: reason
+        })
+        .in('id', claimIds)
+        .eq('claim_status', 'pending')
+        .select();
+
+      if (error) throw error;
+      await this.recordClaimEvents((data || []).map(claim => ({ claim_id: claim.id, from_status: 'pending', to_status: 'revoked', reason })));
+      return data || [];
+    } catch (error) {
+      console.error('Error revoking claims:', error);
+      throw error;
+    }
+  }
+
+  async flagClaims(claimIds, reason) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .update({
+          flagged_at: new Date().toISOString(),
+          flag_reason: reason
+        })
+        .in('id', claimIds)
+        .select();
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error flagging claims:', error);
+      throw error;
+    }
+  }
+
+  // Webhook delivery ledger - one row per X-Shopify-Webhook-Id
+
+  async beginWebhookDelivery(webhookId, topic, shopifyOrderId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('webhook_deliveries')
+        .insert([{
+          webhook_id: webhookId,
+          topic,
+          shopify_order_id: shopifyOrderId,
+          status: 'processing',
+          attempts: 1
+        }])
+        .select()
+        .single();
+
+      if (!error) {
+        return { isNew: true, delivery: data };
+      }
+
+      // Unique violation - this delivery has been seen before
+      if (error.code !== '23505') throw error;
+
+      const { data: existing, error: fetchError } = await this.supabase
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('webhook_id', webhookId)
+        .single();
+
+      if (fetchError) throw fetchError;
+      return { isNew: false, delivery: existing };
+    } catch (error) {
+      console.error('Error recording webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  // Conditional on the delivery being unchanged since it was read - only one
+  // retry takes it. A processing delivery must also not have been updated
+  // since staleBefore.
+  async retryWebhookDelivery(delivery, staleBefore) {
+    try {
+      let query = this.supabase
+        .from('webhook_deliveries')
+        .update({
+          status: 'processing',
+          attempts: (delivery.attempts || 1) + 1,
+          error_message: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('webhook_id', delivery.webhook_id)
+        .eq('status', delivery.status)
+        .eq('attempts', delivery.attempts);
+
+      if (delivery.status === 'processing') {
+        query = query.lt('updated_at', staleBefore);
+      }
+
+      const { data, error } = await query.select();
+
+      if (error) throw error;
+      return data && data.length > 0;
+    } catch (error) {
+      console.error('Error retrying webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  async findCompletedDeliveryForOrder(topic, shopifyOrderId, excludeWebhookId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('topic', topic)
+        .eq('shopify_order_id', shopifyOrderId)
+        .eq('status', 'completed')
+        .neq('webhook_id', excludeWebhookId)
+        .order('completed_at', { ascending: true })
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error finding completed webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  async completeWebhookDelivery(webhookId, response) {
+    try {
+      const { error } = await this.supabase
+        .from('webhook_deliveries')
+        .update({
+          status: 'completed',
+          response,
+          completed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('webhook_id', webhookId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error completing webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  async failWebhookDelivery(webhookId, errorMessage) {
+    try {
+      const { error } = await this.supabase
+        .from('webhook_deliveries')
+        .update({
+          status: 'failed',
+          error_message: errorMessage,
+          updated_at: new Date().toISOString()
+        })
+        .eq('webhook_id', webhookId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error failing webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  // Dead-letter queue for webhook deliveries that failed part-way through
+
+  async recordWebhookFailure(failure) {
+    try {
+      const { data, error } = await this.supabase
+        .from('failed_webhooks')
+        .insert([{
+          ...failure,
+          status: 'failed',
+          attempts: 1,
+          last_attempt_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error recording webhook failure:', error);
+      throw error;
+    }
+  }
+
+  async getWebhookFailures({ status = 'failed', limit = 50 } = {}) {
+    try {
+      let query = this.supabase
+        .from('failed_webhooks')
+        .select('id, webhook_id, topic, source, shopify_order_id, failure_stage, error_message, status, attempts, created_at, last_attempt_at, resolved_at')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (status !== 'all') {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting webhook failures:', error);
+      throw error;
+    }
+  }
+
+  async getWebhookFailure(failureId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('failed_webhooks')
+        .select('*')
+        .eq('id', failureId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting webhook failure:', error);
+      throw error;
+    }
+  }
+
+  async claimWebhookFailureForReplay(failureId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('failed_webhooks')
+        .update({ status: 'replaying' })
+        .eq('id', failureId)
+        .eq('status', 'failed')
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error claiming webhook failure:', error);
+      throw error;
+    }
+  }
+
+  async updateWebhookFailure(failureId, fields) {
+    try {
+      const { data, error } = await this.supabase
+        .from('failed_webhooks')
+        .update(fields)
+        .eq('id', failureId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating webhook failure:', error);
+      throw error;
+    }
+  }
+
+  async getClaimStatus(claimToken) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .select(`
+          *,
+          orders (product_name, product_sku)
+        `)
+        .eq('claim_token', claimToken)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting claim status:', error);
+      return null;
+    }
+  }
+
+  async isOrderClaimed(shopifyOrderId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('claims')
+        .select('id')
+        .eq('shopify_order_id', shopifyOrderId)
+        .in('claim_status', ['processing', 'minted', 'confirmed']);
+
+      if (error) throw error;
+      return data && data.length > 0;
+    } catch (error) {
+      console.error('Error checking if order claimed:', error);
+      return false;
+    }
+  }
+
+  async getOrder(shopifyOrderId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('orders')
+        .select('*')
+        .eq('shopify_order_id', shopifyOrderId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting order:', error);
+      throw error;
+    }
+  }
+
+  // NFT eligibility rules managed from the admin API
+
+  async getEligibilityRules({ enabledOnly = false } = {}) {
+    try {
+      let query = this.supabase
+        .from('nft_eligibility_rules')
+        .select('*')
+        .order('priority', { ascending: false })
+        .order('created_at', { ascending: true });
+
+      if (enabledOnly) {
+        query = query.eq('enabled', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting eligibility rules:', error);
+      throw error;
+    }
+  }
+
+  async createEligibilityRule(rule) {
+    try {
+      const { data, error } = await this.supabase
+        .from('nft_eligibility_rules')
+        .insert([rule])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating eligibility rule:', error);
+      throw error;
+    }
+  }
+
+  async updateEligibilityRule(ruleId, fields) {
+    try {
+      const { data, error } = await this.supabase
+        .from('nft_eligibility_rules')
+        .update({
+          ...fields,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', ruleId)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating eligibility rule:', error);
+      throw error;
+    }
+  }
+
+  async deleteEligibilityRule(ruleId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('nft_eligibility_rules')
+        .delete()
+        .eq('id', ruleId)
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0;
+    } catch (error) {
+      console.error('Error deleting eligibility rule:', error);
+      throw error;
+    }
+  }
+
+  // Per-SKU NFT template and metadata catalog
+
+  async getCatalogEntries() {
+    try {
+      const { data, error } = await this.supabase
+        .from('product_catalog')
+        .select('*')
+        .order('sku', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting catalog entries:', error);
+      throw error;
+    }
+  }
+
+  async getCatalogEntry(sku) {
+    try {
+      const { data, error } = await this.supabase
+        .from('product_catalog')
+        .select('*')
+        .eq('sku', sku)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting catalog entry:', error);
+      throw error;
+    }
+  }
+
+  async upsertCatalogEntry(entry) {
+    try {
+      const { data, error } = await this.supabase
+        .from('product_catalog')
+        .upsert([{
+          ...entry,
+          updated_at: new Date().toISOString()
+        }], { onConflict: 'sku' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving catalog entry:', error);
+      throw error;
+    }
+  }
+
+  async deleteCatalogEntry(sku) {
+    try {
+      const { data, error } = await this.supabase
+        .from('product_catalog')
+        .delete()
+        .eq('sku', sku)
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0;
+    } catch (error) {
+      console.error('Error deleting catalog entry:', error);
+      throw error;
+    }
+  }
+
+  // Chain and contract per product line
+
+  async getCollectionContracts() {
+    try {
+      const { data, error } = await this.supabase
+        .from('collection_contracts')
+        .select('*')
+        .order('product_line', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting collection contracts:', error);
+      throw error;
+    }
+  }
+
+  async upsertCollectionContract(entry) {
+    try {
+      const { data, error } = await this.supabase
+        .from('collection_contracts')
+        .upsert([{
+          ...entry,
+          updated_at: new Date().toISOString()
+        }], { onConflict: 'product_line' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving collection contract:', error);
+      throw error;
+    }
+  }
+
+  // Only one row can be the default - cleared before another takes over
+  async clearDefaultCollectionContract(exceptProductLine) {
+    try {
+      const { error } = await this.supabase
+        .from('collection_contracts')
+        .update({ is_default: false, updated_at: new Date().toISOString() })
+        .eq('is_default', true)
+        .neq('product_line', exceptProductLine);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error clearing default collection contract:', error);
+      throw error;
+    }
+  }
+
+  async deleteCollectionContract(productLine) {
+    try {
+      const { data, error } = await this.supabase
+        .from('collection_contracts')
+        .delete()
+        .eq('product_line', productLine)
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0;
+    } catch (error) {
+      console.error('Error deleting collection contract:', error);
+      throw error;
+    }
+  }
+
+  // Products synced from Shopify
+
+  async getProduct(shopifyProductId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('products')
+        .select('*')
+        .eq('shopify_product_id', shopifyProductId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting product:', error);
+      throw error;
+    }
+  }
+
+  async getProductBySku(sku) {
+    try {
+      const { data, error } = await this.supabase
+        .from('products')
+        .select('*')
+        .contains('variant_skus', [sku])
+        .order('synced_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error getting product by SKU:', error);
+      throw error;
+    }
+  }
+
+  async getProducts({ search, limit = 50 } = {}) {
+    try {
+      let query = this.supabase
+        .from('products')
+        .select('shopify_product_id, title, handle, vendor, product_type, status, image_url, material, collections, variant_skus, shopify_updated_at, synced_at')
+        .order('title', { ascending: true })
+        .limit(limit);
+
+      if (search) {
+        query = query.ilike('title', `%${search}%`);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting products:', error);
+      throw error;
+    }
+  }
+
+  async upsertProduct(product) {
+    try {
+      const { data, error } = await this.supabase
+        .from('products')
+        .upsert([product], { onConflict: 'shopify_product_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving product:', error);
+      throw error;
+    }
+  }
+
+  // Historical order backfill jobs
+
+  async createBackfillJob(job) {
+    try {
+      const { data, error } = await this.supabase
+        .from('backfill_jobs')
+        .insert([job])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating backfill job:', error);
+      throw error;
+    }
+  }
+
+  async getBackfillJobs({ status = 'all', limit = 20 } = {}) {
+    try {
+      let query = this.supabase
+        .from('backfill_jobs')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (status !== 'all') {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting backfill jobs:', error);
+      throw error;
+    }
+  }
+
+  async getBackfillJob(jobId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('backfill_jobs')
+        .select('*')
+        .eq('id', jobId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting backfill job:', error);
+      throw error;
+    }
+  }
+
+  // Queued and failed jobs can be started; running jobs only once their
+  // heartbeat is older than staleBefore
+  async claimBackfillJob(jobId, staleBefore) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.supabase
+        .from('backfill_jobs')
+        .update({
+          status: 'running',
+          error_message: null,
+          started_at: now,
+          heartbeat_at: now
+        })
+        .eq('id', jobId)
+        .or(`status.in.(queued,failed),and(status.eq.running,heartbeat_at.lt.${staleBefore})`)
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error claiming backfill job:', error);
+      throw error;
+    }
+  }
+
+  async updateBackfillJob(jobId, fields) {
+    try {
+      const { data, error } = await this.supabase
+        .from('backfill_jobs')
+        .update(fields)
+        .eq('id', jobId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating backfill job:', error);
+      throw error;
+    }
+  }
+
+  // Full product sync runs
+
+  async createProductSyncRun(run) {
+    try {
+      const { data, error } = await this.supabase
+        .from('product_sync_runs')
+        .insert([run])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating product sync run:', error);
+      throw error;
+    }
+  }
+
+  async getProductSyncRuns({ status = 'all', limit = 20 } = {}) {
+    try {
+      let query = this.supabase
+        .from('product_sync_runs')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (status !== 'all') {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting product sync runs:', error);
+      throw error;
+    }
+  }
+
+  async getProductSyncRun(runId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('product_sync_runs')
+        .select('*')
+        .eq('id', runId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting product sync run:', error);
+      throw error;
+    }
+  }
+
+  // Queued and failed runs can be started; running runs only once their
+  // heartbeat is older than staleBefore
+  async claimProductSyncRun(runId, staleBefore) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.supabase
+        .from('product_sync_runs')
+        .update({
+          status: 'running',
+          error_message: null,
+          started_at: now,
+          heartbeat_at: now,
+          finished_at: null
+        })
+        .eq('id', runId)
+        .or(`status.in.(queued,failed),and(status.eq.running,heartbeat_at.lt.${staleBefore})`)
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error claiming product sync run:', error);
+      throw error;
+    }
+  }
+
+  async updateProductSyncRun(runId, fields) {
+    try {
+      const { data, error } = await this.supabase
+        .from('product_sync_runs')
+        .update(fields)
+        .eq('id', runId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating product sync run:', error);
+      throw error;
+    }
+  }
+
+  async createMintJob(job) {
+    try {
+      const { data, error } = await this.supabase
+        .from('mint_jobs')
+        .insert([job])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating mint job:', error);
+      throw error;
+    }
+  }
+
+  async getMintJobs({ status = 'all', limit = 50 } = {}) {
+    try {
+      let query = this.supabase
+        .from('mint_jobs')
+        .select(`
+          *,
+          claims (claim_token, customer_email, claim_status)
+        `)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (status !== 'all') {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting mint jobs:', error);
+      throw error;
+    }
+  }
+
+  async getLatestMintJobForClaim(claimId, { kind = null } = {}) {
+    try {
+      let query = this.supabase
+        .from('mint_jobs')
+        .select('*')
+        .eq('claim_id', claimId)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (kind) {
+        query = query.eq('kind', kind);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error getting mint job for claim:', error);
+      throw error;
+    }
+  }
+
+  // Queued jobs whose retry time has come, and running jobs whose heartbeat
+  // is older than staleBefore
+  async getDueMintJobs(now, staleBefore, limit = 10) {
+    try {
+      const { data, error } = await this.supabase
+        .from('mint_jobs')
+        .select('*')
+        .or(`and(status.eq.queued,next_attempt_at.lte.${now}),and(status.eq.running,heartbeat_at.lt.${staleBefore})`)
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting due mint jobs:', error);
+      throw error;
+    }
+  }
+
+  // Same conditions as getDueMintJobs, as a conditional update so only one
+  // worker runs an attempt - the attempt holds leaseId
+  async claimMintJob(jobId, now, staleBefore, leaseId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('mint_jobs')
+        .update({
+          status: 'running',
+          lease_id: leaseId,
+          started_at: now,
+          heartbeat_at: now
+        })
+        .eq('id', jobId)
+        .or(`and(status.eq.queued,next_attempt_at.lte.${now}),and(status.eq.running,heartbeat_at.lt.${staleBefore})`)
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error claiming mint job:', error);
+      throw error;
+    }
+  }
+
+  // Writes a job's state only while leaseId is still its lease - returns
+  // null once another worker has taken it over
+  async updateLeasedMintJob(jobId, leaseId, fields) {
+    try {
+      const { data, error } = await this.supabase
+        .from('mint_jobs')
+        .update({
+          ...fields,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', jobId)
+        .eq('lease_id', leaseId)
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error updating leased mint job:', error);
+      throw error;
+    }
+  }
+
+  // Renews the heartbeat only while the attempt holding leaseId still runs
+  // the job - returns null once another worker has taken it over
+  async renewMintJobLease(jobId, leaseId) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.supabase
+        .from('mint_jobs')
+        .update({
+          heartbeat_at: now,
+          updated_at: now
+        })
+        .eq('id', jobId)
+        .eq('status', 'running')
+        .eq('lease_id', leaseId)
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error renewing mint job lease:', error);
+      throw error;
+    }
+  }
+
+  // Fails a job only while nobody has started it - returns null otherwise
+  async cancelQueuedMintJob(jobId, reason) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.supabase
+        .from('mint_jobs')
+        .update({
+          status: 'failed',
+          last_error: reason,
+          finished_at: now,
+          updated_at: now
+        })
+        .eq('id', jobId)
+        .eq('status', 'queued')
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error cancelling mint job:', error);
+      throw error;
+    }
+  }
+
+  async getSignerNonce(address, chain) {
+    try {
+      const { data, error } = await this.supabase
+        .from('signer_nonces')
+        .select('*')
+        .eq('address', address)
+        .eq('chain', chain)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting signer nonce:', error);
+      throw error;
+    }
+  }
+
+  // Returns false if another instance created the row first
+  async createSignerNonce(address, chain, nextNonce) {
+    try {
+      const { error } = await this.supabase
+        .from('signer_nonces')
+        .insert([{ address, chain, next_nonce: nextNonce }]);
+
+      if (!error) return true;
+      if (error.code === '23505') return false;
+      throw error;
+    } catch (error) {
+      console.error('Error creating signer nonce:', error);
+      throw error;
+    }
+  }
+
+  // Compare-and-swap - returns false if the nonce moved since it was read
+  async advanceSignerNonce(address, chain, expectedNonce, nextNonce) {
+    try {
+      const { data, error } = await this.supabase
+        .from('signer_nonces')
+        .update({
+          next_nonce: nextNonce,
+          updated_at: new Date().toISOString()
+        })
+        .eq('address', address)
+        .eq('chain', chain)
+        .eq('next_nonce', expectedNonce)
+        .select();
+
+      if (error) throw error;
+      return Boolean(data && data.length > 0);
+    } catch (error) {
+      console.error('Error advancing signer nonce:', error);
+      throw error;
+    }
+  }
+
+  // Nonce and status of every send from fromNonce up
+  async getSignerTransactionNonces(address, chain, fromNonce) {
+    try {
+      const { data, error } = await this.supabase
+        .from('signer_transactions')
+        .select('nonce, status')
+        .eq('address', address)
+        .eq('chain', chain)
+        .gte('nonce', fromNonce);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting signer transaction nonces:', error);
+      throw error;
+    }
+  }
+
+  async createSignerTransaction(transaction) {
+    try {
+      const { data, error } = await this.supabase
+        .from('signer_transactions')
+        .insert([transaction])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating signer transaction:', error);
+      throw error;
+    }
+  }
+
+  async getSignerTransaction(transactionId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('signer_transactions')
+        .select('*')
+        .eq('id', transactionId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting signer transaction:', error);
+      throw error;
+    }
+  }
+
+  async getPendingSignerTransactions({ address = null, chain = null, limit = 50 } = {}) {
+    try {
+      let query = this.supabase
+        .from('signer_transactions')
+        .select('*')
+        .eq('status', 'pending')
+        .order('nonce', { ascending: true })
+        .limit(limit);
+
+      if (address) query = query.eq('address', address);
+      if (chain) query = query.eq('chain', chain);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting pending signer transactions:', error);
+      throw error;
+    }
+  }
+
+  async getPendingSignerTransactionForClaim(claimId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('signer_transactions')
+        .select('*')
+        .or(`claim_id.eq.${claimId},claim_ids.cs.{${claimId}}`)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error getting pending transaction for claim:', error);
+      throw error;
+    }
+  }
+
+  // Latest send for the claim (alone or in a batch), whatever its status
+  async getLatestSignerTransactionForClaim(claimId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('signer_transactions')
+        .select('*')
+        .or(`claim_id.eq.${claimId},claim_ids.cs.{${claimId}}`)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error getting latest transaction for claim:', error);
+      throw error;
+    }
+  }
+
+  // Latest successful send for the claim (alone or in a batch) with one of the purposes
+  async getMinedSignerTransactionForClaim(claimId, purposes) {
+    try {
+      const { data, error } = await this.supabase
+        .from('signer_transactions')
+        .select('*')
+        .or(`claim_id.eq.${claimId},claim_ids.cs.{${claimId}}`)
+        .eq('status', 'mined')
+        .eq('receipt_status', 1)
+        .in('purpose', purposes)
+        .order('mined_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error getting mined transaction for claim:', error);
+      throw error;
+    }
+  }
+
+  async updateSignerTransaction(transactionId, fields) {
+    try {
+      const { data, error } = await this.supabase
+        .from('signer_transactions')
+        .update({
+          ...fields,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', transactionId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating signer transaction:', error);
+      throw error;
+    }
+  }
+
+  // Compare-and-swap on current_hash - returns null if another hash was
+  // recorded for the nonce since the row was read
+  async replaceSignerTransactionHash(transactionId, expectedHash, fields) {
+    try {
+      let query = this.supabase
+        .from('signer_transactions')
+        .update({
+          ...fields,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', transactionId);
+
+      query = expectedHash ? query.eq('current_hash', expectedHash) : query.is('current_hash', null);
+      const { data, error } = await query.select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Error replacing signer transaction hash:', error);
+      throw error;
+    }
+  }
+
+  // Adds configured signers that aren't tracked yet, leaving existing rows as they are
+  async registerMinterSigners(addresses, chain) {
+    try {
+      const { error } = await this.supabase
+        .from('minter_signers')
+        .upsert(addresses.map(address => ({ address, chain })), {
+          onConflict: 'address,chain',
+          ignoreDuplicates: true
+        });
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error registering minter signers:', error);
+      throw error;
+    }
+  }
+
+  async getMinterSigners(chain) {
+    try {
+      const { data, error } = await this.supabase
+        .from('minter_signers')
+        .select('*')
+        .eq('chain', chain)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error getting minter signers:', error);
+      throw error;
+    }
+  }
+
+  async updateMinterSigner(address, chain, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('minter_signers')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('address', address)
+        .eq('chain', chain)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating minter signer:', error);
+      throw error;
+    }
+  }
+
+  // One row per claim per mint transaction (a batch mints several claims) -
+  // recording the same mint again updates it
+  async recordMintCost(cost) {
+    try {
+      const { data, error } = await this.supabase
+        .from('mint_costs')
+        .upsert([cost], { onConflict: 'transaction_hash,claim_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error recording mint cost:', error);
+      throw error;
+    }
+  }
+
+  async updateMintCostStatus(transactionHash, claimId, status) {
+    try {
+      const { data, error } = await this.supabase
+        .from('mint_costs')
+        .update({ status })
+        .eq('transaction_hash', transactionHash)
+        .eq('claim_id', claimId)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating mint cost status:', error);
+      throw error;
+    }
+  }
+
+  // Reads every page - reports cover more than the 1000-row response limit
+  async getMintCosts({ from = null, to = null } = {}) {
+    try {
+      const pageSize = 1000;
+      const rows = [];
+
+      for (let offset = 0; ; offset += pageSize) {
+        let query = this.supabase
+          .from('mint_costs')
+          .select('*')
+          .order('minted_at', { ascending: true })
+          .range(offset, offset + pageSize - 1);
+
+        if (from) query = query.gte('minted_at', from);
+        if (to) query = query.lt('minted_at', to);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+      }
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting mint costs:', error);
+      throw error;
     }
   }
 
@@ -0,0 +1,81 @@
+/**
+ * Edition Allocator
+ * Numbers the certificates of limited-edition product lines ("7 of 50").
+ * A claim gets the next free number the first time it is processed (or
+ * pre-minted) and keeps it through retries and re-mints. Numbers of revoked
+ * claims are retired, not reallocated - only a reissued soulbound
+ * certificate takes over the number of the one it replaces.
+ *
+ * Allocation reads the highest number issued and writes the next one to the
+ * claim; the unique index on (edition_product_line, edition_number) makes a
+ * concurrent allocation of the same number fail, and it is retried.
+ */
+class EditionAllocator {
+  constructor({ db, contractRegistry }) {
+    this.db = db;
+    this.contractRegistry = contractRegistry;
+    this.maxAttempts = 5;
+  }
+
+  edition(claim) {
+    return {
+      productLine: claim.edition_product_line,
+      number: claim.edition_number,
+      size: claim.edition_size,
+      label: `${claim.edition_number} of ${claim.edition_size}`
+    };
+  }
+
+  /**
+   * Edition number for a claim, allocated on first use
+   * @param {Object} claim
+   * @returns {Object|null} productLine, number, size and label - null when
+   *   the claim's product line isn't a limited edition
+   * @throws {Error} 409 with code EDITION_SOLD_OUT once every number is taken
+   */
+  async allocate(claim) {
+    if (claim.edition_number) return this.edition(claim);
+
+    const target = await this.contractRegistry.resolveClaim(claim);
+    if (!target.editionSize) return null;
+
+    for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+      const number = (await this.db.getHighestEditionNumber(target.productLine)) + 1;
+      if (number > target.editionSize) {
+        const error = new Error(`${target.productLine} is sold out - all ${target.editionSize} editions have been issued`);
+        error.statusCode = 409;
+        error.code = 'EDITION_SOLD_OUT';
+        throw error;
+      }
+
+      const assigned = await this.db.assignEditionNumber(claim.id, {
+        edition_product_line: target.productLine,
+        edition_number: number,
+        edition_size: target.editionSize,
+        edition_allocated_at: new Date().toISOString()
+      });
+
+      if (assigned) {
+        console.log(`🔢 Claim ${claim.claim_token} is edition ${number} of ${target.editionSize} (${target.productLine})`);
+        return this.edition(assigned);
+      }
+
+      // Allocated by a concurrent request for the same claim
+      if (assigned === null) {
+        return this.edition(await this.db.getClaim(claim.id));
+      }
+    }
+
+    throw new Error(`Could not allocate an edition number for ${target.productLine}`);
+  }
+
+  /**
+   * Numbers issued and left for a limited-edition product line
+   */
+  async getSummary(productLine, editionSize) {
+    const issued = await this.db.getHighestEditionNumber(productLine);
+    return { issued, remaining: Math.max(editionSize - issued, 0), soldOut: issued >= editionSize };
+  }
+}
+
+module.exports = EditionAllocator;
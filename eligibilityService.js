@@ -0,0 +1,251 @@
+/**
+ * NFT Eligibility Rules Engine
+ * Decides per line item whether a purchase earns a Certificate of Authenticity.
+ * Rules are managed by merchandising through the admin API and stored in
+ * the nft_eligibility_rules table.
+ *
+ * A line item is eligible when it matches at least one enabled "include" rule
+ * and no enabled "exclude" rule. Every condition set on a rule must match;
+ * list conditions match when any of their values match.
+ *
+ * Discount codes come in two forms: discount_codes matches when the order
+ * used one of the codes (an exclude rule with it excludes those orders), and
+ * excluded_discount_codes matches when it used none of them. The latter is
+ * for include rules only - on an exclude rule it would exclude every order
+ * that didn't use a code, so the admin API rejects it there.
+ */
+
+// Used until the first include rule is created - mirrors the original
+// hard-coded check. Exclude rules created before then apply on top of them.
+const DEFAULT_RULES = [
+  {
+    id: 'default-product-type',
+    name: 'Product type is "NFT Eligible"',
+    effect: 'include',
+    enabled: true,
+    priority: 0,
+    conditions: { product_types: ['NFT Eligible'] }
+  },
+  {
+    id: 'default-tag',
+    name: 'Tagged nft-eligible',
+    effect: 'include',
+    enabled: true,
+    priority: 0,
+    conditions: { tags: ['nft-eligible'] }
+  }
+];
+
+// Without an include rule nothing would be eligible, so the defaults stay
+function withDefaultRules(rules) {
+  const hasInclude = rules.some(rule => (rule.effect || 'include') === 'include' && rule.enabled !== false);
+  return hasInclude ? rules : [...DEFAULT_RULES, ...rules];
+}
+
+// What a line item carries itself, for items without a synced product
+function lineItemAttributes(item) {
+  return {
+    tags: item.tags,
+    productType: item.product_type,
+    vendor: item.vendor,
+    collections: item.collections || []
+  };
+}
+
+class EligibilityService {
+  constructor({ db, productResolver }) {
+    this.db = db;
+    this.cacheTtlMs = 60 * 1000;
+    this.cachedRules = null;
+    this.cachedAt = 0;
+
+    // Shopify line items carry no tags, product type or collections -
+    // resolves them from the item's synced product: (item, order) → attributes,
+    // or null if there is none
+    this.productResolver = productResolver || (async () => null);
+  }
+
+  /**
+   * Load enabled rules, cached briefly so webhook bursts don't hit the database
+   * @returns {Object} { rules, source } where source is 'database', 'default',
+   *   or 'database+default' for stored exclude rules over the default includes
+   */
+  async getRules() {
+    if (this.cachedRules && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cachedRules;
+    }
+
+    const rules = await this.db.getEligibilityRules({ enabledOnly: true });
+
+    const merged = withDefaultRules(rules);
+    let source = 'database';
+    if (rules.length === 0) source = 'default';
+    else if (merged !== rules) source = 'database+default';
+
+    this.cachedRules = { rules: merged, source };
+    this.cachedAt = Date.now();
+
+    return this.cachedRules;
+  }
+
+  invalidateCache() {
+    this.cachedRules = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Evaluate every line item of an order
+   * @param {Object} order - Shopify order payload
+   * @param {Object} [options]
+   * @param {Array} [options.rules] - Draft rules to evaluate instead of the stored ones
+   * @returns {Object} Eligibility, the eligible line items and a per-item explanation
+   */
+  async evaluateOrder(order, { rules: draftRules } = {}) {
+    const { rules, source } = draftRules
+      ? { rules: withDefaultRules(draftRules), source: 'draft' }
+      : await this.getRules();
+
+    const activeRules = rules
+      .filter(rule => rule.enabled !== false)
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+    const lineItems = [];
+    for (const item of order.line_items || []) {
+      lineItems.push(await this.evaluateLineItem(item, order, activeRules));
+    }
+
+    const eligibleIds = new Set(lineItems.filter(result => result.eligible).map(result => result.lineItemId));
+
+    return {
+      eligible: eligibleIds.size > 0,
+      eligibleLineItems: (order.line_items || []).filter(item => eligibleIds.has(String(item.id))),
+      lineItems,
+      rulesSource: source,
+      rulesEvaluated: activeRules.length
+    };
+  }
+
+  async evaluateLineItem(item, order, rules) {
+    const product = (await this.productResolver(item, order)) || lineItemAttributes(item);
+    const ruleResults = rules.map(rule => ({
+      ruleId: rule.id,
+      ruleName: rule.name,
+      effect: rule.effect || 'include',
+      ...this.evaluateRule(rule, item, order, product)
+    }));
+
+    const includedBy = ruleResults.filter(result => result.effect === 'include' && result.matched);
+    const excludedBy = ruleResults.filter(result => result.effect === 'exclude' && result.matched);
+    const eligible = includedBy.length > 0 && excludedBy.length === 0;
+
+    let reason;
+    if (excludedBy.length > 0) {
+      reason = `Excluded by rule "${excludedBy[0].ruleName}"`;
+    } else if (includedBy.length > 0) {
+      reason = `Included by rule "${includedBy[0].ruleName}"`;
+    } else {
+      reason = 'No include rule matched';
+    }
+
+    return {
+      lineItemId: String(item.id),
+      name: item.name,
+      sku: item.sku,
+      eligible,
+      reason,
+      rules: ruleResults
+    };
+  }
+
+  /**
+   * Check one rule against one line item
+   * @param {Object} [product] - { tags, productType, vendor, collections } of
+   *   the item's product; defaults to what the line item carries
+   * @returns {Object} { matched, reasons } - one reason per condition checked
+   */
+  evaluateRule(rule, item, order, product = lineItemAttributes(item)) {
+    const conditions = rule.conditions || {};
+    const reasons = [];
+    let matched = true;
+
+    const check = (passed, description) => {
+      reasons.push(`${passed ? '✓' : '✗'} ${description}`);
+      if (!passed) matched = false;
+    };
+
+    if (conditions.tags?.length) {
+      const tags = this.normalizeList(product.tags);
+      const hit = conditions.tags.find(tag => tags.includes(tag.toLowerCase()));
+      check(!!hit, hit ? `tag "${hit}"` : `none of tags [${conditions.tags.join(', ')}]`);
+    }
+
+    if (conditions.product_types?.length) {
+      const productType = (product.productType || '').toLowerCase();
+      const hit = conditions.product_types.find(type => type.toLowerCase() === productType);
+      check(!!hit, `product type "${product.productType || ''}" ${hit ? 'is' : 'not'} in [${conditions.product_types.join(', ')}]`);
+    }
+
+    if (conditions.vendors?.length) {
+      const vendor = (product.vendor || '').toLowerCase();
+      const hit = conditions.vendors.find(candidate => candidate.toLowerCase() === vendor);
+      check(!!hit, `vendor "${product.vendor || ''}" ${hit ? 'is' : 'not'} in [${conditions.vendors.join(', ')}]`);
+    }
+
+    if (conditions.collections?.length) {
+      const itemCollections = this.normalizeList(product.collections);
+      const hit = conditions.collections.find(collection => itemCollections.includes(collection.toLowerCase()));
+      check(!!hit, hit ? `collection "${hit}"` : `not in any of collections [${conditions.collections.join(', ')}]`);
+    }
+
+    if (conditions.sku_patterns?.length) {
+      const hit = conditions.sku_patterns.find(pattern => this.matchesSkuPattern(item.sku, pattern));
+      check(!!hit, hit ? `SKU "${item.sku}" matches "${hit}"` : `SKU "${item.sku || ''}" matches none of [${conditions.sku_patterns.join(', ')}]`);
+    }
+
+    if (conditions.min_price !== undefined && conditions.min_price !== null) {
+      const price = parseFloat(item.price);
+      check(price >= conditions.min_price, `price ${isNaN(price) ? 'unknown' : price} ${price >= conditions.min_price ? '>=' : '<'} minimum ${conditions.min_price}`);
+    }
+
+    if (conditions.starts_at || conditions.ends_at) {
+      const orderDate = new Date(order.processed_at || order.created_at || Date.now());
+      const afterStart = !conditions.starts_at || orderDate >= new Date(conditions.starts_at);
+      const beforeEnd = !conditions.ends_at || orderDate <= new Date(conditions.ends_at);
+      check(afterStart && beforeEnd, `order date ${orderDate.toISOString()} ${afterStart && beforeEnd ? 'inside' : 'outside'} window ${conditions.starts_at || '…'} → ${conditions.ends_at || '…'}`);
+    }
+
+    const usedCodes = (order.discount_codes || []).map(discount => (discount.code || '').toLowerCase());
+
+    if (conditions.discount_codes?.length) {
+      const hit = conditions.discount_codes.find(code => usedCodes.includes(code.toLowerCase()));
+      check(!!hit, hit ? `discount code "${hit}" used` : `none of discount codes [${conditions.discount_codes.join(', ')}] used`);
+    }
+
+    if (conditions.excluded_discount_codes?.length) {
+      const hit = conditions.excluded_discount_codes.find(code => usedCodes.includes(code.toLowerCase()));
+      check(!hit, hit ? `discount code "${hit}" is excluded` : 'no excluded discount code used');
+    }
+
+    if (reasons.length === 0) {
+      reasons.push('✓ rule has no conditions');
+    }
+
+    return { matched, reasons };
+  }
+
+  /**
+   * SKU patterns use * as a wildcard, e.g. "MVC-*-LTD"
+   */
+  matchesSkuPattern(sku, pattern) {
+    if (!sku) return false;
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`, 'i').test(sku);
+  }
+
+  normalizeList(value) {
+    const list = Array.isArray(value) ? value : (value || '').split(',');
+    return list.map(entry => String(entry).trim().toLowerCase()).filter(Boolean);
+  }
+}
+
+module.exports = EligibilityService;
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { chainName } = require('./contractRegistry');
 
 class MicrosoftGraphEmailService {
   constructor() {
@@ -98,6 +99,73 @@ class MicrosoftGraphEmailService {
     }
   }
 
+  async sendClaimsEmail(customerEmail, claims, orderData) {
+    // A single certificate keeps the original one-link email
+    if (claims.length === 1) {
+      return this.sendClaimEmail(customerEmail, claims[0].claim_token, {
+        ...orderData,
+        product_name: claims[0].product_name || orderData.product_name,
+        product_sku: claims[0].product_sku || orderData.product_sku
+      });
+    }
+
+    try {
+      const accessToken = await this.getAccessToken();
+      const claimItems = claims.map(claim => ({
+        claimUrl: `${process.env.CLAIM_PORTAL_URL}?token=${claim.claim_token}`,
+        productName: claim.product_name || orderData.product_name,
+        productSku: claim.product_sku || orderData.product_sku,
+        unitLabel: claim.unit_count > 1 ? `${claim.unit_index} of ${claim.unit_count}` : null
+      }));
+
+      const emailMessage = {
+        message: {
+          subject: `🎉 Claim Your ${claims.length} NFT Certificates of Authenticity - Mavire Codoir`,
+          body: {
+            contentType: 'HTML',
+            content: this.generateEmailHTML(claimItems[0].claimUrl, orderData, claimItems)
+          },
+          toRecipients: [
+            {
+              emailAddress: {
+                address: customerEmail
+              }
+            }
+          ],
+          from: {
+            emailAddress: {
+              address: this.fromEmail,
+              name: 'Mavire Codoir'
+            }
+          }
+        },
+        saveToSentItems: true
+      };
+
+      const response = await axios.post(
+        `${this.graphEndpoint}/users/${this.fromEmail}/sendMail`,
+        emailMessage,
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      console.log(`Claim email with ${claims.length} certificates sent via Microsoft Graph to:`, customerEmail);
+      return {
+        success: true,
+        messageId: response.headers['request-id'] || 'graph-api',
+        service: 'Microsoft Graph'
+      };
+
+    } catch (error) {
+      console.error('Failed to send email via Microsoft Graph:', error.response?.data || error.message);
+      throw new Error(`Failed to send claim email: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
   async sendWelcomeEmail(customerEmail, walletData, nftData, orderData) {
     try {
       const accessToken = await this.getAccessToken();
@@ -150,7 +218,35 @@ class MicrosoftGraphEmailService {
     }
   }
 
-  generateEmailHTML(claimUrl, orderData) {
+  generateEmailHTML(claimUrl, orderData, claimItems = null) {
+    // Orders with several eligible pieces get one claim link per certificate
+    const isMultiClaim = Array.isArray(claimItems) && claimItems.length > 1;
+    const productNames = isMultiClaim
+      ? [...new Set(claimItems.map(item => item.productName))].join(', ')
+      : orderData.product_name;
+    const productSkus = isMultiClaim
+      ? [...new Set(claimItems.map(item => item.productSku))].join(', ')
+      : orderData.product_sku;
+
+    const introHTML = isMultiClaim
+      ? `Your order includes <strong style="color: #667eea; font-size: 18px;">${claimItems.length}</strong> complimentary NFT Certificates of Authenticity - one for each piece.`
+      : `Your order for <strong style="color: #667eea; font-size: 18px;">${orderData.product_name}</strong> includes a complimentary NFT Certificate of Authenticity.`;
+
+    const claimButtonsHTML = isMultiClaim
+      ? claimItems.map(item => `
+                  <div style="background: white; border-radius: 12px; padding: 18px; margin: 0 0 15px 0; border: 1px solid #e1e8ed;">
+                      <p style="color: #333; margin: 0 0 12px 0; font-size: 16px; font-weight: 600;">${item.productName}${item.unitLabel ? ` <span style="color: #888; font-weight: 400;">(${item.unitLabel})</span>` : ''}</p>
+                      <a href="${item.claimUrl}" 
+                         style="background: linear-gradient(135deg, #4caf50 0%, #45a049 100%); color: white; padding: 12px 28px; text-decoration: none; border-radius: 30px; font-weight: 600; display: inline-block; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">
+                          🚀 Claim This Certificate
+                      </a>
+                  </div>`).join('')
+      : `
+                  <a href="${claimUrl}" 
+                     style="background: linear-gradient(135deg, #4caf50 0%, #45a049 100%); color: white; padding: 18px 40px; text-decoration: none; border-radius: 30px; font-weight: 600; display: inline-block; font-size: 16px; box-shadow: 0 6px 20px rgba(76, 175, 80, 0.3); text-transform: uppercase; letter-spacing: 1px; transition: all 0.3s ease;">
+                      🚀 Claim My NFT Certificate
+                  </a>`;
+
     return `
       <!DOCTYPE html>
       <html>
@@ -172,20 +268,16 @@ class MicrosoftGraphEmailService {
               <h2 style="color: #2c3e50; margin-bottom: 25px; font-size: 28px; text-align: center;">Thank you for your purchase! 🎉</h2>
               
               <p style="font-size: 16px; line-height: 1.8; color: #555; margin-bottom: 25px; text-align: center;">
-                  Your order for <strong style="color: #667eea; font-size: 18px;">${orderData.product_name}</strong> includes a complimentary NFT Certificate of Authenticity.
+                  ${introHTML}
               </p>
               
               <div style="background: linear-gradient(135deg, #e8f4f8 0%, #f4e8f8 100%); border-radius: 20px; padding: 30px; margin: 30px 0; text-align: center; border: 2px solid #e1e8ed;">
                   <div style="margin-bottom: 20px;">
                       <span style="font-size: 48px;">🎨</span>
                   </div>
-                  <h3 style="color: #1976d2; margin: 0 0 20px 0; font-size: 24px; font-weight: 600;">Your Unique NFT Certificate</h3>
-                  <p style="color: #666; margin-bottom: 25px; font-size: 16px; line-height: 1.6;">Click below to claim your blockchain-verified Certificate of Authenticity:</p>
-                  
-                  <a href="${claimUrl}" 
-                     style="background: linear-gradient(135deg, #4caf50 0%, #45a049 100%); color: white; padding: 18px 40px; text-decoration: none; border-radius: 30px; font-weight: 600; display: inline-block; font-size: 16px; box-shadow: 0 6px 20px rgba(76, 175, 80, 0.3); text-transform: uppercase; letter-spacing: 1px; transition: all 0.3s ease;">
-                      🚀 Claim My NFT Certificate
-                  </a>
+                  <h3 style="color: #1976d2; margin: 0 0 20px 0; font-size: 24px; font-weight: 600;">${isMultiClaim ? 'Your Unique NFT Certificates' : 'Your Unique NFT Certificate'}</h3>
+                  <p style="color: #666; margin-bottom: 25px; font-size: 16px; line-height: 1.6;">${isMultiClaim ? 'Each piece has its own certificate. Click below to claim each blockchain-verified Certificate of Authenticity:' : 'Click below to claim your blockchain-verified Certificate of Authenticity:'}</p>
+                  ${claimButtonsHTML}
               </div>
               
               <div style="background: #fff3cd; border-left: 5px solid #ffa726; padding: 25px; margin: 30px 0; border-radius: 8px;">
@@ -207,11 +299,11 @@ class MicrosoftGraphEmailService {
                       </div>
                       <div style="display: flex; justify-content: space-between; margin-bottom: 10px; padding: 8px 0; border-bottom: 1px solid #eee;">
                           <span><strong>Product:</strong></span>
-                          <span>${orderData.product_name}</span>
+                          <span>${productNames}</span>
                       </div>
                       <div style="display: flex; justify-content: space-between; padding: 8px 0;">
                           <span><strong>SKU:</strong></span>
-                          <span>${orderData.product_sku}</span>
+                          <span>${productSkus}</span>
                       </div>
                   </div>
               </div>
@@ -273,6 +365,7 @@ class MicrosoftGraphEmailService {
                       <li><strong>Import to MetaMask</strong> - Use your private key to access your NFT</li>
                       <li><strong>Blockchain verified</strong> - Your certificate cannot be forged</li>
                       <li><strong>Permanent record</strong> - This proves authenticity forever</li>
+                      ${nftData.soulbound ? '<li><strong>Bound to you</strong> - This certificate can\'t be transferred; contact us if you lose access to your wallet</li>' : ''}
                   </ul>
               </div>
 
@@ -285,11 +378,16 @@ class MicrosoftGraphEmailService {
                       </div>
                       <div style="display: flex; justify-content: space-between; margin-bottom: 10px; padding: 8px 0; border-bottom: 1px solid #eee;">
                           <span><strong>Contract:</strong></span>
-                          <span style="font-family: monospace; font-size: 12px;">${process.env.THIRDWEB_CONTRACT_ADDRESS}</span>
+                          <span style="font-family: monospace; font-size: 12px;">${nftData.contractAddress || process.env.THIRDWEB_CONTRACT_ADDRESS}</span>
                       </div>
+                      ${nftData.edition ? `
+                      <div style="display: flex; justify-content: space-between; margin-bottom: 10px; padding: 8px 0; border-bottom: 1px solid #eee;">
+                          <span><strong>Edition:</strong></span>
+                          <span>${nftData.edition.number} of ${nftData.edition.size}</span>
+                      </div>` : ''}
                       <div style="display: flex; justify-content: space-between; padding: 8px 0;">
                           <span><strong>Network:</strong></span>
-                          <span>Polygon</span>
+                          <span>${chainName(nftData.network || process.env.THIRDWEB_CHAIN || 'polygon')}</span>
                       </div>
                   </div>
               </div>
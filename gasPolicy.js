@@ -0,0 +1,119 @@
+const { ethers } = require('ethers');
+
+/**
+ * Gas Price Policy
+ * Prices mint transactions instead of taking whatever the SDK picks:
+ *
+ *   GAS_MAX_FEE_GWEI      - highest max fee per gas a mint may pay
+ *   GAS_PRIORITY_FEE_GWEI - tip per gas (defaults to the network's suggestion)
+ *   MINT_GAS_BUDGET       - most a single mint may cost, in the native token
+ *
+ * The max fee sent is the lowest of the cap, the budget spread over the gas
+ * limit, and twice the base fee plus the tip. When the network's current
+ * price (base fee plus tip) is already above that, the mint is deferred
+ * rather than sent.
+ */
+class GasPolicy {
+  constructor() {
+    this.maxFeePerGas = process.env.GAS_MAX_FEE_GWEI
+      ? ethers.utils.parseUnits(process.env.GAS_MAX_FEE_GWEI, 'gwei')
+      : null;
+    this.priorityFeePerGas = process.env.GAS_PRIORITY_FEE_GWEI
+      ? ethers.utils.parseUnits(process.env.GAS_PRIORITY_FEE_GWEI, 'gwei')
+      : null;
+    this.mintBudget = process.env.MINT_GAS_BUDGET
+      ? ethers.utils.parseEther(process.env.MINT_GAS_BUDGET)
+      : null;
+
+    // How long a deferred mint waits before gas is checked again
+    this.deferMs = parseInt(process.env.GAS_DEFER_MS, 10) || 2 * 60 * 1000;
+  }
+
+  // Highest max fee per gas allowed for a transaction with this gas limit
+  feeCeiling(gasLimit) {
+    const limits = [];
+    if (this.maxFeePerGas) limits.push(this.maxFeePerGas);
+    if (this.mintBudget && gasLimit) limits.push(this.mintBudget.div(gasLimit));
+    if (limits.length === 0) return null;
+    return limits.reduce((lowest, limit) => (limit.lt(lowest) ? limit : lowest));
+  }
+
+  /**
+   * Fees for a mint at current network prices
+   * @param {Object} provider - Provider for the mint's chain
+   * @param {BigNumber} gasLimit - Gas limit of the populated transaction
+   * @returns {Object} maxFeePerGas and maxPriorityFeePerGas, or gasPrice on
+   *   chains without EIP-1559
+   * @throws {Error} code GAS_DEFERRED, with the prices in error.deferral,
+   *   while gas is above the policy
+   */
+  async price(provider, gasLimit) {
+    const feeData = await provider.getFeeData();
+    const ceiling = this.feeCeiling(gasLimit);
+
+    if (!feeData.lastBaseFeePerGas) {
+      // Legacy pricing - the gas price itself is capped
+      if (ceiling && feeData.gasPrice.gt(ceiling)) {
+        throw this.deferral(feeData.gasPrice, ceiling, gasLimit);
+      }
+      return { gasPrice: feeData.gasPrice, maxFeePerGas: undefined, maxPriorityFeePerGas: undefined };
+    }
+
+    const priorityFee = this.priorityFeePerGas || feeData.maxPriorityFeePerGas;
+    const currentPrice = feeData.lastBaseFeePerGas.add(priorityFee);
+    if (ceiling && currentPrice.gt(ceiling)) {
+      throw this.deferral(currentPrice, ceiling, gasLimit);
+    }
+
+    // Headroom for the base fee to rise before the mint is included
+    let maxFee = feeData.lastBaseFeePerGas.mul(2).add(priorityFee);
+    if (ceiling && maxFee.gt(ceiling)) maxFee = ceiling;
+
+    return { gasPrice: undefined, maxFeePerGas: maxFee, maxPriorityFeePerGas: priorityFee };
+  }
+
+  deferral(currentPrice, ceiling, gasLimit) {
+    const error = new Error(
+      `Gas is ${ethers.utils.formatUnits(currentPrice, 'gwei')} gwei, above the ${ethers.utils.formatUnits(ceiling, 'gwei')} gwei mint limit`
+    );
+    error.code = 'GAS_DEFERRED';
+    error.deferral = {
+      currentGwei: ethers.utils.formatUnits(currentPrice, 'gwei'),
+      limitGwei: ethers.utils.formatUnits(ceiling, 'gwei'),
+      estimatedCost: gasLimit ? ethers.utils.formatEther(currentPrice.mul(gasLimit)) : null,
+      budget: this.mintBudget ? ethers.utils.formatEther(this.mintBudget) : null
+    };
+    return error;
+  }
+
+  /**
+   * Clamp replacement fees to the policy. Returns null when the clamped fees
+   * are no longer enough of a bump for the node to accept the replacement.
+   */
+  capReplacementFees(fees, minimumFees, gasLimit) {
+    const ceiling = this.feeCeiling(gasLimit);
+    if (!ceiling) return fees;
+
+    const field = fees.maxFeePerGas ? 'maxFeePerGas' : 'gasPrice';
+    if (fees[field].lte(ceiling)) return fees;
+    if (minimumFees[field] && ceiling.lt(minimumFees[field])) return null;
+
+    const capped = { ...fees, [field]: ceiling };
+    if (capped.maxPriorityFeePerGas && capped.maxPriorityFeePerGas.gt(ceiling)) {
+      capped.maxPriorityFeePerGas = ceiling;
+    }
+    return capped;
+  }
+
+  getSettings() {
+    const gwei = value => (value ? ethers.utils.formatUnits(value, 'gwei') : null);
+    return {
+      maxFeeGwei: gwei(this.maxFeePerGas),
+      priorityFeeGwei: gwei(this.priorityFeePerGas),
+      mintBudget: this.mintBudget ? ethers.utils.formatEther(this.mintBudget) : null,
+      deferMs: this.deferMs
+    };
+  }
+}
+
+module.exports = GasPolicy;
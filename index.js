@@ -3,7 +3,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { ThirdwebSDK } = require('@thirdweb-dev/sdk');
-const { v4: uuidv4 } = require('uuid');
+const { ethers } = require('ethers');
 const Joi = require('joi');
 const crypto = require('crypto');
 const path = require('path');
@@ -12,6 +12,32 @@ const CloudinaryCoAGenerator = require('./cloudinaryCoAGenerator');
 const DatabaseService = require('./databaseService');
 const WalletService = require('./walletService');
 const MicrosoftGraphEmailService = require('./emailService');
+const ShopifyWebhookVerifier = require('./shopifyWebhookVerifier');
+const ShopifyWebhookHandler = require('./shopifyWebhookHandler');
+const WebhookDeliveryLedger = require('./webhookDeliveryLedger');
+const ClaimPipeline = require('./claimPipeline');
+const CommerceWebhookHandler = require('./commerceWebhookHandler');
+const StripeAdapter = require('./adapters/stripeAdapter');
+const WooCommerceAdapter = require('./adapters/wooCommerceAdapter');
+const EligibilityService = require('./eligibilityService');
+const ShopifyAdminClient = require('./shopifyAdminClient');
+const OrderBackfillService = require('./orderBackfillService');
+const ProductSyncService = require('./productSyncService');
+const SignerService = require('./signerService');
+const GasPolicy = require('./gasPolicy');
+const NativePriceSource = require('./nativePriceSource');
+const MintCostLedger = require('./mintCostLedger');
+const NftMintService = require('./nftMintService');
+const MintJobQueue = require('./mintJobQueue');
+const VaultService = require('./vaultService');
+const EditionAllocator = require('./editionAllocator');
+const SoulboundService = require('./soulboundService');
+const TokenMetadataService = require('./tokenMetadataService');
+const { createContentStore, isCid, contentSha256 } = require('./contentStore');
+const { ContractRegistry, CHAINS } = require('./contractRegistry');
+const ClaimProgressBus = require('./claimProgressBus');
+const ConfirmationTracker = require('./confirmationTracker');
+const { ClaimStateMachine, MINTED_STATUSES } = require('./claimStateMachine');
 
 console.log('🚀 Starting Mavire Codoir NFT Minting System...');
 
@@ -36,6 +62,50 @@ const coaGenerator = new CloudinaryCoAGenerator();
 const db = new DatabaseService();
 const walletService = new WalletService();
 const emailService = new MicrosoftGraphEmailService();
+const shopifyWebhookVerifier = new ShopifyWebhookVerifier();
+const shopifyAdminClient = new ShopifyAdminClient();
+const productSyncService = new ProductSyncService({ db, shopifyAdminClient });
+const eligibilityService = new EligibilityService({
+  db,
+  productResolver: (item, order) => productSyncService.resolveProductAttributes(item, order)
+});
+const webhookLedger = new WebhookDeliveryLedger({ db });
+const claimPipeline = new ClaimPipeline({
+  db,
+  emailService,
+  eligibilityService,
+  onClaimsCreated: claims => vaultService.premint(claims)
+});
+const shopifyWebhookHandler = new ShopifyWebhookHandler({ db, ledger: webhookLedger, claimPipeline, productSyncService });
+const commerceWebhookHandler = new CommerceWebhookHandler({ ledger: webhookLedger, claimPipeline });
+const stripeAdapter = new StripeAdapter();
+const wooCommerceAdapter = new WooCommerceAdapter();
+const orderBackfillService = new OrderBackfillService({ db, shopifyAdminClient, shopifyWebhookHandler, eligibilityService });
+const claimProgressBus = new ClaimProgressBus();
+const claimStateMachine = new ClaimStateMachine({
+  db,
+  isClaimBusy: claim => mintJobQueue.isClaimBusy(claim),
+  progress: claimProgressBus
+});
+const gasPolicy = new GasPolicy();
+const mintCostLedger = new MintCostLedger({ db, priceSource: new NativePriceSource() });
+const contractRegistry = new ContractRegistry({ db });
+const signerService = new SignerService({ db, gasPolicy, contractRegistry });
+const contentStore = createContentStore();
+const nftMintService = new NftMintService({ db, coaGenerator, signerService, gasPolicy, contractRegistry, contentStore });
+const mintJobQueue = new MintJobQueue({ db, claimStateMachine, nftMintService, emailService, gasPolicy, costLedger: mintCostLedger, progress: claimProgressBus });
+const editionAllocator = new EditionAllocator({ db, contractRegistry });
+const vaultService = new VaultService({ db, signerService, mintJobQueue, contractRegistry, editionAllocator });
+const soulboundService = new SoulboundService({ db, claimStateMachine, nftMintService, emailService });
+const tokenMetadataService = new TokenMetadataService({ db, signerService, nftMintService, contractRegistry });
+const confirmationTracker = new ConfirmationTracker({
+  db,
+  claimStateMachine,
+  nftMintService,
+  mintJobQueue,
+  costLedger: mintCostLedger,
+  progress: claimProgressBus
+});
 
 // Session store for admin authentication
 const adminSessions = new Map();
@@ -73,8 +143,13 @@ const webhookLimiter = rateLimit({
   message: { error: 'Webhook rate limit exceeded' }
 });
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing - keep the raw bytes so webhook signatures can be verified
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 // Middleware to verify admin session
@@ -909,7 +984,7 @@ app.post('/api/mint', async (req, res) => {
           message: 'Valid claim found - ready to mint NFT',
           claimData: {
             orderId: claim.shopify_order_id,
-            productName: claim.orders?.product_name || 'NFT Product',
+            productName: claim.product_name || claim.orders?.product_name || 'NFT Product',
             expiresAt: claim.expires_at,
             orderNumber: claim.orders?.shopify_order_number
           }
@@ -1120,11 +1195,11 @@ app.post('/api/test-email', requireAdminAuth, async (req, res) => {
       // Send different types of emails based on request
       switch (emailType) {
         case 'welcome':
-          // For welcome email, update claim to completed status first
+          // For welcome email, update claim to minted status first
           await db.supabase
             .from('claims')
             .update({
-              claim_status: 'completed',
+              claim_status: 'minted',
               claimed_at: new Date().toISOString(),
               wallet_address: mockWalletData.address,
               nft_token_id: mockNftData.tokenId,
@@ -1390,6 +1465,41 @@ app.get('/api/debug/environment', requireAdminAuth, (req, res) => {
         format: 'Hidden for security'
       },
       
+      // Webhook verification
+      SHOPIFY_WEBHOOK_SECRET: {
+        present: shopifyWebhookVerifier.isConfigured(),
+        secretsConfigured: shopifyWebhookVerifier.secrets.length,
+        format: 'Hidden for security'
+      },
+
+      // Other commerce sources
+      STRIPE_WEBHOOK_SECRET: {
+        present: stripeAdapter.isConfigured(),
+        secretKeyPresent: !!process.env.STRIPE_SECRET_KEY,
+        format: 'Hidden for security'
+      },
+      WOOCOMMERCE_WEBHOOK_SECRET: {
+        present: wooCommerceAdapter.isConfigured(),
+        format: 'Hidden for security'
+      },
+
+      // Order backfill
+      SHOPIFY_ADMIN_ACCESS_TOKEN: {
+        present: shopifyAdminClient.isConfigured(),
+        shopDomain: process.env.SHOPIFY_SHOP_DOMAIN || 'Missing',
+        format: 'Hidden for security'
+      },
+
+      // Mint job worker
+      CRON_SECRET: {
+        present: !!process.env.CRON_SECRET,
+        format: 'Hidden for security'
+      },
+      MINT_BATCH_WINDOW_MS: {
+        value: mintJobQueue.batchWindowMs,
+        worker: mintJobQueue.scheduledOnly ? 'Scheduled only (serverless)' : 'In process and scheduled'
+      },
+      
       // Other critical vars
       THIRDWEB_CLIENT_ID: {
         present: !!process.env.THIRDWEB_CLIENT_ID,
@@ -1403,6 +1513,24 @@ app.get('/api/debug/environment', requireAdminAuth, (req, res) => {
         present: !!process.env.THIRDWEB_PRIVATE_KEY,
         length: process.env.THIRDWEB_PRIVATE_KEY?.length || 0
       },
+      MINTER_PRIVATE_KEYS: {
+        present: !!process.env.MINTER_PRIVATE_KEYS,
+        signers: signerService.getAddresses().length,
+        format: 'Hidden for security'
+      },
+      VAULT_PRIVATE_KEY: {
+        present: !!process.env.VAULT_PRIVATE_KEY,
+        address: signerService.getVaultAddress(),
+        premintEnabled: vaultService.isEnabled()
+      },
+      CONTENT_STORE: {
+        present: !!contentStore,
+        value: contentStore?.name || 'None - images stay on Cloudinary'
+      },
+      METADATA_BASE_URL: {
+        present: !!process.env.METADATA_BASE_URL,
+        value: process.env.METADATA_BASE_URL || 'Request host'
+      },
       SUPABASE_URL: {
         present: !!process.env.SUPABASE_URL,
         value: process.env.SUPABASE_URL ? process.env.SUPABASE_URL.substring(0, 30) + '...' : 'Missing'
@@ -1435,6 +1563,10 @@ app.get('/api/debug/environment', requireAdminAuth, (req, res) => {
     envCheck.recommendations.push('Set ADMIN_ACCESS_TOKEN for secure admin access');
   }
   
+  if (!envCheck.requiredVars.SHOPIFY_WEBHOOK_SECRET.present) {
+    envCheck.recommendations.push('Set SHOPIFY_WEBHOOK_SECRET - Shopify webhooks are rejected until it is configured');
+  }
+  
   const allEmailVarsPresent = envCheck.requiredVars.MICROSOFT_CLIENT_ID.present && 
                               envCheck.requiredVars.MICROSOFT_CLIENT_SECRET.present && 
                               envCheck.requiredVars.MICROSOFT_TENANT_ID.present && 
@@ -1497,71 +1629,28 @@ app.get('/api/debug/graph-token', requireAdminAuth, async (req, res) => {
 });
 
 // Shopify Webhook Handler
-app.post('/webhook/shopify', webhookLimiter, async (req, res) => {
+app.post('/webhook/shopify', webhookLimiter, shopifyWebhookVerifier.middleware(), async (req, res) => {
   try {
-    console.log('📦 Received Shopify webhook:', req.headers['x-shopify-topic']);
-    
-    const order = req.body;
-    
-    // Basic validation
-    if (!order.id || !order.customer?.email) {
-      return res.status(400).json({ error: 'Invalid order data' });
-    }
-
-    // Store order in database (if database is configured)
-    let storedOrder;
-    try {
-      storedOrder = await db.storeOrder(order);
-      console.log('✅ Order stored:', storedOrder.shopify_order_id);
-    } catch (dbError) {
-      console.error('⚠️ Database storage failed:', dbError.message);
-      // Continue processing even if DB fails
-      storedOrder = {
-        shopify_order_id: order.id.toString(),
-        shopify_order_number: order.order_number?.toString() || 'Unknown',
-        customer_email: order.customer.email,
-        product_name: order.line_items[0]?.name || 'Unknown Product',
-        product_sku: order.line_items[0]?.sku || 'NO-SKU',
-        is_nft_eligible: order.line_items.some(item => 
-          item.product_type === 'NFT Eligible' || 
-          (item.tags && item.tags.includes('nft-eligible'))
-        )
-      };
-    }
-
-    // If order is NFT eligible, create a claim token and send email
-    if (storedOrder.is_nft_eligible) {
-      const claimToken = uuidv4();
-      
-      try {
-        const claim = await db.createClaim(
-          storedOrder.shopify_order_id,
-          storedOrder.customer_email,
-          claimToken
-        );
-        console.log('🎫 Claim created:', claim.claim_token);
-      } catch (claimError) {
-        console.error('⚠️ Claim creation failed:', claimError.message);
-      }
-      
-      // Send email to customer with claim link
-      try {
-        await emailService.sendClaimEmail(storedOrder.customer_email, claimToken, storedOrder);
-        console.log('📧 Claim email sent to:', storedOrder.customer_email);
-      } catch (emailError) {
-        console.error('⚠️ Failed to send claim email:', emailError.message);
-        // Continue processing - don't fail the webhook
-      }
-    }
+    const topic = req.get('x-shopify-topic');
+    console.log('📦 Received Shopify webhook:', topic);
+
+    const result = await shopifyWebhookHandler.handleDelivery({
+      webhookId: req.get('x-shopify-webhook-id'),
+      topic,
+      payload: req.body,
+      rawBody: req.rawBody
+    });
 
-    res.status(200).json({ 
-      received: true,
-      orderId: storedOrder.shopify_order_id,
-      nftEligible: storedOrder.is_nft_eligible,
+    res.status(200).json({
+      ...result,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
     console.error('💥 Webhook error:', error);
     res.status(500).json({ 
       error: 'Webhook processing failed',
@@ -1571,319 +1660,1697 @@ app.post('/webhook/shopify', webhookLimiter, async (req, res) => {
   }
 });
 
-// Verify claim eligibility
-app.post('/api/claim/verify', async (req, res) => {
-  try {
-    const schema = Joi.object({
-      email: Joi.string().email().required(),
-      claimToken: Joi.string().uuid().optional()
-    });
-
-    const { error, value } = schema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ error: error.details[0].message });
-    }
-
-    const { email, claimToken } = value;
+// Stripe Checkout and WooCommerce webhooks - each adapter verifies its own
+// signature and normalizes the order for the shared claim pipeline
+function commerceWebhookRoute(adapter) {
+  return async (req, res) => {
+    try {
+      const delivery = adapter.getDelivery(req);
+      console.log(`📦 Received ${adapter.source} webhook:`, delivery.topic);
 
-    if (claimToken) {
-      // Verify specific claim token
-      try {
-        const claim = await db.verifyClaim(email, claimToken);
-        if (!claim) {
-          return res.status(404).json({ 
-            error: 'Invalid claim or claim has expired',
-            eligible: false
-          });
-        }
+      const result = await commerceWebhookHandler.handleDelivery(adapter, delivery);
 
-        res.json({
-          eligible: true,
-          claim: {
-            id: claim.id,
-            token: claim.claim_token,
-            productName: claim.orders?.product_name || 'Unknown Product',
-            productSku: claim.orders?.product_sku || 'NO-SKU',
-            orderNumber: claim.orders?.shopify_order_number || 'Unknown',
-            expiresAt: claim.expires_at
-          }
-        });
-      } catch (dbError) {
-        console.error('Database verification error:', dbError);
-        return res.status(500).json({ error: 'Verification service temporarily unavailable' });
+      res.status(200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({ error: error.message });
       }
-    } else {
-      // Check if email has any eligible orders
-      try {
-        const orders = await db.getOrderByEmail(email);
-        const eligibleOrders = [];
-
-        for (const order of orders) {
-          const isClaimed = await db.isOrderClaimed(order.shopify_order_id);
-          if (!isClaimed) {
-            eligibleOrders.push({
-              orderId: order.shopify_order_id,
-              orderNumber: order.shopify_order_number,
-              productName: order.product_name,
-              productSku: order.product_sku,
-              createdAt: order.created_at
-            });
-          }
-        }
 
-        res.json({
-          eligible: eligibleOrders.length > 0,
-          eligibleOrders
-        });
-      } catch (dbError) {
-        console.error('Database query error:', dbError);
-        return res.status(500).json({ error: 'Service temporarily unavailable' });
-      }
+      console.error(`💥 ${adapter.source} webhook error:`, error);
+      res.status(500).json({
+        error: 'Webhook processing failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
     }
+  };
+}
+
+app.post('/webhook/stripe', webhookLimiter, stripeAdapter.middleware(), commerceWebhookRoute(stripeAdapter));
+app.post('/webhook/woocommerce', webhookLimiter, wooCommerceAdapter.middleware(), commerceWebhookRoute(wooCommerceAdapter));
+
+// List dead-lettered webhook deliveries - PROTECTED
+app.get('/api/admin/webhooks/failed', requireAdminAuth, async (req, res) => {
+  try {
+    const status = req.query.status || 'failed';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const failures = await db.getWebhookFailures({ status, limit });
 
+    res.json({
+      success: true,
+      count: failures.length,
+      failures,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Claim verification error:', error);
-    res.status(500).json({ error: 'Verification failed' });
+    console.error('Failed webhook listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list failed webhooks',
+      details: error.message
+    });
   }
 });
 
-// Process NFT claim
-app.post('/api/claim/process', async (req, res) => {
+// Get a dead-lettered delivery including its raw payload - PROTECTED
+app.get('/api/admin/webhooks/failed/:id', requireAdminAuth, async (req, res) => {
   try {
-    const schema = Joi.object({
-      email: Joi.string().email().required(),
-      claimToken: Joi.string().uuid().required()
-    });
-
-    const { error, value } = schema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ error: error.details[0].message });
+    const failure = await db.getWebhookFailure(req.params.id);
+    if (!failure) {
+      return res.status(404).json({ error: 'Failed webhook not found' });
     }
 
-    const { email, claimToken } = value;
+    res.json({ success: true, failure });
+  } catch (error) {
+    console.error('Failed webhook lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get failed webhook',
+      details: error.message
+    });
+  }
+});
 
-    // Verify claim
-    const claim = await db.verifyClaim(email, claimToken);
-    if (!claim) {
-      return res.status(404).json({ error: 'Invalid or expired claim' });
+// Replay a dead-lettered delivery from the stage it failed at - PROTECTED
+app.post('/api/admin/webhooks/failed/:id/replay', requireAdminAuth, async (req, res) => {
+  try {
+    const failure = await db.getWebhookFailure(req.params.id);
+    if (!failure) {
+      return res.status(404).json({ error: 'Failed webhook not found' });
     }
 
-    console.log('🎨 Processing claim for:', email);
-
-    // Generate wallet
-    const walletData = walletService.generateWallet();
-    console.log('💳 Generated wallet:', walletData.address);
+    console.log(`🔁 Replaying failed webhook ${failure.id} from ${failure.failure_stage}`);
+    const replay = await claimPipeline.replayFailure(failure);
 
-    // Generate CoA URL using Cloudinary
-    const coaResult = coaGenerator.generateCertificateUrl({
-      customerName: email.split('@')[0], // Use email prefix as customer name
-      productName: claim.orders?.product_name || 'Unknown Product',
-      authenticityId: `AUTH-${Date.now()}`,
-      serialNumber: claim.orders?.product_sku || 'NO-SKU',
-      purchaseDate: new Date(claim.created_at)
+    res.status(replay.success ? 200 : 502).json({
+      ...replay,
+      failureId: failure.id,
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: error.message });
+    }
 
-    console.log('🎨 Generated CoA URL:', coaResult);
-
-    // Initialize ThirdWeb and mint NFT
-    const sdk = ThirdwebSDK.fromPrivateKey(
-      process.env.THIRDWEB_PRIVATE_KEY,
-      process.env.THIRDWEB_CHAIN || "polygon",
-      { 
-        clientId: process.env.THIRDWEB_CLIENT_ID,
-        secretKey: process.env.THIRDWEB_SECRET_KEY
-      }
-    );
-
-    const contract = await sdk.getContract(process.env.THIRDWEB_CONTRACT_ADDRESS);
-
-    const nftMetadata = {
-      name: `${claim.orders?.product_name || 'Unknown Product'} - Certificate of Authenticity`,
-      description: `Official Certificate of Authenticity for ${claim.orders?.product_name || 'Unknown Product'} by Mavire Codoir`,
-      image: coaResult, // Use Cloudinary URL
-      attributes: [
-        {
-          trait_type: "Product Name",
-          value: claim.orders?.product_name || 'Unknown Product'
-        },
-        {
-          trait_type: "SKU", 
-          value: claim.orders?.product_sku || 'NO-SKU'
-        },
-        {
-          trait_type: "Authenticity ID",
-          value: `AUTH-${Date.now()}`
-        },
-        {
-          trait_type: "Authorization Date",
-          value: new Date().toLocaleDateString('en-US')
-        },
-        {
-          trait_type: "Order Number",
-          value: claim.orders?.shopify_order_number || 'Unknown'
-        },
-        {
-          trait_type: "Brand",
-          value: "Mavire Codoir"
-        }
-      ],
-      properties: {
-        authenticity_id: `AUTH-${Date.now()}`,
-        generated_at: new Date().toISOString(),
-        brand: "Mavire Codoir",
-        type: "Certificate of Authenticity",
-        claim_token: claimToken,
-        image_service: "Cloudinary"
-      }
-    };
+    console.error('Failed webhook replay error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Replay failed',
+      details: error.message
+    });
+  }
+});
 
-    console.log('🪙 Minting NFT to:', walletData.address);
-    const mintResult = await contract.erc721.mintTo(walletData.address, nftMetadata);
-    console.log('✅ NFT minted:', mintResult.id.toString());
-
-    // Update claim with results
-    const updatedClaim = await db.updateClaimWithNFT(
-      claim.id,
-      walletData,
-      {
-        tokenId: mintResult.id.toString(),
-        transactionHash: mintResult.receipt.transactionHash,
-        coaUniqueId: `AUTH-${Date.now()}`,
-        metadata: nftMetadata
-      }
-    );
+// Eligibility rule validation - every condition is optional. Exclude rules
+// match orders by discount code with discount_codes; excluded_discount_codes
+// matches orders that used none of the codes, so it only makes sense on an
+// include rule.
+const eligibilityRuleSchema = Joi.object({
+  name: Joi.string().max(200).required(),
+  description: Joi.string().allow('', null).optional(),
+  effect: Joi.string().valid('include', 'exclude').default('include'),
+  enabled: Joi.boolean().default(true),
+  priority: Joi.number().integer().default(0),
+  conditions: Joi.object({
+    tags: Joi.array().items(Joi.string()).optional(),
+    product_types: Joi.array().items(Joi.string()).optional(),
+    vendors: Joi.array().items(Joi.string()).optional(),
+    collections: Joi.array().items(Joi.string()).optional(),
+    sku_patterns: Joi.array().items(Joi.string()).optional(),
+    min_price: Joi.number().min(0).optional(),
+    starts_at: Joi.date().iso().optional(),
+    ends_at: Joi.date().iso().optional(),
+    discount_codes: Joi.array().items(Joi.string()).optional(),
+    excluded_discount_codes: Joi.array().items(Joi.string()).optional()
+      .when('...effect', { is: 'exclude', then: Joi.forbidden() })
+      .messages({ 'any.unknown': 'excluded_discount_codes can only be used on include rules - use discount_codes on an exclude rule' })
+  }).default({})
+});
 
-    // Format response
-    const walletDisplay = walletService.formatWalletForDisplay(walletData);
+// List NFT eligibility rules - PROTECTED
+app.get('/api/admin/eligibility/rules', requireAdminAuth, async (req, res) => {
+  try {
+    const rules = await db.getEligibilityRules();
+    // What the engine applies - the defaults also stand in when no enabled rule includes
+    const { source } = await eligibilityService.getRules();
 
     res.json({
       success: true,
-      claim: {
-        status: 'completed',
-        claimedAt: updatedClaim.claimed_at,
-        nft: {
-          tokenId: mintResult.id.toString(),
-          transactionHash: mintResult.receipt.transactionHash,
-          contractAddress: process.env.THIRDWEB_CONTRACT_ADDRESS,
-          network: process.env.THIRDWEB_CHAIN || "polygon"
-        },
-        wallet: {
-          ...walletDisplay,
-          privateKey: walletData.privateKey // Include for customer
-        },
-        coa: {
-          uniqueId: `AUTH-${Date.now()}`,
-          authDate: new Date().toLocaleDateString('en-US'),
-          filename: 'certificate.jpg',
-          imageUrl: coaResult
-        }
-      }
+      count: rules.length,
+      rules,
+      usingDefaultRules: source !== 'database',
+      rulesSource: source
     });
+  } catch (error) {
+    console.error('Eligibility rule listing error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list eligibility rules', details: error.message });
+  }
+});
 
-    // Send success email (async, don't wait)
-    emailService.sendWelcomeEmail(email, walletData, {
-      tokenId: mintResult.id.toString(),
-      transactionHash: mintResult.receipt.transactionHash
-    }, claim.orders).catch(err => {
-      console.error('Failed to send welcome email:', err);
-    });
+// Create an NFT eligibility rule - PROTECTED
+app.post('/api/admin/eligibility/rules', requireAdminAuth, async (req, res) => {
+  try {
+    const { error, value } = eligibilityRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const rule = await db.createEligibilityRule(value);
+    eligibilityService.invalidateCache();
+    console.log('📐 Eligibility rule created:', rule.name);
 
+    res.status(201).json({ success: true, rule });
   } catch (error) {
-    console.error('💥 Claim processing error:', error);
-    res.status(500).json({ 
-      error: 'Failed to process claim',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    console.error('Eligibility rule creation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create eligibility rule', details: error.message });
   }
 });
 
-// Get claim status
-app.get('/api/claim/status/:token', async (req, res) => {
+// Update an NFT eligibility rule - PROTECTED
+app.put('/api/admin/eligibility/rules/:id', requireAdminAuth, async (req, res) => {
   try {
-    const { token } = req.params;
-    
-    if (!token) {
-      return res.status(400).json({ error: 'Claim token required' });
+    const { error, value } = eligibilityRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
 
-    const claim = await db.getClaimStatus(token);
-    if (!claim) {
-      return res.status(404).json({ error: 'Claim not found' });
+    const rule = await db.updateEligibilityRule(req.params.id, value);
+    if (!rule) {
+      return res.status(404).json({ error: 'Eligibility rule not found' });
     }
+    eligibilityService.invalidateCache();
+    console.log('📐 Eligibility rule updated:', rule.name);
 
-    const response = {
-      status: claim.claim_status,
-      product: {
-        name: claim.orders?.product_name || 'Unknown Product',
-        sku: claim.orders?.product_sku || 'NO-SKU'
-      },
-      createdAt: claim.created_at,
-      expiresAt: claim.expires_at
-    };
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Eligibility rule update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update eligibility rule', details: error.message });
+  }
+});
 
-    if (claim.claim_status === 'completed') {
-      response.nft = {
-        tokenId: claim.nft_token_id,
-        transactionHash: claim.nft_transaction_hash,
-        walletAddress: claim.wallet_address
-      };
-      response.claimedAt = claim.claimed_at;
+// Delete an NFT eligibility rule - PROTECTED
+app.delete('/api/admin/eligibility/rules/:id', requireAdminAuth, async (req, res) => {
+  try {
+    const deleted = await db.deleteEligibilityRule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Eligibility rule not found' });
     }
+    eligibilityService.invalidateCache();
 
-    res.json(response);
-
+    res.json({ success: true, deleted: req.params.id });
   } catch (error) {
-    console.error('Status check error:', error);
-    res.status(500).json({ error: 'Failed to get claim status' });
+    console.error('Eligibility rule deletion error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete eligibility rule', details: error.message });
   }
 });
 
-// Generate CoA URL (for testing)
-app.post('/api/generate-coa', async (req, res) => {
+// Explain why an order is or isn't NFT eligible without storing anything - PROTECTED
+app.post('/api/admin/eligibility/dry-run', requireAdminAuth, async (req, res) => {
   try {
     const schema = Joi.object({
-      customerName: Joi.string().required(),
-      productName: Joi.string().required(),
-      authenticityId: Joi.string().optional(),
-      serialNumber: Joi.string().optional(),
-      purchaseDate: Joi.date().optional()
-    });
+      order: Joi.object({
+        line_items: Joi.array().items(Joi.object().unknown(true)).required()
+      }).unknown(true).optional(),
+      orderId: Joi.string().optional(),
+      rules: Joi.array().items(eligibilityRuleSchema.keys({ id: Joi.any().optional() })).optional()
+    }).xor('order', 'orderId');
 
     const { error, value } = schema.validate(req.body);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const coaResult = coaGenerator.generateCertificateUrl({
-      customerName: value.customerName,
-      productName: value.productName,
-      authenticityId: value.authenticityId || `AUTH-${Date.now()}`,
-      serialNumber: value.serialNumber || 'MV-001',
-      purchaseDate: value.purchaseDate || new Date()
-    });
+    let order = value.order;
+    if (value.orderId) {
+      const storedOrder = await db.getOrder(value.orderId);
+      if (!storedOrder) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      // Rebuild the parts of the Shopify payload the rules look at. Orders
+      // stored before their own dates were kept fall back to the row's.
+      order = {
+        id: storedOrder.shopify_order_id,
+        source: storedOrder.order_source,
+        created_at: storedOrder.order_metadata?.created_at || storedOrder.created_at,
+        processed_at: storedOrder.order_metadata?.processed_at || null,
+        line_items: storedOrder.order_metadata?.line_items || [],
+        discount_codes: storedOrder.order_metadata?.discount_codes || []
+      };
+    }
+
+    const draftRules = value.rules?.map((rule, index) => ({ id: rule.id || `draft-${index + 1}`, ...rule }));
+    const evaluation = await eligibilityService.evaluateOrder(order, { rules: draftRules });
 
     res.json({
       success: true,
-      certificateUrl: coaResult,
-      message: 'Certificate URL generated successfully'
+      orderId: order.id ? order.id.toString() : null,
+      eligible: evaluation.eligible,
+      eligibleLineItemIds: evaluation.eligibleLineItems.map(item => item.id.toString()),
+      rulesSource: evaluation.rulesSource,
+      rulesEvaluated: evaluation.rulesEvaluated,
+      lineItems: evaluation.lineItems
     });
+  } catch (error) {
+    console.error('Eligibility dry-run error:', error);
+    res.status(500).json({ success: false, error: 'Eligibility dry-run failed', details: error.message });
+  }
+});
+
+// Product catalog entry validation - everything but the SKU is optional
+const catalogEntrySchema = Joi.object({
+  name: Joi.string().max(200).allow('', null).optional(),
+  description: Joi.string().max(2000).allow('', null).optional(),
+  template_image_url: Joi.string().uri().allow(null).optional(),
+  coa_layout: Joi.object({
+    baseImageId: Joi.string().optional(),
+    fields: Joi.object().pattern(
+      Joi.string().valid('productName', 'authenticityId', 'serialNumber', 'purchaseDate', 'brand', 'edition', 'productImage'),
+      Joi.object({
+        width: Joi.number().integer().min(10).max(2000).optional(),
+        font: Joi.string().pattern(/^[A-Za-z0-9]+$/).optional(),
+        size: Joi.number().integer().min(6).max(200).optional(),
+        color: Joi.string().pattern(/^[a-z]+$|^rgb:[0-9a-fA-F]{6}$/).optional(),
+        gravity: Joi.string().optional(),
+        x: Joi.number().integer().optional(),
+        y: Joi.number().integer().optional(),
+        hidden: Joi.boolean().optional()
+      })
+    ).optional()
+  }).default({}),
+  attributes: Joi.array().items(Joi.object({
+    trait_type: Joi.string().required(),
+    value: Joi.alternatives(Joi.string(), Joi.number(), Joi.boolean()).required()
+  })).default([]),
+  collection: Joi.string().allow('', null).optional(),
+  chain: Joi.string().allow(null).optional(),
+  contract_address: Joi.string().pattern(/^0x[0-9a-fA-F]{40}$/).allow(null).optional()
+});
+
+// List product catalog entries - PROTECTED
+app.get('/api/admin/catalog', requireAdminAuth, async (req, res) => {
+  try {
+    const entries = await db.getCatalogEntries();
 
+    res.json({ success: true, count: entries.length, entries });
   } catch (error) {
-    console.error('CoA generation error:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate Certificate of Authenticity',
-      details: error.message 
-    });
+    console.error('Catalog listing error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list catalog entries', details: error.message });
   }
 });
 
-// Test Cloudinary endpoint - PROTECTED
-app.get('/api/test/coa', requireAdminAuth, (req, res) => {
+// Get the catalog entry for a SKU - PROTECTED
+app.get('/api/admin/catalog/:sku', requireAdminAuth, async (req, res) => {
   try {
-    console.log('🧪 Testing Cloudinary CoA generation...');
-    const testResult = coaGenerator.testGeneration();
-    
-    res.json({
+    const entry = await db.getCatalogEntry(req.params.sku);
+    if (!entry) {
+      return res.status(404).json({ error: 'Catalog entry not found' });
+    }
+
+    res.json({ success: true, entry });
+  } catch (error) {
+    console.error('Catalog lookup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get catalog entry', details: error.message });
+  }
+});
+
+// Create or replace the catalog entry for a SKU - PROTECTED
+app.put('/api/admin/catalog/:sku', requireAdminAuth, async (req, res) => {
+  try {
+    const { error, value } = catalogEntrySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const entry = await db.upsertCatalogEntry({ ...value, sku: req.params.sku });
+    console.log('🗂️ Catalog entry saved:', entry.sku);
+
+    res.json({ success: true, entry });
+  } catch (error) {
+    console.error('Catalog update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save catalog entry', details: error.message });
+  }
+});
+
+// Delete the catalog entry for a SKU - PROTECTED
+app.delete('/api/admin/catalog/:sku', requireAdminAuth, async (req, res) => {
+  try {
+    const deleted = await db.deleteCatalogEntry(req.params.sku);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Catalog entry not found' });
+    }
+
+    res.json({ success: true, deleted: req.params.sku });
+  } catch (error) {
+    console.error('Catalog deletion error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete catalog entry', details: error.message });
+  }
+});
+
+// Preview the certificate for a catalog entry - PROTECTED
+app.get('/api/admin/catalog/:sku/preview', requireAdminAuth, async (req, res) => {
+  try {
+    const entry = await db.getCatalogEntry(req.params.sku);
+    if (!entry) {
+      return res.status(404).json({ error: 'Catalog entry not found' });
+    }
+
+    const certificateUrl = coaGenerator.generateCertificateUrl({
+      productName: entry.name || entry.sku,
+      authenticityId: 'AUTH-PREVIEW',
+      serialNumber: entry.sku,
+      purchaseDate: new Date()
+    }, entry.coa_layout);
+
+    res.json({ success: true, sku: entry.sku, certificateUrl, templateImageUrl: entry.template_image_url });
+  } catch (error) {
+    console.error('Catalog preview error:', error);
+    res.status(500).json({ success: false, error: 'Failed to preview certificate', details: error.message });
+  }
+});
+
+// List products synced from Shopify - PROTECTED
+app.get('/api/admin/products', requireAdminAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 250);
+    const products = await db.getProducts({ search: req.query.search, limit });
+
+    res.json({ success: true, count: products.length, products });
+  } catch (error) {
+    console.error('Product listing error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list products', details: error.message });
+  }
+});
+
+// Progress of the last full product sync - PROTECTED
+app.get('/api/admin/products/sync', requireAdminAuth, async (req, res) => {
+  try {
+    const sync = await productSyncService.getLatestSync();
+    res.json({ success: true, sync, stale: sync?.status === 'running' && productSyncService.isStale(sync) });
+  } catch (error) {
+    console.error('Product sync lookup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get product sync', details: error.message });
+  }
+});
+
+// Sync one product, or start a sync of the whole store - PROTECTED
+app.post('/api/admin/products/sync', requireAdminAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      productId: Joi.alternatives(Joi.string().pattern(/^\d+$/), Joi.number().integer()).optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!shopifyAdminClient.isConfigured()) {
+      return res.status(503).json({ error: 'Shopify Admin API is not configured' });
+    }
+
+    if (value.productId) {
+      const product = await productSyncService.syncProduct(value.productId);
+      return res.json({ success: true, product });
+    }
+
+    // The first pages sync in the request; the mint worker cron syncs the
+    // rest - poll GET /api/admin/products/sync for progress
+    const run = await productSyncService.startSync();
+    const sync = await productSyncService.runSync(run.id) || run;
+
+    res.status(202).json({ success: true, sync });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: error.message, sync: error.sync });
+    }
+
+    console.error('Product sync error:', error);
+    res.status(500).json({ success: false, error: 'Product sync failed', details: error.message });
+  }
+});
+
+// Resume a failed or interrupted product sync from its saved cursors - PROTECTED
+app.post('/api/admin/products/sync/:id/resume', requireAdminAuth, async (req, res) => {
+  try {
+    if (!shopifyAdminClient.isConfigured()) {
+      return res.status(503).json({ error: 'Shopify Admin API is not configured' });
+    }
+
+    // Runs the next pages in the request, like starting a sync
+    const sync = await productSyncService.resumeSync(req.params.id);
+    res.status(202).json({ success: true, sync });
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Product sync resume error:', error);
+    res.status(500).json({ success: false, error: 'Failed to resume product sync', details: error.message });
+  }
+});
+
+// Get a synced product - PROTECTED
+app.get('/api/admin/products/:id', requireAdminAuth, async (req, res) => {
+  try {
+    const product = await db.getProduct(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({ success: true, product });
+  } catch (error) {
+    console.error('Product lookup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get product', details: error.message });
+  }
+});
+
+// Start a historical order backfill from the Shopify Admin API - PROTECTED
+app.post('/api/admin/backfill', requireAdminAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      from: Joi.date().iso().required(),
+      to: Joi.date().iso().min(Joi.ref('from')).default(() => new Date()),
+      dryRun: Joi.boolean().default(false)
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!shopifyAdminClient.isConfigured()) {
+      return res.status(503).json({ error: 'Shopify Admin API is not configured' });
+    }
+
+    const created = await orderBackfillService.createJob({
+      from: value.from.toISOString(),
+      to: value.to.toISOString(),
+      dryRun: value.dryRun
+    });
+
+    // The first pages run in the request; the mint worker cron runs the
+    // rest - poll GET /api/admin/backfill/:id for progress
+    const job = await orderBackfillService.runJob(created.id) || created;
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      params: job.params,
+      pagesProcessed: job.pages_processed,
+      cursor: job.cursor,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Backfill start error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start backfill', details: error.message });
+  }
+});
+
+// List backfill jobs - PROTECTED
+app.get('/api/admin/backfill', requireAdminAuth, async (req, res) => {
+  try {
+    const status = req.query.status || 'all';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const jobs = await db.getBackfillJobs({ status, limit });
+
+    res.json({ success: true, count: jobs.length, jobs });
+  } catch (error) {
+    console.error('Backfill listing error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list backfill jobs', details: error.message });
+  }
+});
+
+// Backfill job progress - PROTECTED
+app.get('/api/admin/backfill/:id', requireAdminAuth, async (req, res) => {
+  try {
+    const job = await db.getBackfillJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Backfill job not found' });
+    }
+
+    res.json({ success: true, job, stale: job.status === 'running' && orderBackfillService.isStale(job) });
+  } catch (error) {
+    console.error('Backfill lookup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get backfill job', details: error.message });
+  }
+});
+
+// Resume a failed or interrupted backfill from its saved cursor - PROTECTED
+app.post('/api/admin/backfill/:id/resume', requireAdminAuth, async (req, res) => {
+  try {
+    const job = await db.getBackfillJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Backfill job not found' });
+    }
+
+    // A queued job the worker hasn't picked up in a while can be pushed on too
+    const resumable = job.status === 'failed' ||
+      (['running', 'queued'].includes(job.status) && orderBackfillService.isStale(job));
+    if (!resumable) {
+      return res.status(409).json({ error: `Backfill job is ${job.status} and cannot be resumed` });
+    }
+
+    // Runs the next pages in the request, like starting a backfill
+    const resumed = await orderBackfillService.runJob(job.id);
+    if (!resumed) {
+      return res.status(409).json({ error: 'Backfill job was resumed by another request' });
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: resumed.id,
+      status: resumed.status,
+      resumedFromPage: job.pages_processed + 1,
+      pagesProcessed: resumed.pages_processed,
+      cursor: resumed.cursor
+    });
+  } catch (error) {
+    console.error('Backfill resume error:', error);
+    res.status(500).json({ success: false, error: 'Failed to resume backfill', details: error.message });
+  }
+});
+
+// Fail claims left in processing by a crashed or timed-out request - PROTECTED
+app.post('/api/admin/claims/recover-stuck', requireAdminAuth, async (req, res) => {
+  try {
+    const recovered = await claimStateMachine.recoverStuckClaims();
+
+    res.json({
+      success: true,
+      recovered: recovered.length,
+      claims: recovered.map(claim => ({ id: claim.id, claimToken: claim.claim_token, customerEmail: claim.customer_email }))
+    });
+  } catch (error) {
+    console.error('Stuck claim recovery error:', error);
+    res.status(500).json({ success: false, error: 'Failed to recover stuck claims', details: error.message });
+  }
+});
+
+// Claim status history - PROTECTED
+app.get('/api/admin/claims/:id/events', requireAdminAuth, async (req, res) => {
+  try {
+    const claim = await db.getClaim(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    const events = await db.getClaimEvents(claim.id);
+    res.json({ success: true, status: claim.claim_status, failureReason: claim.failure_reason, events });
+  } catch (error) {
+    console.error('Claim events error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get claim events', details: error.message });
+  }
+});
+
+// A hash sent for the claim that may have minted: its latest job's, or its
+// latest transaction's unless that was cancelled or reverted
+async function unsettledMintHash(claim) {
+  const [job, transaction] = await Promise.all([
+    db.getLatestMintJobForClaim(claim.id),
+    db.getLatestSignerTransactionForClaim(claim.id)
+  ]);
+  if (job?.result?.transactionHash) return job.result.transactionHash;
+  if (!transaction?.current_hash) return null;
+
+  const failed = transaction.status === 'cancelled' ||
+    (transaction.status === 'mined' && transaction.receipt_status === 0);
+  return failed ? null : transaction.current_hash;
+}
+
+// Return a failed claim to pending so the customer can claim again - PROTECTED
+// Refused while a transaction sent for it hasn't been confirmed failed: the
+// mint may still have reached the chain
+app.post('/api/admin/claims/:id/retry', requireAdminAuth, async (req, res) => {
+  try {
+    const claim = await db.getClaim(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    const transactionHash = await unsettledMintHash(claim);
+    if (transactionHash) {
+      return res.status(409).json({
+        error: `Transaction ${transactionHash} for this claim hasn't been confirmed failed - check it before retrying`,
+        transactionHash
+      });
+    }
+
+    const updated = await claimStateMachine.transition(claim, 'pending', {
+      fields: { failure_reason: null },
+      reason: 'admin_retry'
+    });
+    if (!updated) {
+      return res.status(409).json({ error: 'Claim status changed - reload and try again' });
+    }
+
+    res.json({ success: true, claim: { id: updated.id, status: updated.claim_status } });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Claim retry error:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry claim', details: error.message });
+  }
+});
+
+// Revoke a confirmed soulbound certificate, burning it as the issuer - PROTECTED
+app.post('/api/admin/claims/:id/revoke', requireAdminAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      reason: Joi.string().max(500).required(),
+      burn: Joi.boolean().default(true)
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const claim = await db.getClaim(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    const revoked = await soulboundService.revoke(claim, value);
+
+    res.json({
+      success: true,
+      claim: { id: revoked.id, status: revoked.claim_status, burnTransactionHash: revoked.burn_transaction_hash }
+    });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Claim revoke error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke claim', details: error.message });
+  }
+});
+
+// Reissue a revoked soulbound certificate as a new claim and email it - PROTECTED
+app.post('/api/admin/claims/:id/reissue', requireAdminAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      email: Joi.string().email().optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const claim = await db.getClaim(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    const { claim: reissued, emailSent } = await soulboundService.reissue(claim, value);
+
+    res.status(201).json({
+      success: true,
+      claim: {
+        id: reissued.id,
+        token: reissued.claim_token,
+        status: reissued.claim_status,
+        customerEmail: reissued.customer_email,
+        reissuedFrom: claim.id
+      },
+      emailSent
+    });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Claim reissue error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reissue claim', details: error.message });
+  }
+});
+
+// Record an ownership change or service work on a certificate - shown in
+// its token metadata - PROTECTED
+app.post('/api/admin/claims/:id/records', requireAdminAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      type: Joi.string().valid('ownership', 'service').required(),
+      title: Joi.string().max(200).required(),
+      details: Joi.string().max(2000).allow('', null).optional(),
+      walletAddress: Joi.string().optional(),
+      occurredAt: Joi.date().iso().optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    if (value.walletAddress && !ethers.utils.isAddress(value.walletAddress)) {
+      return res.status(400).json({ error: `Invalid wallet address: ${value.walletAddress}` });
+    }
+
+    const claim = await db.getClaim(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    const record = await db.createCertificateRecord({
+      claim_id: claim.id,
+      record_type: value.type,
+      title: value.title,
+      details: value.details || null,
+      wallet_address: value.walletAddress ? ethers.utils.getAddress(value.walletAddress) : null,
+      occurred_at: (value.occurredAt || new Date()).toISOString()
+    });
+
+    res.status(201).json({ success: true, record });
+  } catch (error) {
+    console.error('Certificate record error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save certificate record', details: error.message });
+  }
+});
+
+// Set a certificate's warranty status - shown in its token metadata - PROTECTED
+app.put('/api/admin/claims/:id/warranty', requireAdminAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      status: Joi.string().valid('active', 'expired', 'void').allow(null).required(),
+      expiresAt: Joi.date().iso().allow(null).optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const updated = await db.updateClaimWarranty(req.params.id, {
+      warranty_status: value.status,
+      ...(value.expiresAt !== undefined && { warranty_expires_at: value.expiresAt?.toISOString() || null })
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    res.json({
+      success: true,
+      warranty: { status: updated.warranty_status, expiresAt: updated.warranty_expires_at }
+    });
+  } catch (error) {
+    console.error('Warranty update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update warranty', details: error.message });
+  }
+});
+
+// Point a token's URI - or with no tokenId, the contract's base URI - at
+// new metadata on chain. Defaults to this API's /metadata route - PROTECTED
+app.post('/api/admin/metadata/:contract/uri', requireAdminAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      tokenId: Joi.string().pattern(/^\d+$/).optional(),
+      uri: Joi.string().uri().optional(),
+      chain: Joi.string().optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { contract } = req.params;
+    if (!ethers.utils.isAddress(contract)) {
+      return res.status(400).json({ error: `Invalid contract address: ${contract}` });
+    }
+    const contractAddress = ethers.utils.getAddress(contract);
+
+    const chain = value.chain || await tokenMetadataService.chainFor(contractAddress);
+    if (!CHAINS[chain]) {
+      return res.status(400).json({ error: `chain must be one of ${Object.keys(CHAINS).join(', ')}` });
+    }
+
+    const baseUrl = process.env.METADATA_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const uri = value.uri || tokenMetadataService.metadataUrl(baseUrl, contractAddress, value.tokenId);
+
+    const result = value.tokenId
+      ? await tokenMetadataService.setTokenUri({ chain, contractAddress, tokenId: value.tokenId, uri })
+      : await tokenMetadataService.setBaseUri({ chain, contractAddress, uri });
+
+    res.json({ success: true, chain, contractAddress, tokenId: value.tokenId || null, ...result });
+  } catch (error) {
+    console.error('Token URI update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update token URI', details: error.message });
+  }
+});
+
+// Mint jobs - PROTECTED
+app.get('/api/admin/mint-jobs', requireAdminAuth, async (req, res) => {
+  try {
+    const { status = 'all' } = req.query;
+    const jobs = await db.getMintJobs({ status });
+
+    res.json({ success: true, count: jobs.length, jobs });
+  } catch (error) {
+    console.error('Mint job list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list mint jobs', details: error.message });
+  }
+});
+
+// Run due mint jobs now - PROTECTED
+app.post('/api/admin/mint-jobs/run', requireAdminAuth, async (req, res) => {
+  try {
+    const summary = await mintJobQueue.processDueJobs();
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Mint worker error:', error);
+    res.status(500).json({ success: false, error: 'Failed to run mint jobs', details: error.message });
+  }
+});
+
+// Check minted claims for confirmations now - PROTECTED
+app.post('/api/admin/confirmations/check', requireAdminAuth, async (req, res) => {
+  try {
+    const summary = await confirmationTracker.processPending();
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Confirmation check error:', error);
+    res.status(500).json({ success: false, error: 'Failed to check confirmations', details: error.message });
+  }
+});
+
+// Mint cost report for finance, by sku, order, month or mint - PROTECTED
+// ?format=csv downloads the same report as CSV
+app.get('/api/admin/mint-costs', requireAdminAuth, async (req, res) => {
+  try {
+    const { groupBy = 'sku', from, to, format = 'json' } = req.query;
+    const report = await mintCostLedger.getReport({ groupBy, from, to });
+
+    if (format === 'csv') {
+      const period = [from, to].filter(Boolean).join('_to_') || 'all';
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="mint-costs-by-${groupBy}-${period}.csv"`);
+      return res.send(mintCostLedger.toCsv(report));
+    }
+
+    res.json({ success: true, from: from || null, to: to || null, ...report });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Mint cost report error:', error);
+    res.status(500).json({ success: false, error: 'Failed to build mint cost report', details: error.message });
+  }
+});
+
+// Minter signer pool: balances, health, nonces and pending transactions - PROTECTED
+app.get('/api/admin/signers', requireAdminAuth, async (req, res) => {
+  try {
+    const chain = req.query.chain || (await contractRegistry.getDefault()).chain;
+    const status = await signerService.getStatus(chain);
+
+    res.json({ success: true, ...status, gasPolicy: gasPolicy.getSettings() });
+  } catch (error) {
+    console.error('Signer status error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load signer status', details: error.message });
+  }
+});
+
+// Take a minter signer out of rotation or put it back - PROTECTED
+app.post('/api/admin/signers/:address/status', requireAdminAuth, async (req, res) => {
+  try {
+    const { status, chain = process.env.THIRDWEB_CHAIN || 'polygon' } = req.body;
+    if (!['active', 'disabled'].includes(status)) {
+      return res.status(400).json({ error: 'status must be active or disabled' });
+    }
+
+    const signer = await signerService.setSignerStatus(chain, req.params.address, status);
+    if (!signer) {
+      return res.status(404).json({ error: 'Signer not found' });
+    }
+
+    res.json({ success: true, signer });
+  } catch (error) {
+    console.error('Signer status update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update signer', details: error.message });
+  }
+});
+
+// Chains and the contract each product line mints on - PROTECTED
+app.get('/api/admin/collections', requireAdminAuth, async (req, res) => {
+  try {
+    contractRegistry.invalidate();
+    const [entries, defaultTarget] = await Promise.all([
+      contractRegistry.getEntries(),
+      contractRegistry.getDefault()
+    ]);
+
+    // Numbers issued and left for each limited edition
+    const editions = await Promise.all(entries.map(entry => entry.edition_size
+      ? editionAllocator.getSummary(entry.product_line, entry.edition_size)
+      : null));
+
+    res.json({
+      success: true,
+      count: entries.length,
+      entries: entries.map((entry, index) => ({ ...entry, edition: editions[index] })),
+      default: defaultTarget,
+      chains: CHAINS
+    });
+  } catch (error) {
+    console.error('Collection contract listing error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list collection contracts', details: error.message });
+  }
+});
+
+// Set the chain and contract a product line mints on - PROTECTED
+app.put('/api/admin/collections/:productLine', requireAdminAuth, async (req, res) => {
+  try {
+    const schema = Joi.object({
+      chain: Joi.string().required(),
+      contractAddress: Joi.string().required(),
+      label: Joi.string().max(200).allow('', null).optional(),
+      tokenStandard: Joi.string().valid('erc721', 'erc1155').default('erc721'),
+      editionSize: Joi.number().integer().min(1).allow(null).default(null),
+      soulbound: Joi.boolean().default(false),
+      isDefault: Joi.boolean().default(false),
+      enabled: Joi.boolean().default(true)
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const entry = await contractRegistry.save(req.params.productLine, value);
+    console.log(`⛓️ Product line ${entry.product_line} mints on ${entry.chain} ${entry.contract_address}`);
+
+    res.json({ success: true, entry });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Collection contract update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save collection contract', details: error.message });
+  }
+});
+
+// Remove a product line's contract - it falls back to the default - PROTECTED
+app.delete('/api/admin/collections/:productLine', requireAdminAuth, async (req, res) => {
+  try {
+    const deleted = await contractRegistry.remove(req.params.productLine);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Collection contract not found' });
+    }
+
+    res.json({ success: true, deleted: req.params.productLine });
+  } catch (error) {
+    console.error('Collection contract deletion error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete collection contract', details: error.message });
+  }
+});
+
+// Custody vault: address, gas balance, tokens held and claims by vault status - PROTECTED
+app.get('/api/admin/vault', requireAdminAuth, async (req, res) => {
+  try {
+    const target = await contractRegistry.getDefault();
+    const chain = req.query.chain || target.chain;
+    const contractAddress = req.query.contractAddress || target.contractAddress;
+    const inventory = await vaultService.getInventory(chain, contractAddress);
+
+    res.json({ success: true, ...inventory });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Vault inventory error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load vault inventory', details: error.message });
+  }
+});
+
+// Tokens waiting in the vault for claims that haven't been claimed - PROTECTED
+app.get('/api/admin/vault/unclaimed', requireAdminAuth, async (req, res) => {
+  try {
+    const olderThanDays = parseInt(req.query.olderThanDays, 10) || 0;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 1000);
+    const tokens = await vaultService.getUnclaimed({ olderThanDays, limit });
+
+    res.json({ success: true, olderThanDays, count: tokens.length, tokens });
+  } catch (error) {
+    console.error('Unclaimed vault tokens error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load unclaimed vault tokens', details: error.message });
+  }
+});
+
+// Re-send a stuck transaction with higher fees - PROTECTED
+app.post('/api/admin/signer/transactions/:id/speed-up', requireAdminAuth, async (req, res) => {
+  try {
+    const transaction = await db.getSignerTransaction(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const updated = await signerService.speedUp(transaction);
+    res.json({ success: true, transaction: updated });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Transaction speed-up error:', error);
+    res.status(500).json({ success: false, error: 'Failed to speed up transaction', details: error.message });
+  }
+});
+
+// Replace a stuck transaction with an empty one - PROTECTED
+app.post('/api/admin/signer/transactions/:id/cancel', requireAdminAuth, async (req, res) => {
+  try {
+    const transaction = await db.getSignerTransaction(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const updated = await signerService.cancel(transaction);
+    res.json({ success: true, transaction: updated });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Transaction cancel error:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel transaction', details: error.message });
+  }
+});
+
+/**
+ * One pass of the scheduled work: due mint jobs, confirmations, pending
+ * transactions and the next pages of an order backfill and product sync.
+ * Each step runs even if an earlier one throws.
+ * @param {Object} [options]
+ * @param {number} [options.mintBudgetMs] - Stop sending new mint batches after this long
+ * @returns {{ results: Object, errors: Object }} Each step's result or error message
+ */
+async function runScheduledWork({ mintBudgetMs = null } = {}) {
+  const steps = {
+    mintJobs: () => mintJobQueue.processDueJobs({ budgetMs: mintBudgetMs }),
+    confirmations: () => confirmationTracker.processPending(),
+    transactions: () => signerService.processPending(),
+    backfill: async () => {
+      const job = await orderBackfillService.processPending();
+      return job && { jobId: job.id, status: job.status, pagesProcessed: job.pages_processed };
+    },
+    productSync: async () => {
+      const run = await productSyncService.processPending();
+      return run && { runId: run.id, status: run.status, pagesProcessed: run.pages_processed };
+    }
+  };
+
+  const results = {};
+  const errors = {};
+  for (const [name, step] of Object.entries(steps)) {
+    try {
+      results[name] = await step();
+    } catch (error) {
+      console.error(`Scheduled ${name} error:`, error);
+      errors[name] = error.message;
+    }
+  }
+  return { results, errors };
+}
+
+// Mint worker for a scheduler (e.g. Vercel Cron) - sends Authorization: Bearer CRON_SECRET.
+// Also runs the next pages of a queued order backfill and product sync.
+// vercel.json runs it every minute, which needs a paid Vercel plan - Hobby
+// runs cron jobs at most once a day, so call it from another scheduler there.
+// New mint batches are only sent in the first MINT_CRON_BUDGET_MS; keep it
+// well under the project's function duration limit so the last batch's wait
+// still fits.
+app.get('/api/cron/mint-jobs', async (req, res) => {
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const mintBudgetMs = parseInt(process.env.MINT_CRON_BUDGET_MS, 10) || 60 * 1000;
+  const { results, errors } = await runScheduledWork({ mintBudgetMs });
+  const { mintJobs, ...rest } = results;
+  const failed = Object.keys(errors).length > 0;
+
+  res.status(failed ? 500 : 200).json({
+    success: !failed,
+    ...mintJobs,
+    ...rest,
+    ...(failed && { errors })
+  });
+});
+
+// Describe which unit of a line item a claim covers, e.g. "2 of 3"
+function formatClaimUnit(claim) {
+  if (!claim.unit_index) return null;
+  return {
+    index: claim.unit_index,
+    count: claim.unit_count,
+    label: `${claim.unit_index} of ${claim.unit_count}`
+  };
+}
+
+// Verify claim eligibility
+app.post('/api/claim/verify', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      email: Joi.string().email().required(),
+      claimToken: Joi.string().uuid().optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { email, claimToken } = value;
+
+    if (claimToken) {
+      // Verify specific claim token
+      try {
+        const claim = await db.verifyClaim(email, claimToken);
+        if (!claim) {
+          return res.status(404).json({ 
+            error: 'Invalid claim or claim has expired',
+            eligible: false
+          });
+        }
+
+        // Shown before claiming - a soulbound certificate can't be moved later
+        const target = await contractRegistry.resolveClaim(claim).catch(error => {
+          console.error('Failed to resolve claim contract:', error.message);
+          return null;
+        });
+
+        res.json({
+          eligible: true,
+          claim: {
+            id: claim.id,
+            token: claim.claim_token,
+            productName: claim.product_name || claim.orders?.product_name || 'Unknown Product',
+            productSku: claim.product_sku || claim.orders?.product_sku || 'NO-SKU',
+            orderNumber: claim.orders?.shopify_order_number || 'Unknown',
+            unit: formatClaimUnit(claim),
+            soulbound: target?.soulbound ?? null,
+            expiresAt: claim.expires_at
+          }
+        });
+      } catch (dbError) {
+        console.error('Database verification error:', dbError);
+        return res.status(500).json({ error: 'Verification service temporarily unavailable' });
+      }
+    } else {
+      // List every unclaimed certificate individually - one per eligible unit
+      try {
+        const claims = await db.getPendingClaimsByEmail(email);
+
+        const eligibleClaims = claims.map(claim => ({
+          claimId: claim.id,
+          orderId: claim.shopify_order_id,
+          orderNumber: claim.orders?.shopify_order_number,
+          productName: claim.product_name || claim.orders?.product_name,
+          productSku: claim.product_sku || claim.orders?.product_sku,
+          unit: formatClaimUnit(claim),
+          createdAt: claim.created_at,
+          expiresAt: claim.expires_at
+        }));
+
+        // Order-level summary kept for existing portal clients
+        const eligibleOrders = [...new Map(eligibleClaims.map(claim => [claim.orderId, {
+          orderId: claim.orderId,
+          orderNumber: claim.orderNumber,
+          productName: claim.productName,
+          productSku: claim.productSku,
+          createdAt: claim.createdAt
+        }])).values()];
+
+        res.json({
+          eligible: eligibleClaims.length > 0,
+          eligibleClaims,
+          eligibleOrders
+        });
+      } catch (dbError) {
+        console.error('Database query error:', dbError);
+        return res.status(500).json({ error: 'Service temporarily unavailable' });
+      }
+    }
+
+  } catch (error) {
+    console.error('Claim verification error:', error);
+    res.status(500).json({ error: 'Verification failed' });
+  }
+});
+
+// Process NFT claim
+app.post('/api/claim/process', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      email: Joi.string().email().required(),
+      claimToken: Joi.string().uuid().required()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { email, claimToken } = value;
+
+    // Verify claim
+    const claim = await db.verifyClaim(email, claimToken);
+    if (!claim) {
+      // A claim being minted is no longer pending - point the customer at its job
+      const existing = await db.getClaimStatus(claimToken);
+      if (existing?.customer_email === email && existing.claim_status === 'processing') {
+        const recovered = await claimStateMachine.recoverStuckClaim(existing);
+        if (recovered) {
+          return res.status(409).json({ error: 'Claim processing timed out and has been flagged for review' });
+        }
+
+        const job = await db.getLatestMintJobForClaim(existing.id);
+        return res.status(409).json({
+          error: 'Claim is already being processed',
+          jobId: job?.id,
+          statusUrl: `/api/claim/status/${claimToken}`
+        });
+      }
+      return res.status(404).json({ error: 'Invalid or expired claim' });
+    }
+
+    // Generate wallet
+    const walletData = walletService.generateWallet();
+
+    // Lock the claim - only one request can move it out of pending
+    const lockedClaim = await claimStateMachine.acquire(claim, db.walletClaimFields(walletData));
+    if (!lockedClaim) {
+      return res.status(409).json({ error: 'Claim is already being processed' });
+    }
+
+    console.log('🎨 Processing claim for:', email);
+    console.log('💳 Generated wallet:', walletData.address);
+    claimProgressBus.publish(claimToken, 'progress', { stage: 'wallet_generated', walletAddress: walletData.address });
+
+    let job;
+    try {
+      // Limited editions are numbered here - a sold-out edition is a 409
+      await editionAllocator.allocate(lockedClaim);
+
+      // Certificates pre-minted to the vault are transferred, not minted
+      job = await mintJobQueue.enqueueClaim(lockedClaim);
+    } catch (error) {
+      // Nothing was queued - release the lock so the customer can retry
+      await claimStateMachine.transition(lockedClaim, 'pending', { reason: 'processing_error' }).catch(releaseError => {
+        console.error('Failed to release claim after error:', releaseError);
+      });
+      throw error;
+    }
+
+    // Mint in the background - the customer polls the status endpoint
+    mintJobQueue.kick(job);
+
+    const walletDisplay = walletService.formatWalletForDisplay(walletData);
+
+    res.status(202).json({
+      success: true,
+      claim: {
+        status: lockedClaim.claim_status,
+        jobId: job.id,
+        statusUrl: `/api/claim/status/${claimToken}`,
+        eventsUrl: `/api/claim/events/${claimToken}`,
+        wallet: {
+          ...walletDisplay,
+          privateKey: walletData.privateKey // Include for customer
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('💥 Claim processing error:', error);
+    res.status(500).json({ 
+      error: 'Failed to process claim',
+      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Claim status as shown to the customer, with its latest mint job.
+// Due mint jobs and confirmation checks are kicked off here - polling drives
+// them between worker runs.
+async function loadClaimStatus(token) {
+  const claim = await db.getClaimStatus(token);
+  if (!claim) return null;
+
+  const response = {
+    status: claim.claim_status,
+    product: {
+      name: claim.product_name || claim.orders?.product_name || 'Unknown Product',
+      sku: claim.product_sku || claim.orders?.product_sku || 'NO-SKU'
+    },
+    unit: formatClaimUnit(claim),
+    createdAt: claim.created_at,
+    expiresAt: claim.expires_at,
+    statusUpdatedAt: claim.status_updated_at,
+    processingStartedAt: claim.processing_started_at,
+    mintedAt: claim.minted_at,
+    confirmedAt: claim.confirmed_at
+  };
+
+  const job = await db.getLatestMintJobForClaim(claim.id);
+  if (job) {
+    response.mintJob = {
+      id: job.id,
+      kind: job.kind || 'mint',
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      nextAttemptAt: job.status === 'queued' ? job.next_attempt_at : null
+    };
+
+    // Waiting for gas to come down under the gas policy
+    if (job.status === 'queued' && job.deferral) {
+      response.gasDeferral = {
+        reason: job.deferral.reason,
+        currentGwei: job.deferral.currentGwei,
+        limitGwei: job.deferral.limitGwei,
+        deferredSince: job.deferral.since,
+        retryAt: job.next_attempt_at
+      };
+    }
+
+    if (mintJobQueue.isDue(job)) {
+      mintJobQueue.kick(job);
+    }
+  }
+
+  // Where the certificate is (or will be) minted - the job's prepared mint
+  // is what was actually sent
+  const target = job?.prepared_mint
+    ? {
+      chain: job.prepared_mint.chain,
+      contractAddress: job.prepared_mint.contractAddress,
+      productLine: job.prepared_mint.productLine || null,
+      tokenStandard: job.prepared_mint.tokenStandard || 'erc721',
+      soulbound: Boolean(job.prepared_mint.soulbound)
+    }
+    : await contractRegistry.resolveClaim(claim).catch(error => {
+      console.error('Failed to resolve claim contract:', error.message);
+      return null;
+    });
+  if (target) {
+    response.contract = {
+      network: claim.nft_network || target.chain,
+      contractAddress: claim.nft_contract_address || target.contractAddress,
+      productLine: target.productLine,
+      tokenStandard: claim.nft_contract_address ? claim.nft_token_standard || 'erc721' : target.tokenStandard,
+      // Non-transferable - only an admin can revoke and reissue it
+      soulbound: claim.nft_contract_address ? Boolean(claim.nft_soulbound) : target.soulbound
+    };
+  }
+
+  if (claim.edition_number) {
+    response.edition = editionAllocator.edition(claim);
+  }
+
+  if (MINTED_STATUSES.includes(claim.claim_status)) {
+    response.nft = {
+      tokenId: claim.nft_token_id,
+      transactionHash: claim.nft_transaction_hash,
+      walletAddress: claim.wallet_address,
+      contractAddress: claim.nft_contract_address || job?.result?.contractAddress,
+      network: claim.nft_network || job?.result?.network,
+      blockNumber: claim.mint_block_number,
+      soulbound: Boolean(claim.nft_soulbound)
+    };
+    response.claimedAt = claim.claimed_at;
+    response.confirmations = {
+      count: claim.mint_confirmations,
+      required: confirmationTracker.requiredConfirmations
+    };
+
+    if (confirmationTracker.isDue(claim)) {
+      confirmationTracker.checkClaim(claim).catch(error => {
+        console.error('Confirmation check error:', error);
+      });
+    }
+
+    if (job?.result?.coaImageUrl) {
+      response.coa = {
+        uniqueId: claim.coa_unique_id,
+        imageUrl: job.result.coaImageUrl
+      };
+    }
+
+    // Content-addressed copies of the certificate and its metadata
+    if (claim.coa_image_cid) {
+      response.storage = {
+        store: claim.content_store,
+        imageCid: claim.coa_image_cid,
+        imageSha256: claim.coa_image_sha256,
+        metadataCid: claim.metadata_cid,
+        metadataSha256: claim.metadata_sha256
+      };
+    }
+  }
+
+  if (claim.claim_status === 'failed') {
+    response.failedAt = claim.failed_at;
+  }
+
+  if (claim.claim_status === 'revoked') {
+    response.revokedAt = claim.revoked_at;
+  }
+
+  return response;
+}
+
+// Get claim status
+app.get('/api/claim/status/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'Claim token required' });
+    }
+
+    const response = await loadClaimStatus(token);
+    if (!response) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Status check error:', error);
+    res.status(500).json({ error: 'Failed to get claim status' });
+  }
+});
+
+// Token metadata - what a contract's token URIs point at once set to this
+// API. Minted metadata with current ownership, service and warranty traits.
+app.get('/metadata/:contract/:tokenId', async (req, res) => {
+  try {
+    const { contract, tokenId } = req.params;
+    if (!ethers.utils.isAddress(contract) || !/^\d+$/.test(tokenId)) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    const metadata = await tokenMetadataService.getTokenMetadata(contract, tokenId);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    // Marketplaces re-fetch on their own schedule - keep it short
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(metadata);
+  } catch (error) {
+    console.error('Token metadata error:', error);
+    res.status(500).json({ error: 'Failed to load token metadata' });
+  }
+});
+
+// Certificate images and metadata from the content store, by CID. Only
+// CIDs recorded on a claim are served, as the type recorded for them and
+// only if the bytes match the hash recorded with them - never whatever else
+// the store (or an IPFS gateway) holds.
+app.get('/content/:cid', async (req, res) => {
+  try {
+    const { cid } = req.params;
+    const claim = contentStore && isCid(cid) ? await db.getClaimByContentCid(cid) : null;
+    const content = claim && await contentStore.get(cid);
+    if (!content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const isMetadata = cid === claim.metadata_cid;
+    const expectedSha256 = isMetadata ? claim.metadata_sha256 : claim.coa_image_sha256;
+    if (expectedSha256 && contentSha256(content) !== expectedSha256) {
+      console.error(`❌ Content ${cid} from ${claim.content_store} does not match its recorded hash`);
+      return res.status(502).json({ error: 'Content does not match its recorded hash' });
+    }
+
+    const contentType = isMetadata
+      ? 'application/json'
+      : claim.coa_image_content_type || 'image/png';
+
+    // Addressed by its hash, so it never changes
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+    res.type(contentType).send(content);
+  } catch (error) {
+    console.error('Content fetch error:', error);
+    res.status(500).json({ error: 'Failed to load content' });
+  }
+});
+
+// The stream closes once a claim reaches one of these; EventSource clients
+// reconnect after any other close and get a fresh snapshot
+const CLAIM_STREAM_END_STATUSES = ['confirmed', 'failed', 'revoked'];
+const CLAIM_STREAM_MAX_MS = parseInt(process.env.CLAIM_STREAM_MAX_MS, 10) || 55 * 1000;
+
+// Live claim progress (Server-Sent Events)
+// Sends a snapshot (same shape as /api/claim/status/:token) on connect and
+// whenever the stored status changes, plus status and progress events from
+// the claim pipeline as they happen
+app.get('/api/claim/events/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const snapshot = await loadClaimStatus(token);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const send = (type, data, id) => {
+      res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const signature = status =>
+      `${status.status}:${status.mintJob?.status}:${status.mintJob?.attempts}:${status.gasDeferral?.retryAt}:${status.confirmations?.count}`;
+
+    send('snapshot', snapshot);
+
+    // Events published while the client was reconnecting
+    const lastEventId = parseInt(req.get('last-event-id'), 10) || 0;
+    for (const event of claimProgressBus.getEventsSince(token, lastEventId)) {
+      send(event.type, event.data, event.id);
+    }
+
+    if (CLAIM_STREAM_END_STATUSES.includes(snapshot.status)) {
+      return res.end();
+    }
+
+    let lastSignature = signature(snapshot);
+    let unsubscribe = null;
+    let poll = null;
+    let heartbeat = null;
+    let timeout = null;
+
+    const close = () => {
+      unsubscribe();
+      clearInterval(poll);
+      clearInterval(heartbeat);
+      clearTimeout(timeout);
+      res.end();
+    };
+
+    unsubscribe = claimProgressBus.subscribe(token, event => {
+      send(event.type, event.data, event.id);
+      if (event.type === 'status' && CLAIM_STREAM_END_STATUSES.includes(event.data.status)) {
+        close();
+      }
+    });
+
+    // Progress made by another instance only shows up in the database
+    poll = setInterval(async () => {
+      try {
+        const current = await loadClaimStatus(token);
+        if (!current || signature(current) === lastSignature) return;
+
+        lastSignature = signature(current);
+        send('snapshot', current);
+        if (CLAIM_STREAM_END_STATUSES.includes(current.status)) {
+          close();
+        }
+      } catch (error) {
+        console.error('Claim stream poll error:', error);
+      }
+    }, 5000);
+
+    heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    timeout = setTimeout(close, CLAIM_STREAM_MAX_MS);
+    req.on('close', close);
+
+  } catch (error) {
+    console.error('Claim stream error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to stream claim progress' });
+  }
+});
+
+// Generate CoA URL (for testing)
+app.post('/api/generate-coa', async (req, res) => {
+  try {
+    const schema = Joi.object({
+      customerName: Joi.string().required(),
+      productName: Joi.string().required(),
+      authenticityId: Joi.string().optional(),
+      serialNumber: Joi.string().optional(),
+      purchaseDate: Joi.date().optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const coaResult = coaGenerator.generateCertificateUrl({
+      customerName: value.customerName,
+      productName: value.productName,
+      authenticityId: value.authenticityId || `AUTH-${Date.now()}`,
+      serialNumber: value.serialNumber || 'MV-001',
+      purchaseDate: value.purchaseDate || new Date()
+    });
+
+    res.json({
+      success: true,
+      certificateUrl: coaResult,
+      message: 'Certificate URL generated successfully'
+    });
+
+  } catch (error) {
+    console.error('CoA generation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate Certificate of Authenticity',
+      details: error.message 
+    });
+  }
+});
+
+// Test Cloudinary endpoint - PROTECTED
+app.get('/api/test/coa', requireAdminAuth, (req, res) => {
+  try {
+    console.log('🧪 Testing Cloudinary CoA generation...');
+    const testResult = coaGenerator.testGeneration();
+    
+    res.json({
       success: true,
       message: 'Cloudinary CoA generation test completed',
       ...testResult,
@@ -1944,6 +3411,31 @@ app.get('/api/admin/status', requireAdminAuth, async (req, res) => {
     // Replace your current blockchain health check in /api/admin/status with this enhanced version
 
 // Enhanced blockchain health check function
+// Connect to each registered collection contract and check the primary
+// minter's balance on its chain
+async function checkCollectionContracts() {
+  const targets = await contractRegistry.listTargets();
+
+  return Promise.all(targets.map(async target => {
+    const check = {
+      productLine: target.productLine,
+      chain: target.chain,
+      contractAddress: target.contractAddress,
+      source: target.source
+    };
+
+    try {
+      const contract = await signerService.getContract(target.chain, target.contractAddress);
+      const metadata = await contract.metadata.get();
+      const balance = await signerService.getProvider(target.chain).getBalance(signerService.getAddress());
+
+      return { ...check, status: 'healthy', name: metadata.name, minterBalance: ethers.utils.formatEther(balance) };
+    } catch (error) {
+      return { ...check, status: 'error', error: error.message };
+    }
+  }));
+}
+
 async function checkBlockchainHealth() {
   const result = {
     status: 'unknown',
@@ -1978,19 +3470,23 @@ async function checkBlockchainHealth() {
       chain: process.env.THIRDWEB_CHAIN || 'polygon'
     };
 
+    // The registry's default contract replaces the env one when set
+    const defaultTarget = await contractRegistry.getDefault();
+    result.details.defaultContract = defaultTarget;
+
     console.log('🔍 Testing ThirdWeb SDK initialization...');
     
     // Initialize SDK with more specific configuration
     const sdk = ThirdwebSDK.fromPrivateKey(
       process.env.THIRDWEB_PRIVATE_KEY,
-      process.env.THIRDWEB_CHAIN || "polygon",
+      defaultTarget.chain,
       { 
         clientId: process.env.THIRDWEB_CLIENT_ID,
         secretKey: process.env.THIRDWEB_SECRET_KEY,
         // Add these for better error handling
         gasless: false,
         readOnlySettings: {
-          rpcUrl: process.env.THIRDWEB_CHAIN === 'polygon' ? 
+          rpcUrl: defaultTarget.chain === 'polygon' ? 
             'https://polygon-rpc.com/' : undefined
         }
       }
@@ -2001,7 +3497,7 @@ async function checkBlockchainHealth() {
 
     // Test contract connection
     console.log('🔍 Testing contract connection...');
-    const contract = await sdk.getContract(process.env.THIRDWEB_CONTRACT_ADDRESS);
+    const contract = await sdk.getContract(defaultTarget.contractAddress);
     result.details.contractConnected = true;
     console.log('✅ Contract connected successfully');
 
@@ -2032,8 +3528,16 @@ async function checkBlockchainHealth() {
 
     console.log('✅ Wallet balance checked successfully');
 
-    // If we get here, everything is working
-    result.status = 'healthy';
+    // Every product line's contract, on its own chain
+    console.log('🔍 Testing collection contracts...');
+    result.details.collections = await checkCollectionContracts();
+    const unhealthy = result.details.collections.filter(collection => collection.status !== 'healthy');
+    for (const collection of unhealthy) {
+      result.errors.push(`${collection.productLine || 'Default'} contract on ${collection.chain}: ${collection.error}`);
+    }
+
+    // If we get here, the default contract is working
+    result.status = unhealthy.length > 0 ? 'degraded' : 'healthy';
     result.details.lastChecked = new Date().toISOString();
 
   } catch (error) {
@@ -2136,16 +3640,17 @@ app.get('/api/admin/test-blockchain', requireAdminAuth, async (req, res) => {
     if (blockchainHealth.status === 'healthy') {
       try {
         // Test contract functions
+        const defaultTarget = await contractRegistry.getDefault();
         const sdk = ThirdwebSDK.fromPrivateKey(
           process.env.THIRDWEB_PRIVATE_KEY,
-          process.env.THIRDWEB_CHAIN || "polygon",
+          defaultTarget.chain,
           { 
             clientId: process.env.THIRDWEB_CLIENT_ID,
             secretKey: process.env.THIRDWEB_SECRET_KEY
           }
         );
         
-        const contract = await sdk.getContract(process.env.THIRDWEB_CONTRACT_ADDRESS);
+        const contract = await sdk.getContract(defaultTarget.contractAddress);
         
         // Test getting total supply (non-modifying operation)
         const totalSupply = await contract.erc721.totalSupply();
@@ -2248,10 +3753,47 @@ app.use((req, res) => {
       'GET /admin - Admin Dashboard (requires authentication)',
       'GET /api/admin',
       'GET /api/admin/status',
-      'POST /webhook/shopify - Shopify webhook handler',
+      'POST /webhook/shopify - Shopify webhook handler (orders/paid, orders/updated, orders/cancelled, refunds/create, products/create, products/update)',
+      'POST /webhook/stripe - Stripe Checkout webhook handler (checkout.session.completed, checkout.session.async_payment_succeeded)',
+      'POST /webhook/woocommerce - WooCommerce webhook handler (order.paid)',
+      'GET /api/admin/webhooks/failed - List dead-lettered webhooks (requires authentication)',
+      'POST /api/admin/webhooks/failed/:id/replay - Replay a failed webhook (requires authentication)',
+      'GET/POST/PUT/DELETE /api/admin/eligibility/rules - Manage NFT eligibility rules (requires authentication)',
+      'POST /api/admin/eligibility/dry-run - Explain NFT eligibility for an order (requires authentication)',
+      'GET/PUT/DELETE /api/admin/catalog/:sku - Manage per-SKU NFT templates and metadata (requires authentication)',
+      'GET /api/admin/products - List products synced from Shopify (requires authentication)',
+      'POST /api/admin/products/sync - Sync products from Shopify (requires authentication)',
+      'POST /api/admin/products/sync/:id/resume - Resume a failed product sync (requires authentication)',
+      'POST /api/admin/backfill - Backfill historical Shopify orders (requires authentication)',
+      'GET /api/admin/backfill/:id - Backfill job progress (requires authentication)',
+      'POST /api/admin/backfill/:id/resume - Resume a failed backfill (requires authentication)',
+      'POST /api/admin/claims/recover-stuck - Fail claims stuck in processing (requires authentication)',
+      'GET /api/admin/claims/:id/events - Claim status history (requires authentication)',
+      'POST /api/admin/claims/:id/retry - Return a failed claim to pending (requires authentication)',
+      'POST /api/admin/claims/:id/revoke - Revoke a soulbound certificate, burning it (requires authentication)',
+      'POST /api/admin/claims/:id/reissue - Reissue a revoked soulbound certificate as a new claim (requires authentication)',
+      'POST /api/admin/claims/:id/records - Record an ownership change or service work on a certificate (requires authentication)',
+      'PUT /api/admin/claims/:id/warranty - Set a certificate\'s warranty status (requires authentication)',
+      'POST /api/admin/metadata/:contract/uri - Point a token\'s (or the contract\'s base) URI at new metadata (requires authentication)',
+      'GET /api/admin/mint-jobs - List mint jobs (requires authentication)',
+      'POST /api/admin/mint-jobs/run - Run due mint jobs (requires authentication)',
+      'POST /api/admin/confirmations/check - Check minted claims for confirmations (requires authentication)',
+      'GET /api/admin/mint-costs - Mint gas cost report by sku, order, month or mint, JSON or CSV (requires authentication)',
+      'GET /api/admin/signers - Minter signer pool balances, health and nonces (requires authentication)',
+      'POST /api/admin/signers/:address/status - Take a minter signer out of rotation or put it back (requires authentication)',
+      'GET /api/admin/collections - Chains and the contract each product line mints on (requires authentication)',
+      'PUT/DELETE /api/admin/collections/:productLine - Set or remove a product line\'s chain and contract (requires authentication)',
+      'GET /api/admin/vault - Custody vault balance and pre-minted token inventory (requires authentication)',
+      'GET /api/admin/vault/unclaimed - Pre-minted tokens still waiting in the vault to be claimed (requires authentication)',
+      'POST /api/admin/signer/transactions/:id/speed-up - Re-send a stuck transaction with higher fees (requires authentication)',
+      'POST /api/admin/signer/transactions/:id/cancel - Cancel a stuck transaction (requires authentication)',
+      'GET /api/cron/mint-jobs - Mint worker, confirmation and transaction checks and queued backfill and product sync pages for scheduled runs (requires CRON_SECRET)',
       'POST /api/claim/verify - Verify NFT claim eligibility',
-      'POST /api/claim/process - Process NFT claim',
-      'GET /api/claim/status/:token - Check claim status',
+      'POST /api/claim/process - Queue NFT mint (or vault transfer) for a claim',
+      'GET /api/claim/status/:token - Check claim and mint job status',
+      'GET /api/claim/events/:token - Live claim progress (Server-Sent Events)',
+      'GET /metadata/:contract/:tokenId - Token metadata with current ownership, service and warranty traits',
+      'GET /content/:cid - Certificate image or metadata from the content store',
       'POST /api/generate-coa - Generate Certificate of Authenticity',
       'GET /health - Health check'
     ]
@@ -2283,4 +3825,13 @@ if (require.main === module) {
     console.log(`📊 Health Check: http://localhost:${port}/health`);
     console.log(`💡 Admin token required: ${process.env.ADMIN_ACCESS_TOKEN ? 'Configured ✅' : 'Not set ❌'}`);
   });
+
+  // No scheduler locally - run due mint jobs (retries, interrupted jobs),
+  // confirmation and pending transaction checks and the next pages of an
+  // order backfill and product sync on an interval
+  setInterval(() => {
+    runScheduledWork().catch(error => {
+      console.error('Mint worker error:', error);
+    });
+  }, 30 * 1000);
 }
\ No newline at end of file
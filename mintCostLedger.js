@@ -0,0 +1,209 @@
+const { ethers } = require('ethers');
+
+const GROUPS = {
+  sku: row => row.product_sku || 'NO-SKU',
+  order: row => row.order_number || row.shopify_order_id || 'unknown',
+  month: row => row.minted_at.slice(0, 7),
+  mint: row => `${row.transaction_hash}:${row.claim_id}`
+};
+
+const CSV_COLUMNS = {
+  summary: ['group', 'chain', 'symbol', 'mints', 'gas_used', 'cost_native', 'cost_fiat', 'fiat_currency'],
+  mint: [
+    'minted_at', 'transaction_hash', 'kind', 'status', 'chain', 'claim_id', 'order_number', 'order_source',
+    'product_sku', 'product_name', 'token_id', 'batch_size', 'gas_used', 'effective_gas_price_gwei', 'cost_native',
+    'symbol', 'native_price', 'cost_fiat', 'fiat_currency', 'price_source'
+  ]
+};
+
+/**
+ * Mint Cost Ledger
+ * Records what each mint cost (mint_costs): gas used, effective gas price,
+ * the native-token cost and its fiat value at the time of the mint. The cost
+ * is also written to the claim with the rest of its mint fields.
+ *
+ * Mints that were dropped or reorged out never cost anything and are kept
+ * as dropped, out of the totals; reverted mints did pay for their gas.
+ */
+class MintCostLedger {
+  constructor({ db, priceSource }) {
+    this.db = db;
+    this.priceSource = priceSource;
+  }
+
+  /**
+   * Cost of a mint from its receipt
+   * @param {string} chain
+   * @param {Object} result - gasUsed and effectiveGasPrice from the mint
+   * @returns {Object|null} Costs, or null when the receipt had no gas figures
+   */
+  async price(chain, result) {
+    if (!result.gasUsed || !result.effectiveGasPrice) return null;
+
+    const costWei = ethers.BigNumber.from(result.gasUsed).mul(result.effectiveGasPrice);
+    const native = ethers.utils.formatEther(costWei);
+    const quote = await this.priceSource.getPrice(chain);
+
+    return {
+      costWei: costWei.toString(),
+      native,
+      symbol: quote?.symbol || this.priceSource.getToken(chain).symbol,
+      nativePrice: quote?.price ?? null,
+      fiat: quote ? Math.round(parseFloat(native) * quote.price * 1e6) / 1e6 : null,
+      currency: quote?.currency || null,
+      source: quote?.source || null
+    };
+  }
+
+  /**
+   * Write a mint to the ledger
+   * @param {Object} [options]
+   * @param {string} [options.kind] - mint, or vault_mint / vault_transfer for
+   *   the two halves of a pre-minted certificate
+   */
+  async record(claim, prepared, result, cost, { kind = 'mint' } = {}) {
+    return this.db.recordMintCost({
+      transaction_hash: result.transactionHash,
+      claim_id: claim.id,
+      kind,
+      shopify_order_id: claim.shopify_order_id || null,
+      order_number: claim.orders?.shopify_order_number || null,
+      order_source: claim.orders?.order_source || null,
+      product_sku: prepared.productSku,
+      product_name: prepared.productName,
+      chain: prepared.chain,
+      contract_address: prepared.contractAddress,
+      token_id: result.tokenId,
+      minter_address: result.minterAddress || null,
+      batch_size: result.batchSize ?? 1,
+      status: 'minted',
+      gas_used: result.gasUsed ?? null,
+      effective_gas_price: result.effectiveGasPrice ?? null,
+      cost_wei: cost?.costWei ?? null,
+      cost_native: cost?.native ?? null,
+      symbol: cost?.symbol ?? null,
+      native_price: cost?.nativePrice ?? null,
+      cost_fiat: cost?.fiat ?? null,
+      fiat_currency: cost?.currency ?? null,
+      price_source: cost?.source ?? null,
+      minted_at: new Date().toISOString()
+    });
+  }
+
+  async markStatus(claim, status) {
+    if (!claim.nft_transaction_hash) return null;
+    return this.db.updateMintCostStatus(claim.nft_transaction_hash, claim.id, status);
+  }
+
+  /**
+   * Mint costs grouped for finance
+   * @param {Object} [options]
+   * @param {string} [options.groupBy] - sku, order, month, or mint for one row per mint
+   * @param {string} [options.from] - ISO date, inclusive
+   * @param {string} [options.to] - ISO date, exclusive
+   * @returns {Object} Rows, and totals per chain
+   */
+  async getReport({ groupBy = 'sku', from = null, to = null } = {}) {
+    if (!GROUPS[groupBy]) {
+      const error = new Error(`groupBy must be one of ${Object.keys(GROUPS).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const mints = await this.db.getMintCosts({ from, to });
+    const counted = mints.filter(mint => mint.status !== 'dropped');
+
+    return {
+      groupBy,
+      rows: groupBy === 'mint'
+        ? mints.map(mint => this.formatMint(mint))
+        : this.summarize(counted, GROUPS[groupBy]),
+      totals: this.summarize(counted, () => 'total')
+    };
+  }
+
+  // Native costs only add up within a chain, so groups are split by chain
+  summarize(mints, keyOf) {
+    const groups = new Map();
+
+    for (const mint of mints) {
+      const key = `${keyOf(mint)}|${mint.chain}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          group: keyOf(mint),
+          chain: mint.chain,
+          symbol: mint.symbol,
+          mints: 0,
+          gasUsed: ethers.constants.Zero,
+          costWei: ethers.constants.Zero,
+          costFiat: 0,
+          currencies: new Set()
+        });
+      }
+
+      const group = groups.get(key);
+      group.mints++;
+      group.gasUsed = group.gasUsed.add(mint.gas_used || 0);
+      group.costWei = group.costWei.add(mint.cost_wei || 0);
+      group.costFiat += Number(mint.cost_fiat) || 0;
+      if (mint.fiat_currency) group.currencies.add(mint.fiat_currency);
+    }
+
+    return [...groups.values()]
+      .sort((a, b) => String(a.group).localeCompare(String(b.group)))
+      .map(group => ({
+        group: group.group,
+        chain: group.chain,
+        symbol: group.symbol,
+        mints: group.mints,
+        gasUsed: group.gasUsed.toString(),
+        costNative: ethers.utils.formatEther(group.costWei),
+        costFiat: Math.round(group.costFiat * 1e6) / 1e6,
+        // More than one currency means MINT_FIAT_CURRENCY changed during the period
+        fiatCurrency: [...group.currencies].join('/') || null
+      }));
+  }
+
+  formatMint(mint) {
+    return {
+      mintedAt: mint.minted_at,
+      transactionHash: mint.transaction_hash,
+      kind: mint.kind,
+      status: mint.status,
+      chain: mint.chain,
+      claimId: mint.claim_id,
+      orderNumber: mint.order_number,
+      orderSource: mint.order_source,
+      productSku: mint.product_sku,
+      productName: mint.product_name,
+      tokenId: mint.token_id,
+      batchSize: mint.batch_size,
+      gasUsed: mint.gas_used,
+      effectiveGasPriceGwei: mint.effective_gas_price ? ethers.utils.formatUnits(mint.effective_gas_price, 'gwei') : null,
+      costNative: mint.cost_native,
+      symbol: mint.symbol,
+      nativePrice: mint.native_price,
+      costFiat: mint.cost_fiat,
+      fiatCurrency: mint.fiat_currency,
+      priceSource: mint.price_source
+    };
+  }
+
+  toCsv(report) {
+    const columns = report.groupBy === 'mint' ? CSV_COLUMNS.mint : CSV_COLUMNS.summary;
+    const camel = column => column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(column => (column === 'group' ? report.groupBy : column)).join(',')];
+    for (const row of report.rows) {
+      lines.push(columns.map(column => escape(row[camel(column)])).join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = MintCostLedger;
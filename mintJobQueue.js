@@ -0,0 +1,706 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Mint Job Queue
+ * Claims are minted by persisted jobs (mint_jobs table) instead of inside the
+ * claim request. A job keeps its claim in processing until the NFT is minted
+ * or the job runs out of attempts, retrying failures with exponential backoff.
+ *
+ * Jobs are run once their batch window closes, by status polls once a job
+ * is due, and by the worker endpoint (cron) or the local interval worker.
+ * The worker mints the jobs due together in batches (mintBatchTo). A running
+ * job whose heartbeat is stale was interrupted and is picked up again. Each
+ * attempt holds a lease on its job and renews the heartbeat with it before
+ * sending and while waiting on the transaction, so an attempt whose job was
+ * taken over never sends it. Every write of the job's state is conditional
+ * on the lease too, so a stale attempt never overwrites the new owner's.
+ *
+ * Jobs come in three kinds: mint (to the claim's wallet), vault_mint (a
+ * pre-mint to the custody vault while the claim is still pending) and
+ * vault_transfer (a claimed pre-mint, sent from the vault to the wallet).
+ */
+class MintJobQueue {
+  constructor({ db, claimStateMachine, nftMintService, emailService, gasPolicy, costLedger, progress = null }) {
+    this.db = db;
+    this.claimStateMachine = claimStateMachine;
+    this.nftMintService = nftMintService;
+    this.emailService = emailService;
+    this.gasPolicy = gasPolicy;
+    this.costLedger = costLedger;
+    this.progress = progress;
+
+    this.maxAttempts = parseInt(process.env.MINT_JOB_MAX_ATTEMPTS, 10) || 5;
+    this.backoffBaseMs = 30 * 1000;
+    this.backoffMaxMs = 30 * 60 * 1000;
+
+    // Longer than a mint can take to be mined; waiting attempts renew the
+    // heartbeat well within it
+    this.staleAfterMs = 5 * 60 * 1000;
+    this.heartbeatIntervalMs = 30 * 1000;
+
+    // Jobs due together are minted in one transaction, up to MINT_BATCH_SIZE
+    // (1 turns batching off). New jobs wait MINT_BATCH_WINDOW_MS so others
+    // queued shortly after can join them.
+    this.batchSize = parseInt(process.env.MINT_BATCH_SIZE, 10) || 10;
+    const batchWindowMs = parseInt(process.env.MINT_BATCH_WINDOW_MS, 10);
+    this.batchWindowMs = this.batchSize > 1 ? (Number.isNaN(batchWindowMs) ? 10 * 1000 : batchWindowMs) : 0;
+
+    // On serverless (Vercel) nothing runs once the response is sent, so
+    // queued jobs are left to the scheduled worker (/api/cron/mint-jobs,
+    // every minute). Jobs due by then are batched together - the window is
+    // the cron interval, and MINT_BATCH_WINDOW_MS only delays when a job
+    // is first due.
+    this.scheduledOnly = Boolean(process.env.VERCEL);
+  }
+
+  /**
+   * Queue a mint for a claim already locked in processing
+   * @param {Object} claim - Claim in processing, with its wallet saved
+   * @param {Object} [options]
+   * @param {Object} [options.preparedMint] - Certificate of a lost mint to send again
+   * @param {string} [options.kind] - mint, vault_mint or vault_transfer
+   * @returns {Object} The queued job
+   */
+  async enqueue(claim, { preparedMint = null, kind = 'mint' } = {}) {
+    const job = await this.db.createMintJob({
+      claim_id: claim.id,
+      kind,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: this.maxAttempts,
+      next_attempt_at: new Date(Date.now() + this.batchWindowMs).toISOString(),
+      prepared_mint: preparedMint
+    });
+
+    console.log(`📥 Mint job ${job.id} (${kind}) queued for claim ${claim.claim_token}`);
+    return job;
+  }
+
+  /**
+   * Queue what a claim that was just locked needs: a transfer when its
+   * certificate was pre-minted to the vault, otherwise a mint. A pre-mint
+   * that hasn't started is called off and the claim is minted directly.
+   * @param {Object} claim - Claim in processing, with its wallet saved
+   * @returns {Object} The queued job
+   * @throws {Error} 409 while the pre-mint is running
+   */
+  async enqueueClaim(claim) {
+    if (claim.vault_status === 'minted') {
+      const premint = await this.db.getLatestMintJobForClaim(claim.id, { kind: 'vault_mint' });
+      return this.enqueue(claim, {
+        kind: 'vault_transfer',
+        preparedMint: { ...premint.prepared_mint, vaultTokenId: claim.vault_token_id }
+      });
+    }
+
+    if (claim.vault_status === 'queued') {
+      const premint = await this.db.getLatestMintJobForClaim(claim.id, { kind: 'vault_mint' });
+      if (premint && ['queued', 'running'].includes(premint.status)) {
+        const cancelled = await this.db.cancelQueuedMintJob(premint.id, 'Claimed before the vault pre-mint ran');
+        if (!cancelled) {
+          const error = new Error('Certificate is still being prepared - please try again shortly');
+          error.statusCode = 409;
+          throw error;
+        }
+      }
+      await this.setVaultStatus(claim, 'skipped');
+    }
+
+    return this.enqueue(claim);
+  }
+
+  async setVaultStatus(claim, vaultStatus) {
+    await this.db.updateClaimVault(claim.id, { vault_status: vaultStatus }).catch(error => {
+      console.error('Failed to update claim vault status:', error);
+    });
+  }
+
+  // Pre-mints go to the vault, everything else to the claim's wallet
+  recipientFor(job) {
+    return job.kind === 'vault_mint' ? this.nftMintService.getVaultAddress() : null;
+  }
+
+  isStale(job) {
+    const heartbeat = new Date(job.heartbeat_at || job.started_at || job.created_at).getTime();
+    return Date.now() - heartbeat > this.staleAfterMs;
+  }
+
+  isDue(job) {
+    if (job.status === 'queued') return new Date(job.next_attempt_at).getTime() <= Date.now();
+    return job.status === 'running' && this.isStale(job);
+  }
+
+  // queued → running → succeeded, or back to queued for a retry, or failed
+  isActive(job) {
+    return job.status === 'queued' || (job.status === 'running' && !this.isStale(job));
+  }
+
+  /**
+   * True while a claim's mint is still queued or running, so the stuck-claim
+   * recovery leaves it to the queue
+   */
+  async isClaimBusy(claim) {
+    const job = await this.db.getLatestMintJobForClaim(claim.id);
+    return Boolean(job && this.isActive(job));
+  }
+
+  backoffMs(attempts) {
+    return Math.min(this.backoffBaseMs * 2 ** (attempts - 1), this.backoffMaxMs);
+  }
+
+  /**
+   * Run a queued job once it is due. With batching on, the job runs with
+   * whatever else is due by then, so jobs queued within the batch window
+   * are minted together. On serverless the scheduled worker runs it.
+   */
+  kick(job) {
+    if (this.scheduledOnly) return;
+
+    const delay = Math.max(new Date(job.next_attempt_at).getTime() - Date.now(), 0);
+    const run = () => (this.batchSize > 1 ? this.processDueJobs() : this.runJob(job.id));
+
+    setTimeout(() => {
+      run().catch(error => {
+        console.error('Mint job error:', error);
+      });
+    }, delay);
+  }
+
+  /**
+   * Take a job for an attempt
+   * @returns {Object|null} job, claim and attempt number; or finished, when
+   *   the claim no longer needs minting; or null if the job isn't runnable
+   */
+  async startJob(jobId) {
+    const staleBefore = new Date(Date.now() - this.staleAfterMs).toISOString();
+    const job = await this.db.claimMintJob(jobId, new Date().toISOString(), staleBefore, uuidv4());
+    if (!job) {
+      console.log('ℹ️ Mint job not runnable (not due, running or finished):', jobId);
+      return null;
+    }
+
+    const attempts = job.attempts + 1;
+    if (!(await this.saveJob(job, { attempts }))) return null;
+
+    // Pre-mints run while the claim waits to be claimed
+    const expectedStatus = job.kind === 'vault_mint' ? 'pending' : 'processing';
+    const claim = await this.db.getClaim(job.claim_id);
+    if (claim?.claim_status !== expectedStatus) {
+      console.warn(`⚠️ Mint job ${jobId}: claim is ${claim?.claim_status || 'missing'}, not ${expectedStatus}`);
+      const finished = await this.saveJob(job, {
+        status: 'failed',
+        last_error: `Claim is ${claim?.claim_status || 'missing'}`,
+        finished_at: new Date().toISOString()
+      });
+      if (finished && claim && job.kind === 'vault_mint') await this.setVaultStatus(claim, 'skipped');
+      return finished ? { finished } : null;
+    }
+
+    console.log(`⚙️ Mint job ${jobId}: attempt ${attempts} of ${job.max_attempts}`);
+    return { job, claim, attempts, to: this.recipientFor(job) };
+  }
+
+  /**
+   * Reuse the certificate saved by an earlier attempt - and check whether
+   * that attempt minted before it was interrupted - or build a new one
+   * @returns {{ prepared: Object, existing: Object|null }}
+   */
+  async prepareJob(job, claim) {
+    if (job.prepared_mint) {
+      // The vault holds every pre-mint, so ownership can't tell whether
+      // this one was minted - look for the earlier send's receipt instead
+      // (a send still pending is picked up by mint)
+      const existing = job.kind === 'vault_mint'
+        ? await this.nftMintService.findMinedMint(claim, { to: this.recipientFor(job) })
+        : await this.nftMintService.findExistingMint(claim, job.prepared_mint);
+      return { prepared: job.prepared_mint, existing };
+    }
+
+    const prepared = await this.nftMintService.prepare(claim);
+    if (!(await this.saveJob(job, { prepared_mint: prepared, heartbeat_at: new Date().toISOString() }))) {
+      throw this.takenOverError(job);
+    }
+    this.publish(claim, 'certificate_rendered', {
+      authenticityId: prepared.authenticityId,
+      coaImageUrl: prepared.certificateUrl
+    });
+    return { prepared, existing: null };
+  }
+
+  /**
+   * Run one attempt of a job on its own
+   * @param {string} jobId
+   * @returns {Object|null} Job state after the attempt, or null if it isn't runnable
+   */
+  async runJob(jobId) {
+    const started = await this.startJob(jobId);
+    if (!started) return null;
+    if (started.finished) return started.finished;
+
+    return this.mintSingle(started);
+  }
+
+  /**
+   * Renew the heartbeat of a job this attempt holds the lease on
+   * @throws {Error} code JOB_TAKEN_OVER when another worker took the job
+   *   over as stale
+   */
+  async renewLease(job) {
+    const renewed = await this.db.renewMintJobLease(job.id, job.lease_id);
+    if (!renewed) throw this.takenOverError(job);
+    return renewed;
+  }
+
+  takenOverError(job) {
+    const error = new Error(`Mint job ${job.id} was taken over by another worker`);
+    error.code = 'JOB_TAKEN_OVER';
+    return error;
+  }
+
+  /**
+   * Write the state of a job this attempt holds the lease on
+   * @returns {Object|null} The job, or null when another worker has taken
+   *   it over - nothing was written and the caller must leave it alone
+   */
+  async saveJob(job, fields) {
+    const saved = await this.db.updateLeasedMintJob(job.id, job.lease_id, fields);
+    if (!saved) {
+      console.warn(`⚠️ Mint job ${job.id} was taken over by another worker - leaving it to that worker`);
+    }
+    return saved;
+  }
+
+  // Renews the jobs' leases while their transaction is waited on, at most
+  // once every heartbeatIntervalMs
+  heartbeat(jobs) {
+    let renewedAt = Date.now();
+    return async () => {
+      if (Date.now() - renewedAt < this.heartbeatIntervalMs) return;
+      renewedAt = Date.now();
+      for (const job of jobs) await this.renewLease(job);
+    };
+  }
+
+  async mintSingle({ job, claim, attempts, to }, prepared = null) {
+    try {
+      let result = null;
+      if (!prepared) {
+        ({ prepared, existing: result } = await this.prepareJob(job, claim));
+      }
+
+      if (!result) {
+        await this.renewLease(job);
+        this.publish(claim, 'mint_submitted', { attempt: attempts, network: prepared.chain });
+        const heartbeat = this.heartbeat([job]);
+        result = job.kind === 'vault_transfer'
+          ? await this.nftMintService.transferFromVault(claim, prepared, { heartbeat })
+          : await this.nftMintService.mint(claim, prepared, { to, heartbeat });
+      }
+
+      return this.completeJob(job, claim, prepared, result);
+    } catch (error) {
+      return this.handleError(job, claim, attempts, error);
+    }
+  }
+
+  /**
+   * Mint several started jobs in one transaction. If the batch fails before
+   * anything reaches the chain (or reverts) each job is minted on its own;
+   * once it has been sent, the jobs retry and wait on that transaction.
+   * @param {Array} items - Started jobs with their prepared certificates
+   * @returns {Array} Job states after the attempt
+   */
+  async mintBatch(items) {
+    // Earlier batches may have taken long enough for a job to be taken over
+    // as stale - those are left to the worker that has them now
+    const owned = [];
+    for (const item of items) {
+      try {
+        await this.renewLease(item.job);
+        owned.push(item);
+      } catch (error) {
+        console.warn(`⚠️ Not sending mint job ${item.job.id}: ${error.message}`);
+      }
+    }
+
+    // A claim already sent (a batch whose wait timed out) waits on that
+    // transaction on its own instead of going out in a new batch
+    const waiting = [];
+    const unsent = [];
+    for (const item of owned) {
+      const pending = await this.nftMintService.hasPendingSend(item.claim).catch(() => true);
+      (pending ? waiting : unsent).push(item);
+    }
+
+    const finished = await this.settleEach(waiting, item => this.mintSingle(item, item.prepared));
+    if (unsent.length === 0) return finished;
+    return [...finished, ...await this.mintUnsent(unsent)];
+  }
+
+  async mintUnsent(items) {
+    if (items.length === 1) {
+      return [await this.mintSingle(items[0], items[0].prepared)];
+    }
+
+    for (const { claim, attempts, prepared } of items) {
+      this.publish(claim, 'mint_submitted', { attempt: attempts, network: prepared.chain, batchSize: items.length });
+    }
+
+    let results;
+    try {
+      results = await this.nftMintService.mintBatch(items, { heartbeat: this.heartbeat(items.map(item => item.job)) });
+    } catch (error) {
+      if (!error.fallback) {
+        return this.settleEach(items, item => this.handleError(item.job, item.claim, item.attempts, error));
+      }
+
+      console.warn(`⚠️ Batch of ${items.length} mints failed (${error.message}) - minting one by one`);
+      return this.settleEach(items, item => this.mintSingle(item, item.prepared));
+    }
+
+    return this.settleEach(items, (item, index) => {
+      const result = results[index];
+      if (!result) {
+        return this.failAttempt(item.job, item.claim, item.attempts,
+          new Error(`No token for ${this.nftMintService.recipient(item)} in the batch mint receipt`));
+      }
+      return this.completeJob(item.job, item.claim, item.prepared, result);
+    });
+  }
+
+  // One at a time, so a failure in one job doesn't stop the others
+  async settleEach(items, settle) {
+    const finished = [];
+    for (const [index, item] of items.entries()) {
+      try {
+        finished.push(await settle(item, index));
+      } catch (error) {
+        console.error(`Mint job ${item.job.id} error:`, error);
+      }
+    }
+    return finished;
+  }
+
+  async handleError(job, claim, attempts, error) {
+    if (error.code === 'JOB_TAKEN_OVER') {
+      // The job is another worker's now - it waits on anything already sent
+      console.warn(`⚠️ ${error.message} - leaving it to that worker`);
+      return null;
+    }
+    if (error.code === 'GAS_DEFERRED') {
+      return this.deferJob(job, claim, error);
+    }
+    if (error.code === 'VAULT_TOKEN_MISSING') {
+      return this.mintInstead(job, claim, error);
+    }
+    return this.failAttempt(job, claim, attempts, error);
+  }
+
+  /**
+   * Split jobs ready to mint into batches: same chain and contract, at most
+   * batchSize each, with jobs for the same recipient kept together. Vault
+   * transfers aren't mints, and ERC-1155 certificates are each a new token,
+   * so those go one at a time.
+   */
+  groupBatches(items) {
+    const byContract = new Map();
+    for (const item of items) {
+      const key = item.job.kind === 'vault_transfer' || item.prepared.tokenStandard === 'erc1155'
+        ? `single:${item.job.id}`
+        : `${item.prepared.chain}:${item.prepared.contractAddress}`;
+      if (!byContract.has(key)) byContract.set(key, []);
+      byContract.get(key).push(item);
+    }
+
+    const batches = [];
+    for (const group of byContract.values()) {
+      group.sort((a, b) => this.nftMintService.recipient(a).localeCompare(this.nftMintService.recipient(b)));
+      for (let index = 0; index < group.length; index += this.batchSize) {
+        batches.push(group.slice(index, index + this.batchSize));
+      }
+    }
+    return batches;
+  }
+
+  /**
+   * The vault no longer holds the claim's pre-minted token - turn the
+   * transfer into a mint of the same certificate. Nothing was sent, so the
+   * attempt isn't counted.
+   */
+  async mintInstead(job, claim, error) {
+    console.warn(`⚠️ Mint job ${job.id}: ${error.message} - minting directly`);
+
+    const { vaultTokenId, ...prepared } = job.prepared_mint;
+    const queued = await this.saveJob(job, {
+      kind: 'mint',
+      status: 'queued',
+      attempts: job.attempts,
+      prepared_mint: prepared,
+      last_error: error.message,
+      next_attempt_at: new Date().toISOString()
+    });
+    if (queued) await this.setVaultStatus(claim, 'missing');
+    return queued;
+  }
+
+  /**
+   * Put a started job back in the queue, due now, when the pass ran out of
+   * time before sending it. Nothing was sent, so the attempt isn't counted.
+   */
+  async releaseJob(job) {
+    return this.saveJob(job, {
+      status: 'queued',
+      attempts: job.attempts,
+      next_attempt_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Put a job back in the queue until gas comes down. Nothing was sent, so
+   * the attempt isn't counted.
+   */
+  async deferJob(job, claim, error) {
+    const deferredUntil = new Date(Date.now() + this.gasPolicy.deferMs).toISOString();
+    console.log(`⛽ Mint job ${job.id} deferred until ${deferredUntil}: ${error.message}`);
+    this.publish(claim, 'gas_deferred', { ...error.deferral, until: deferredUntil });
+
+    return this.saveJob(job, {
+      status: 'queued',
+      attempts: job.attempts,
+      next_attempt_at: deferredUntil,
+      deferral: {
+        ...error.deferral,
+        reason: error.message,
+        since: job.deferral?.since || new Date().toISOString(),
+        until: deferredUntil
+      }
+    });
+  }
+
+  // Mints recovered from the wallet have no receipt to cost
+  async priceMint(prepared, result) {
+    return this.costLedger.price(prepared.chain, result).catch(error => {
+      console.error('Failed to price mint:', error);
+      return null;
+    });
+  }
+
+  async recordCost(job, claim, prepared, result, cost) {
+    if (!result.transactionHash) return;
+    await this.costLedger.record(claim, prepared, result, cost, { kind: job.kind || 'mint' }).catch(error => {
+      console.error('Failed to record mint cost:', error);
+    });
+  }
+
+  jobResult(prepared, result) {
+    return {
+      tokenId: result.tokenId,
+      transactionHash: result.transactionHash,
+      contractAddress: prepared.contractAddress,
+      network: prepared.chain,
+      coaUniqueId: prepared.authenticityId,
+      coaImageUrl: prepared.certificateUrl,
+      minterAddress: result.minterAddress || null
+    };
+  }
+
+  async completeJob(job, claim, prepared, result) {
+    if (job.kind === 'vault_mint') {
+      return this.completePremint(job, claim, prepared, result);
+    }
+
+    this.publish(claim, 'minted', { tokenId: result.tokenId, transactionHash: result.transactionHash });
+    const cost = await this.priceMint(prepared, result);
+
+    const mintedClaim = await this.claimStateMachine.transition(claim, 'minted', {
+      fields: {
+        ...this.db.nftClaimFields({
+          ...result,
+          cost,
+          network: prepared.chain,
+          contractAddress: prepared.contractAddress,
+          tokenStandard: prepared.tokenStandard,
+          soulbound: prepared.soulbound,
+          coaUniqueId: prepared.authenticityId,
+          storage: prepared.storage,
+          metadata: prepared.metadata
+        }),
+        ...(job.kind === 'vault_transfer' && { vault_status: 'transferred' })
+      },
+      reason: job.kind === 'vault_transfer' ? 'nft_transferred_from_vault' : 'nft_minted'
+    });
+
+    if (!mintedClaim) {
+      // An admin moved the claim while the mint was in flight
+      console.warn(`⚠️ Claim ${claim.claim_token} left processing during mint:`, result.transactionHash);
+    }
+
+    await this.recordCost(job, claim, prepared, result, cost);
+
+    const finished = await this.saveJob(job, {
+      status: 'succeeded',
+      result: this.jobResult(prepared, result),
+      last_error: null,
+      deferral: null,
+      finished_at: new Date().toISOString()
+    });
+    console.log(`✅ Mint job ${job.id} succeeded - token ${result.tokenId}`);
+
+    // Send success email (async, don't wait)
+    this.emailService.sendWelcomeEmail(claim.customer_email, { address: claim.wallet_address }, {
+      tokenId: result.tokenId,
+      transactionHash: result.transactionHash,
+      contractAddress: prepared.contractAddress,
+      network: prepared.chain,
+      edition: prepared.edition,
+      soulbound: prepared.soulbound
+    }, { ...claim.orders, product_name: prepared.productName, product_sku: prepared.productSku }).catch(err => {
+      console.error('Failed to send welcome email:', err);
+    });
+
+    return finished;
+  }
+
+  /**
+   * A pre-mint leaves the claim pending, its token held in the vault until
+   * the claim is processed
+   */
+  async completePremint(job, claim, prepared, result) {
+    const cost = await this.priceMint(prepared, result);
+
+    await this.db.updateClaimVault(claim.id, {
+      vault_status: 'minted',
+      vault_token_id: result.tokenId,
+      vault_transaction_hash: result.transactionHash,
+      vault_chain: prepared.chain,
+      vault_contract_address: prepared.contractAddress,
+      vault_minted_at: new Date().toISOString(),
+      // The vault token's metadata is served before the claim is minted
+      ...(prepared.storage && this.db.contentClaimFields(prepared.storage))
+    });
+    await this.recordCost(job, claim, prepared, result, cost);
+
+    const finished = await this.saveJob(job, {
+      status: 'succeeded',
+      result: this.jobResult(prepared, result),
+      last_error: null,
+      deferral: null,
+      finished_at: new Date().toISOString()
+    });
+    console.log(`🏦 Mint job ${job.id} pre-minted token ${result.tokenId} to the vault`);
+    return finished;
+  }
+
+  async failAttempt(job, claim, attempts, error) {
+    console.error(`💥 Mint job ${job.id} attempt ${attempts} failed:`, error.message);
+
+    if (attempts < job.max_attempts) {
+      const nextAttemptAt = new Date(Date.now() + this.backoffMs(attempts)).toISOString();
+      console.log(`🔁 Mint job ${job.id} will retry at ${nextAttemptAt}`);
+      this.publish(claim, 'retry_scheduled', { attempt: attempts, maxAttempts: job.max_attempts, nextAttemptAt });
+
+      return this.saveJob(job, {
+        status: 'queued',
+        last_error: error.message,
+        deferral: null,
+        next_attempt_at: nextAttemptAt
+      });
+    }
+
+    // The claim is only failed by the worker that still owns the job
+    const finished = await this.saveJob(job, {
+      status: 'failed',
+      last_error: error.message,
+      deferral: null,
+      finished_at: new Date().toISOString()
+    });
+    if (!finished) return null;
+
+    if (job.kind === 'vault_mint') {
+      // The claim is still pending and is minted directly when claimed
+      await this.setVaultStatus(claim, 'failed');
+    } else {
+      // Out of attempts - an earlier attempt may still have reached the
+      // chain, so the claim is failed for review rather than released
+      this.publish(claim, 'failed', { attempts });
+      await this.claimStateMachine.transition(claim, 'failed', {
+        fields: { failure_reason: error.message },
+        reason: 'mint_error'
+      }).catch(transitionError => {
+        console.error('Failed to fail claim after mint job error:', transitionError);
+      });
+    }
+
+    return finished;
+  }
+
+  publish(claim, stage, details) {
+    this.progress?.publish(claim.claim_token, 'progress', { stage, ...details });
+  }
+
+  /**
+   * Run every job that is due, minting them in batches
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most jobs to run in this pass
+   * @param {number} [options.budgetMs] - Send no new batch after this long;
+   *   jobs not sent by then go back to the queue for the next pass
+   * @returns {Object} Counts of the jobs run
+   */
+  async processDueJobs({ limit = 10, budgetMs = null } = {}) {
+    const sendUntil = budgetMs ? Date.now() + budgetMs : Infinity;
+    const staleBefore = new Date(Date.now() - this.staleAfterMs).toISOString();
+    const jobs = await this.db.getDueMintJobs(new Date().toISOString(), staleBefore, limit);
+    const finished = [];
+    const ready = [];
+    const released = [];
+
+    for (const due of jobs) {
+      const started = await this.startJob(due.id);
+      if (!started) continue;
+      if (started.finished) {
+        finished.push(started.finished);
+        continue;
+      }
+
+      const { job, claim, attempts } = started;
+      try {
+        const { prepared, existing } = await this.prepareJob(job, claim);
+        if (existing) {
+          finished.push(await this.completeJob(job, claim, prepared, existing));
+        } else {
+          ready.push({ ...started, prepared });
+        }
+      } catch (error) {
+        finished.push(await this.handleError(job, claim, attempts, error));
+      }
+    }
+
+    for (const batch of this.groupBatches(ready)) {
+      if (Date.now() > sendUntil) {
+        released.push(...await this.settleEach(batch, item => this.releaseJob(item.job)));
+        continue;
+      }
+      finished.push(...await this.mintBatch(batch));
+    }
+
+    const summary = { run: 0, succeeded: 0, retrying: 0, deferred: 0, failed: 0, released: released.filter(Boolean).length };
+    for (const job of finished) {
+      if (!job) continue;
+      summary.run++;
+      if (job.status === 'succeeded') summary.succeeded++;
+      else if (job.status === 'queued' && job.deferral) summary.deferred++;
+      else if (job.status === 'queued') summary.retrying++;
+      else if (job.status === 'failed') summary.failed++;
+    }
+
+    if (summary.run > 0) {
+      console.log(`⚙️ Mint worker ran ${summary.run} job(s) - ${summary.succeeded} succeeded, ${summary.retrying} retrying, ${summary.deferred} deferred for gas, ${summary.failed} failed`);
+    }
+    if (summary.released > 0) {
+      console.log(`⏱️ Mint worker out of time - ${summary.released} job(s) back in the queue`);
+    }
+    return summary;
+  }
+}
+
+module.exports = MintJobQueue;
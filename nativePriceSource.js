@@ -0,0 +1,97 @@
+const axios = require('axios');
+
+// CoinGecko IDs and symbols of each chain's native token
+const NATIVE_TOKENS = {
+  polygon: { id: 'polygon-ecosystem-token', symbol: 'POL' },
+  ethereum: { id: 'ethereum', symbol: 'ETH' },
+  base: { id: 'ethereum', symbol: 'ETH' },
+  arbitrum: { id: 'ethereum', symbol: 'ETH' },
+  optimism: { id: 'ethereum', symbol: 'ETH' },
+  avalanche: { id: 'avalanche-2', symbol: 'AVAX' },
+  binance: { id: 'binancecoin', symbol: 'BNB' },
+  // Testnet gas has no fiat value
+  'polygon-amoy-testnet': { id: null, symbol: 'POL' },
+  'base-sepolia-testnet': { id: null, symbol: 'ETH' },
+  sepolia: { id: null, symbol: 'ETH' }
+};
+
+/**
+ * Native Token Price Source
+ * Fiat price of a chain's native token, for mint cost reporting.
+ *
+ *   MINT_PRICE_SOURCE   - 'coingecko' (default) or 'fixed'
+ *   MINT_FIAT_CURRENCY  - e.g. USD (default), EUR
+ *   NATIVE_TOKEN_PRICES - prices for the fixed source, either one price for
+ *                         every chain ("0.45") or per chain ("polygon:0.45,ethereum:3200")
+ *
+ * The fixed source stands in for CoinGecko locally and in tests. Prices are
+ * cached for a few minutes; a failed lookup returns null so a mint is still
+ * recorded, just without its fiat cost.
+ */
+class NativePriceSource {
+  constructor() {
+    this.source = process.env.MINT_PRICE_SOURCE || 'coingecko';
+    this.currency = (process.env.MINT_FIAT_CURRENCY || 'USD').toUpperCase();
+    this.fixedPrices = this.parseFixedPrices(process.env.NATIVE_TOKEN_PRICES || '');
+
+    this.cache = new Map();
+    this.cacheTtlMs = 5 * 60 * 1000;
+  }
+
+  parseFixedPrices(value) {
+    const prices = {};
+    for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+      const [chain, price] = entry.includes(':') ? entry.split(':') : ['*', entry];
+      prices[chain.trim()] = parseFloat(price);
+    }
+    return prices;
+  }
+
+  getToken(chain) {
+    return NATIVE_TOKENS[chain] || { id: null, symbol: 'NATIVE' };
+  }
+
+  /**
+   * @param {string} chain
+   * @returns {{ price: number, currency: string, symbol: string, source: string }|null}
+   */
+  async getPrice(chain) {
+    const cached = this.cache.get(chain);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+      return cached.quote;
+    }
+
+    try {
+      const price = this.source === 'fixed'
+        ? this.getFixedPrice(chain)
+        : await this.getCoinGeckoPrice(chain);
+
+      if (price === null || Number.isNaN(price)) return null;
+
+      const quote = { price, currency: this.currency, symbol: this.getToken(chain).symbol, source: this.source };
+      this.cache.set(chain, { quote, fetchedAt: Date.now() });
+      return quote;
+    } catch (error) {
+      console.error(`Error getting ${chain} native token price:`, error.message);
+      return null;
+    }
+  }
+
+  getFixedPrice(chain) {
+    return this.fixedPrices[chain] ?? this.fixedPrices['*'] ?? null;
+  }
+
+  async getCoinGeckoPrice(chain) {
+    const { id } = this.getToken(chain);
+    if (!id) return null;
+
+    const currency = this.currency.toLowerCase();
+    const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+      params: { ids: id, vs_currencies: currency },
+      timeout: 5000
+    });
+    return response.data?.[id]?.[currency] ?? null;
+  }
+}
+
+module.exports = NativePriceSource;
@@ -0,0 +1,160 @@
+/**
+ * NFT Metadata Builder
+ * Builds the token metadata minted for a claim. Product catalog entries
+ * (product_catalog table) supply the description, collection and extra
+ * attributes; the synced Shopify product (products table) fills in what the
+ * catalog doesn't set. SKUs with neither get the house defaults.
+ */
+
+const BRAND = 'Mavire Codoir';
+
+/**
+ * @param {Object} params
+ * @param {Object} params.claim - Claim row, joined with its order
+ * @param {string} params.productName
+ * @param {string} params.productSku
+ * @param {Object} [params.catalogEntry] - product_catalog row for the SKU
+ * @param {Object} [params.product] - products row synced from Shopify
+ * @param {string} params.certificateUrl - Generated CoA image
+ * @param {string} params.authenticityId
+ * @param {Object} [params.edition] - Number and size of a limited edition
+ * @param {boolean} [params.soulbound] - Minted on a non-transferable contract
+ * @returns {Object} ERC-721 / ERC-1155 metadata
+ */
+function buildNftMetadata({ claim, productName, productSku, catalogEntry, product, certificateUrl, authenticityId, edition = null, soulbound = false }) {
+  const name = catalogEntry?.name || productName;
+  const description = catalogEntry?.description || product?.description;
+  const collection = catalogEntry?.collection || product?.collections?.[0]?.title;
+
+  const attributes = [
+    { trait_type: 'Product Name', value: name },
+    { trait_type: 'SKU', value: productSku },
+    { trait_type: 'Authenticity ID', value: authenticityId },
+    { trait_type: 'Authorization Date', value: new Date().toLocaleDateString('en-US') },
+    { trait_type: 'Order Number', value: claim.orders?.shopify_order_number || 'Unknown' },
+    { trait_type: 'Brand', value: BRAND }
+  ];
+
+  if (collection) {
+    attributes.push({ trait_type: 'Collection', value: collection });
+  }
+
+  const catalogTraits = (catalogEntry?.attributes || []).map(attribute => attribute?.trait_type);
+  if (product?.material && !catalogTraits.includes('Material')) {
+    attributes.push({ trait_type: 'Material', value: product.material });
+  }
+
+  if (claim.unit_index) {
+    attributes.push({ trait_type: 'Unit', value: `${claim.unit_index} of ${claim.unit_count}` });
+  }
+
+  if (edition) {
+    attributes.push(
+      { trait_type: 'Edition', value: `${edition.number} of ${edition.size}` },
+      { display_type: 'number', trait_type: 'Edition Number', value: edition.number, max_value: edition.size }
+    );
+  }
+
+  if (soulbound) {
+    attributes.push({ trait_type: 'Transferable', value: 'No (soulbound)' });
+  }
+
+  // Catalog attributes can't overwrite the certificate's own traits
+  const reserved = new Set(attributes.map(attribute => attribute.trait_type));
+  for (const attribute of catalogEntry?.attributes || []) {
+    if (attribute?.trait_type && !reserved.has(attribute.trait_type)) {
+      attributes.push({ trait_type: attribute.trait_type, value: attribute.value });
+    }
+  }
+
+  return {
+    name: edition
+      ? `${name} - Certificate of Authenticity ${edition.number}/${edition.size}`
+      : `${name} - Certificate of Authenticity`,
+    description: description
+      ? `Official Certificate of Authenticity for ${name} by ${BRAND}. ${description}`
+      : `Official Certificate of Authenticity for ${name} by ${BRAND}`,
+    image: certificateUrl,
+    attributes,
+    properties: {
+      authenticity_id: authenticityId,
+      generated_at: new Date().toISOString(),
+      brand: BRAND,
+      type: 'Certificate of Authenticity',
+      ...(edition && { edition_number: edition.number, edition_size: edition.size }),
+      ...(soulbound && { soulbound: true }),
+      image_service: 'Cloudinary',
+      ...(catalogEntry?.template_image_url && { template_image: catalogEntry.template_image_url }),
+      ...(product?.image_url && { product_image: product.image_url }),
+      ...(product && { shopify_product_id: product.shopify_product_id })
+    }
+  };
+}
+
+/**
+ * Metadata as served from /metadata/:contract/:tokenId - the metadata frozen
+ * at mint, with the traits that change after minting added or replaced
+ * @param {Object} params
+ * @param {Object} params.base - Metadata minted with the token
+ * @param {Object} params.claim - Claim row holding the token
+ * @param {Array} params.records - certificate_records rows, oldest first
+ * @param {string} [params.vaultAddress] - Custody vault, for pre-minted tokens
+ * @returns {Object} ERC-721 / ERC-1155 metadata
+ */
+function buildTokenMetadata({ base, claim, records = [], vaultAddress = null }) {
+  const toUnix = date => Math.floor(new Date(date).getTime() / 1000);
+
+  // Vault custody first, then the customer's wallet, then recorded changes
+  const ownershipHistory = [];
+  if (claim.vault_minted_at) {
+    ownershipHistory.push({ holder: 'vault', walletAddress: vaultAddress, from: claim.vault_minted_at });
+  }
+  if (claim.wallet_address && claim.nft_token_id) {
+    ownershipHistory.push({ holder: 'customer', walletAddress: claim.wallet_address, from: claim.minted_at || claim.claimed_at });
+  }
+  for (const record of records.filter(entry => entry.record_type === 'ownership')) {
+    ownershipHistory.push({ holder: record.title, walletAddress: record.wallet_address, from: record.occurred_at, details: record.details });
+  }
+
+  const serviceHistory = records
+    .filter(entry => entry.record_type === 'service')
+    .map(record => ({ title: record.title, details: record.details, date: record.occurred_at }));
+
+  const warrantyExpired = claim.warranty_expires_at && new Date(claim.warranty_expires_at).getTime() < Date.now();
+  const warrantyStatus = claim.warranty_status === 'active' && warrantyExpired ? 'expired' : claim.warranty_status;
+
+  const dynamic = [
+    { trait_type: 'Status', value: claim.claim_status === 'revoked' ? 'Revoked' : 'Active' },
+    { display_type: 'number', trait_type: 'Owners', value: ownershipHistory.filter(entry => entry.holder !== 'vault').length }
+  ];
+  if (warrantyStatus) {
+    dynamic.push({ trait_type: 'Warranty', value: warrantyStatus.charAt(0).toUpperCase() + warrantyStatus.slice(1) });
+  }
+  if (claim.warranty_expires_at) {
+    dynamic.push({ display_type: 'date', trait_type: 'Warranty Expires', value: toUnix(claim.warranty_expires_at) });
+  }
+  if (serviceHistory.length > 0) {
+    dynamic.push(
+      { display_type: 'number', trait_type: 'Service Records', value: serviceHistory.length },
+      { display_type: 'date', trait_type: 'Last Serviced', value: toUnix(serviceHistory.at(-1).date) }
+    );
+  }
+
+  // Older certificates were minted with the claim's bearer token
+  const { claim_token: _claimToken, ...properties } = base.properties || {};
+
+  const replaced = new Set(dynamic.map(attribute => attribute.trait_type));
+  return {
+    ...base,
+    attributes: [...(base.attributes || []).filter(attribute => !replaced.has(attribute.trait_type)), ...dynamic],
+    properties: {
+      ...properties,
+      ownership_history: ownershipHistory,
+      service_history: serviceHistory,
+      ...(warrantyStatus && { warranty: { status: warrantyStatus, expires_at: claim.warranty_expires_at || null } }),
+      ...(claim.metadata_updated_at && { updated_at: claim.metadata_updated_at })
+    }
+  };
+}
+
+module.exports = { buildNftMetadata, buildTokenMetadata };
@@ -0,0 +1,478 @@
+const { ethers } = require('ethers');
+const axios = require('axios');
+const { buildNftMetadata } = require('./nftMetadataBuilder');
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const TRANSFER_SINGLE_TOPIC = ethers.utils.id('TransferSingle(address,address,address,uint256,uint256)');
+
+/**
+ * NFT Mint Service
+ * Mints a claim's Certificate of Authenticity to the claim's wallet - or to
+ * the custody vault, to be transferred to the wallet when it is claimed.
+ * Minting is split in two so a mint job can save what it is about to mint
+ * (prepare) before sending it to the chain (mint), and reuse the same
+ * certificate if the job has to retry.
+ *
+ * With a content store, the rendered certificate and the metadata JSON are
+ * stored by content address and the token is minted with the stored
+ * metadata's URI, so neither depends on the Cloudinary account.
+ */
+class NftMintService {
+  constructor({ db, coaGenerator, signerService, gasPolicy, contractRegistry, contentStore = null }) {
+    this.db = db;
+    this.coaGenerator = coaGenerator;
+    this.signerService = signerService;
+    this.gasPolicy = gasPolicy;
+    this.contractRegistry = contractRegistry;
+    this.contentStore = contentStore;
+  }
+
+  /**
+   * Build the certificate and token metadata for a claim
+   * @param {Object} claim - Claim row, joined with its order
+   * @returns {Object} Everything needed to mint, safe to store as JSON
+   */
+  async prepare(claim) {
+    // Each claim covers one unit of one line item
+    const productName = claim.product_name || claim.orders?.product_name || 'Unknown Product';
+    const productSku = claim.product_sku || claim.orders?.product_sku || 'NO-SKU';
+
+    // Per-SKU template, certificate layout and metadata, plus the synced
+    // Shopify product for its photo and descriptive attributes
+    const [catalogEntry, product] = await Promise.all([
+      this.db.getCatalogEntry(productSku),
+      this.db.getProductBySku(productSku).catch(() => null)
+    ]);
+    const authenticityId = `AUTH-${Date.now()}`;
+    const target = await this.contractRegistry.resolve({ catalogEntry, product });
+
+    // Numbered when the claim was processed, for limited-edition product lines
+    const edition = claim.edition_number ? { number: claim.edition_number, size: claim.edition_size } : null;
+
+    // Generate CoA URL using Cloudinary
+    const certificateUrl = this.coaGenerator.generateCertificateUrl({
+      customerName: claim.customer_email.split('@')[0], // Use email prefix as customer name
+      productName: catalogEntry?.name || productName,
+      authenticityId,
+      serialNumber: productSku,
+      purchaseDate: new Date(claim.created_at),
+      productImageUrl: product?.image_url,
+      edition: edition && `${edition.number} of ${edition.size}`
+    }, catalogEntry?.coa_layout);
+
+    console.log('🎨 Generated CoA URL:', certificateUrl);
+
+    const image = this.contentStore ? await this.storeCertificate(certificateUrl) : null;
+
+    const metadata = buildNftMetadata({
+      claim,
+      productName,
+      productSku,
+      catalogEntry,
+      product,
+      certificateUrl: image?.uri || certificateUrl,
+      authenticityId,
+      edition,
+      soulbound: target.soulbound
+    });
+
+    const storedMetadata = this.contentStore
+      ? await this.contentStore.put(Buffer.from(JSON.stringify(metadata)), { contentType: 'application/json' })
+      : null;
+
+    return {
+      productName,
+      productSku,
+      authenticityId,
+      certificateUrl,
+      metadata,
+      storage: image && {
+        store: this.contentStore.name,
+        imageCid: image.cid,
+        imageSha256: image.sha256,
+        imageContentType: image.contentType,
+        imageUri: image.uri,
+        metadataCid: storedMetadata.cid,
+        metadataSha256: storedMetadata.sha256,
+        metadataUri: storedMetadata.uri
+      },
+      // The SKU's own contract, its product line's, or the default
+      chain: target.chain,
+      contractAddress: target.contractAddress,
+      productLine: target.productLine,
+      tokenStandard: target.tokenStandard,
+      soulbound: target.soulbound,
+      edition
+    };
+  }
+
+  /**
+   * Render the certificate (Cloudinary builds it on first request) and keep
+   * the image in the content store
+   * @returns {{ cid: string, sha256: string, size: number, uri: string }}
+   */
+  async storeCertificate(certificateUrl) {
+    const response = await axios.get(certificateUrl, { responseType: 'arraybuffer', timeout: 60 * 1000 });
+    const stored = await this.contentStore.put(Buffer.from(response.data), {
+      contentType: response.headers['content-type'] || 'image/png'
+    });
+    console.log(`📦 Stored CoA image ${stored.cid} (${stored.size} bytes)`);
+    return stored;
+  }
+
+  // Stored certificates mint with their metadata URI; thirdweb uploads the rest
+  tokenMetadata(prepared) {
+    return prepared.storage?.metadataUri || prepared.metadata;
+  }
+
+  async getContract(chain, contractAddress, address) {
+    return this.signerService.getContract(chain, contractAddress, address);
+  }
+
+  getProvider(chain) {
+    return this.signerService.getProvider(chain);
+  }
+
+  getVaultAddress() {
+    return this.signerService.getVaultAddress();
+  }
+
+  // True while a transaction for the claim (alone or in a batch) is pending
+  async hasPendingSend(claim) {
+    return Boolean(await this.signerService.getPendingTransactionForClaim(claim.id));
+  }
+
+  // Where a mint goes - the claim's wallet unless the item says otherwise (the vault)
+  recipient({ claim, to }) {
+    return to || claim.wallet_address;
+  }
+
+  /**
+   * Send the mint through the signer pool and wait for it to be mined
+   * @param {Object} claim
+   * @param {Object} prepared
+   * @param {Object} [options]
+   * @param {string} [options.to] - Mint to this address instead of the claim's wallet
+   * @param {Function} [options.heartbeat] - Called on every poll while the
+   *   mint is waited on; throwing stops the wait
+   * @returns {Object} Token ID, transaction hash, the receipt's block and gas,
+   *   and the signer that sent it
+   * @throws {Error} code GAS_DEFERRED while gas is above the gas policy
+   */
+  async mint(claim, prepared, { to = null, heartbeat = null } = {}) {
+    const recipient = this.recipient({ claim, to });
+
+    // A send from an earlier attempt may still be pending - wait for it
+    // rather than minting a second token
+    let transaction = await this.signerService.getPendingTransactionForClaim(claim.id);
+
+    if (transaction) {
+      console.log('⏳ Waiting on pending mint transaction:', transaction.current_hash);
+    } else {
+      const contract = await this.getContract(prepared.chain, prepared.contractAddress);
+      // Each ERC-1155 certificate is its own token with a supply of one
+      const mintTransaction = prepared.tokenStandard === 'erc1155'
+        ? await contract.erc1155.mintTo.prepare(recipient, { metadata: this.tokenMetadata(prepared), supply: 1 })
+        : await contract.erc721.mintTo.prepare(recipient, this.tokenMetadata(prepared));
+      const request = await mintTransaction.populateTransaction();
+      const fees = await this.gasPolicy.price(this.getProvider(prepared.chain), request.gasLimit);
+
+      console.log('🪙 Minting NFT to:', recipient);
+      transaction = await this.signerService.sendTransaction(prepared.chain, { ...request, ...fees }, {
+        purpose: 'mint',
+        claimId: claim.id
+      });
+    }
+
+    const receipt = await this.signerService.waitForTransaction(transaction, { heartbeat });
+    if (receipt.status === 0) {
+      throw new Error(`Mint transaction reverted: ${receipt.transactionHash}`);
+    }
+
+    const tokenId = this.claimTokenFromReceipt(receipt, transaction, claim, recipient);
+    if (!tokenId) {
+      throw new Error(`No token minted to ${recipient} in ${receipt.transactionHash}`);
+    }
+    console.log('✅ NFT minted:', tokenId);
+
+    // The pending transaction may have been a batch this claim was part of
+    return this.mintResult(receipt, transaction, tokenId, transaction.claim_ids?.length || 1);
+  }
+
+  /**
+   * Look for a mint of the claim that an earlier attempt sent and that was
+   * mined, though the attempt never recorded it. Pre-mints can't be found
+   * by ownership - the vault holds all of them.
+   * @param {Object} claim
+   * @param {Object} [options]
+   * @param {string} [options.to] - The mint's recipient, if not the claim's wallet
+   * @returns {Object|null} The mint result, as mint returns it
+   */
+  async findMinedMint(claim, { to = null } = {}) {
+    const transaction = await this.db.getMinedSignerTransactionForClaim(claim.id, ['mint', 'batch_mint']);
+    if (!transaction?.current_hash) return null;
+
+    const receipt = await this.getProvider(transaction.chain).getTransactionReceipt(transaction.current_hash);
+    if (!receipt || receipt.status === 0) return null;
+
+    const tokenId = this.claimTokenFromReceipt(receipt, transaction, claim, this.recipient({ claim, to }));
+    if (!tokenId) return null;
+
+    console.log('♻️ Found token from an earlier mint attempt:', tokenId);
+    return this.mintResult(receipt, transaction, tokenId, transaction.claim_ids?.length || 1);
+  }
+
+  /**
+   * Mint several claims on the same chain and contract in one transaction:
+   * mintBatchTo when they share a wallet, otherwise a multicall of mintTo
+   * @param {Array} items - { claim, prepared } for each claim, and to when
+   *   the mint isn't for the claim's wallet
+   * @param {Object} [options]
+   * @param {Function} [options.heartbeat] - As for mint
+   * @returns {Array} A mint result per item, in order - null for an item
+   *   whose token isn't in the receipt
+   * @throws {Error} with fallback set when nothing was broadcast (or the
+   *   batch reverted), so the claims can be minted one by one
+   */
+  async mintBatch(items, { heartbeat = null } = {}) {
+    const { chain, contractAddress } = items[0].prepared;
+    let transaction;
+
+    try {
+      const contract = await this.getContract(chain, contractAddress);
+      const wallets = new Set(items.map(item => this.recipient(item).toLowerCase()));
+
+      const batchTransaction = wallets.size === 1
+        ? await contract.erc721.mintBatchTo.prepare(this.recipient(items[0]), items.map(({ prepared }) => this.tokenMetadata(prepared)))
+        : await this.prepareMulticall(contract, chain, items);
+      const request = await batchTransaction.populateTransaction();
+
+      // The per-mint budget applies to each mint's share of the gas
+      const fees = await this.gasPolicy.price(this.getProvider(chain), ethers.BigNumber.from(request.gasLimit).div(items.length));
+
+      console.log(`🪙 Minting batch of ${items.length} NFTs on ${chain}`);
+      transaction = await this.signerService.sendTransaction(chain, { ...request, ...fees }, {
+        purpose: 'batch_mint',
+        claimIds: items.map(({ claim }) => claim.id)
+      });
+    } catch (error) {
+      // Nothing was sent - unless the send was broadcast and only recording
+      // it failed, when the claims retry and wait on it
+      if (error.code !== 'GAS_DEFERRED' && !error.broadcast) error.fallback = true;
+      throw error;
+    }
+
+    const receipt = await this.signerService.waitForTransaction(transaction, { heartbeat });
+    if (receipt.status === 0) {
+      const error = new Error(`Batch mint transaction reverted: ${receipt.transactionHash}`);
+      error.fallback = true;
+      throw error;
+    }
+
+    // Hand out the minted tokens in order, one per claim
+    const transfers = this.transfersFromReceipt(receipt);
+    const results = items.map(item => {
+      const index = transfers.findIndex(transfer => transfer.to === this.recipient(item).toLowerCase());
+      if (index === -1) return null;
+
+      const [transfer] = transfers.splice(index, 1);
+      return this.mintResult(receipt, transaction, transfer.tokenId, items.length);
+    });
+
+    console.log(`✅ Batch minted ${results.filter(Boolean).length} of ${items.length} NFTs:`, receipt.transactionHash);
+    return results;
+  }
+
+  // mintTo for each claim, sent as one multicall
+  async prepareMulticall(contract, chain, items) {
+    const uploads = items.filter(({ prepared }) => !prepared.storage);
+    const uploaded = uploads.length > 0
+      ? await this.signerService.getSdk(chain).storage.uploadBatch(uploads.map(({ prepared }) => prepared.metadata))
+      : [];
+    const uris = items.map(item => item.prepared.storage?.metadataUri || uploaded[uploads.indexOf(item)]);
+    const calls = await Promise.all(items.map((item, index) =>
+      contract.encoder.encode('mintTo', [this.recipient(item), uris[index]])));
+
+    return contract.prepare('multicall', [calls]);
+  }
+
+  /**
+   * Transfer a certificate pre-minted to the vault to the claim's wallet.
+   * The transfer is sent from the vault, outside the minter rotation.
+   * @param {Object} prepared - The pre-mint's certificate, with vaultTokenId
+   * @param {Object} [options]
+   * @param {Function} [options.heartbeat] - As for mint
+   * @returns {Object} Same shape as a mint result
+   * @throws {Error} code VAULT_TOKEN_MISSING when the vault no longer holds
+   *   the token, so the claim can be minted directly instead
+   */
+  async transferFromVault(claim, prepared, { heartbeat = null } = {}) {
+    const vault = this.signerService.getVaultAddress();
+    if (!vault) {
+      throw new Error('VAULT_PRIVATE_KEY is not configured');
+    }
+
+    let transaction = await this.signerService.getPendingTransactionForClaim(claim.id);
+
+    if (transaction) {
+      console.log('⏳ Waiting on pending vault transfer:', transaction.current_hash);
+    } else {
+      const contract = await this.getContract(prepared.chain, prepared.contractAddress, vault);
+      if (!(await this.vaultHolds(contract, prepared, vault))) {
+        const error = new Error(`Vault no longer holds token ${prepared.vaultTokenId}`);
+        error.code = 'VAULT_TOKEN_MISSING';
+        throw error;
+      }
+
+      const transferTransaction = prepared.tokenStandard === 'erc1155'
+        ? await contract.erc1155.transfer.prepare(claim.wallet_address, prepared.vaultTokenId, 1)
+        : await contract.erc721.transfer.prepare(claim.wallet_address, prepared.vaultTokenId);
+      const request = await transferTransaction.populateTransaction();
+      const fees = await this.gasPolicy.price(this.getProvider(prepared.chain), request.gasLimit);
+
+      console.log(`📦 Transferring token ${prepared.vaultTokenId} from the vault to:`, claim.wallet_address);
+      transaction = await this.signerService.sendTransaction(prepared.chain, { ...request, ...fees }, {
+        purpose: 'vault_transfer',
+        claimId: claim.id,
+        from: vault
+      });
+    }
+
+    const receipt = await this.signerService.waitForTransaction(transaction, { heartbeat });
+    if (receipt.status === 0) {
+      throw new Error(`Vault transfer reverted: ${receipt.transactionHash}`);
+    }
+    console.log('✅ NFT transferred from the vault:', prepared.vaultTokenId);
+
+    return this.mintResult(receipt, transaction, prepared.vaultTokenId, 1);
+  }
+
+  /**
+   * Burn a claim's soulbound certificate. The owner can't move it, so the
+   * soulbound contract variant lets the issuer - the primary signer - burn it.
+   * @returns {Object} Receipt of the burn
+   */
+  async burn(claim) {
+    const contract = await this.getContract(claim.nft_network, claim.nft_contract_address, this.signerService.getAddress());
+    const burnTransaction = claim.nft_token_standard === 'erc1155'
+      ? await contract.erc1155.burnFrom.prepare(claim.wallet_address, claim.nft_token_id, 1)
+      : await contract.erc721.burn.prepare(claim.nft_token_id);
+
+    console.log(`🔥 Burning soulbound token ${claim.nft_token_id} held by:`, claim.wallet_address);
+    return this.sendAsIssuer(claim.nft_network, burnTransaction, { purpose: 'soulbound_burn', claimId: claim.id });
+  }
+
+  /**
+   * Send a contract admin call (a burn, a token URI update) from the
+   * primary signer, which holds the contract's admin roles
+   * @param {Object} preparedTransaction - thirdweb Transaction built with a
+   *   contract from getContract(chain, address, signerService.getAddress())
+   * @returns {Object} Receipt
+   */
+  async sendAsIssuer(chain, preparedTransaction, { purpose, claimId = null }) {
+    const request = await preparedTransaction.populateTransaction();
+    const fees = await this.gasPolicy.price(this.getProvider(chain), request.gasLimit);
+
+    const transaction = await this.signerService.sendTransaction(chain, { ...request, ...fees }, {
+      purpose,
+      claimId,
+      from: this.signerService.getAddress()
+    });
+
+    const receipt = await this.signerService.waitForTransaction(transaction);
+    if (receipt.status === 0) {
+      throw new Error(`${purpose} reverted: ${receipt.transactionHash}`);
+    }
+    return receipt;
+  }
+
+  async vaultHolds(contract, prepared, vault) {
+    if (prepared.tokenStandard === 'erc1155') {
+      const balance = await contract.erc1155.balanceOf(vault, prepared.vaultTokenId).catch(() => null);
+      return Boolean(balance?.gt(0));
+    }
+
+    const owner = await contract.erc721.ownerOf(prepared.vaultTokenId).catch(() => null);
+    return owner?.toLowerCase() === vault.toLowerCase();
+  }
+
+  // Each mint of a batch is charged an equal share of the batch's gas
+  mintResult(receipt, transaction, tokenId, batchSize) {
+    return {
+      tokenId,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      gasUsed: receipt.gasUsed ? ethers.BigNumber.from(receipt.gasUsed).div(batchSize).toString() : undefined,
+      effectiveGasPrice: receipt.effectiveGasPrice?.toString(),
+      minterAddress: transaction.address,
+      batchSize
+    };
+  }
+
+  /**
+   * Mints (ERC-721 Transfer or ERC-1155 TransferSingle logs from the zero
+   * address) in log order
+   * @returns {Array<{ to: string, tokenId: string }>} Recipients lowercased
+   */
+  transfersFromReceipt(receipt) {
+    const mints = [];
+    for (const entry of receipt.logs || []) {
+      if (entry.topics?.length === 4 && entry.topics[0] === TRANSFER_TOPIC &&
+        ethers.BigNumber.from(entry.topics[1]).isZero()) {
+        mints.push({
+          to: ethers.utils.hexDataSlice(entry.topics[2], 12).toLowerCase(),
+          tokenId: ethers.BigNumber.from(entry.topics[3]).toString()
+        });
+      } else if (entry.topics?.length === 4 && entry.topics[0] === TRANSFER_SINGLE_TOPIC &&
+        ethers.BigNumber.from(entry.topics[2]).isZero()) {
+        // TransferSingle(operator, from, to, id, value) - id and value are in data
+        const [tokenId] = ethers.utils.defaultAbiCoder.decode(['uint256', 'uint256'], entry.data);
+        mints.push({
+          to: ethers.utils.hexDataSlice(entry.topics[3], 12).toLowerCase(),
+          tokenId: tokenId.toString()
+        });
+      }
+    }
+    return mints;
+  }
+
+  // A batch mints in claim order - several of its tokens may have gone to
+  // the vault, so take this claim's own
+  claimTokenFromReceipt(receipt, transaction, claim, recipient) {
+    const position = transaction.claim_ids?.indexOf(claim.id) ?? -1;
+    const ownTransfer = this.transfersFromReceipt(receipt)[position];
+    return ownTransfer?.to === recipient.toLowerCase()
+      ? ownTransfer.tokenId
+      : this.tokenIdFromReceipt(receipt, recipient);
+  }
+
+  /**
+   * Token ID from the ERC-721 Transfer log that minted to the wallet
+   */
+  tokenIdFromReceipt(receipt, walletAddress) {
+    if (!walletAddress) return null;
+    const transfer = this.transfersFromReceipt(receipt).find(entry => entry.to === walletAddress.toLowerCase());
+    return transfer ? transfer.tokenId : null;
+  }
+
+  /**
+   * Look for a token minted by an earlier attempt whose result was lost
+   * (e.g. the request timed out waiting for the receipt). Claim wallets are
+   * generated per claim, so any token they hold came from this claim.
+   * @returns {{ tokenId: string, transactionHash: null }|null}
+   */
+  async findExistingMint(claim, prepared) {
+    const contract = await this.getContract(prepared.chain, prepared.contractAddress);
+    const tokenIds = prepared.tokenStandard === 'erc1155'
+      ? (await contract.erc1155.getOwned(claim.wallet_address)).map(token => token.metadata.id)
+      : await contract.erc721.getOwnedTokenIds(claim.wallet_address);
+
+    if (tokenIds.length === 0) return null;
+
+    console.log('♻️ Found token from an earlier mint attempt:', tokenIds[0].toString());
+    return { tokenId: tokenIds[0].toString(), transactionHash: null };
+  }
+}
+
+module.exports = NftMintService;
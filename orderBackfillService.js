@@ -0,0 +1,206 @@
+/**
+ * Historical Order Backfill
+ * Pages through Shopify orders in a date range and runs each one through the
+ * same paid-order pipeline as the orders/paid webhook. The pipeline upserts
+ * orders and skips units that already have claims, so re-running a range (or
+ * resuming a failed job) never duplicates claims or emails.
+ *
+ * A run processes at most BACKFILL_PAGES_PER_RUN pages, so it fits in one
+ * serverless request. A job with pages left goes back to queued at its
+ * cursor; the scheduled worker (processPending) picks it up from there.
+ */
+class OrderBackfillService {
+  constructor({ db, shopifyAdminClient, shopifyWebhookHandler, eligibilityService }) {
+    this.db = db;
+    this.shopifyAdminClient = shopifyAdminClient;
+    this.shopifyWebhookHandler = shopifyWebhookHandler;
+    this.eligibilityService = eligibilityService;
+
+    // A running job whose heartbeat is older than this was interrupted
+    // (e.g. the serverless function timed out) and may be resumed
+    this.staleAfterMs = 5 * 60 * 1000;
+    this.maxRecordedErrors = 50;
+    this.pagesPerRun = parseInt(process.env.BACKFILL_PAGES_PER_RUN, 10) || 5;
+  }
+
+  /**
+   * Create a backfill job for a date range
+   * @param {Object} params
+   * @param {string} params.from - ISO date, orders created on or after
+   * @param {string} params.to - ISO date, orders created on or before
+   * @param {boolean} [params.dryRun] - Only evaluate eligibility, store nothing
+   * @returns {Object} The queued job
+   */
+  async createJob({ from, to, dryRun = false }) {
+    // A queued job is one between runs - it still owns the Admin API budget
+    const running = await this.db.getBackfillJobs({ status: 'running', limit: 1 });
+    const queued = await this.db.getBackfillJobs({ status: 'queued', limit: 1 });
+    const active = queued[0] || (running.length > 0 && !this.isStale(running[0]) ? running[0] : null);
+    if (active) {
+      const error = new Error(`Backfill ${active.id} is already ${active.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return this.db.createBackfillJob({
+      status: 'queued',
+      params: { from, to, dryRun },
+      cursor: null,
+      pages_processed: 0,
+      orders_seen: 0,
+      orders_processed: 0,
+      orders_skipped: 0,
+      orders_failed: 0,
+      claims_created: 0,
+      errors: []
+    });
+  }
+
+  isStale(job) {
+    const heartbeat = new Date(job.heartbeat_at || job.started_at || job.created_at).getTime();
+    return Date.now() - heartbeat > this.staleAfterMs;
+  }
+
+  /**
+   * Continue the oldest job waiting for its next run, or one whose run was
+   * interrupted. Failed jobs are left to an admin to resume.
+   * @returns {Object|null} Job state after the run, or null if nothing was due
+   */
+  async processPending() {
+    const running = await this.db.getBackfillJobs({ status: 'running', limit: 20 });
+    const queued = await this.db.getBackfillJobs({ status: 'queued', limit: 20 });
+    const job = running.find(candidate => this.isStale(candidate)) || queued.at(-1);
+
+    return job ? this.runJob(job.id) : null;
+  }
+
+  /**
+   * Run (or resume) a job from its saved cursor for up to maxPages pages
+   * @param {string} jobId
+   * @param {Object} [options]
+   * @param {number} [options.maxPages] - Defaults to BACKFILL_PAGES_PER_RUN
+   * @returns {Object|null} Job state after the run - queued again if pages
+   *   are left - or null if another worker owns it
+   */
+  async runJob(jobId, { maxPages = this.pagesPerRun } = {}) {
+    const staleBefore = new Date(Date.now() - this.staleAfterMs).toISOString();
+    const job = await this.db.claimBackfillJob(jobId, staleBefore);
+    if (!job) {
+      console.log('ℹ️ Backfill job not runnable (already running or finished):', jobId);
+      return null;
+    }
+
+    const { from, to, dryRun } = job.params;
+    const progress = {
+      pages_processed: job.pages_processed,
+      orders_seen: job.orders_seen,
+      orders_processed: job.orders_processed,
+      orders_skipped: job.orders_skipped,
+      orders_failed: job.orders_failed,
+      claims_created: job.claims_created,
+      errors: job.errors || []
+    };
+    let pageInfo = job.cursor;
+    let pagesThisRun = 0;
+
+    console.log(`📚 Backfill ${jobId} ${job.cursor ? 'resuming' : 'starting'} (${from} → ${to}${dryRun ? ', dry run' : ''})`);
+
+    try {
+      do {
+        const page = await this.shopifyAdminClient.listOrders({
+          createdAtMin: from,
+          createdAtMax: to,
+          pageInfo
+        });
+
+        for (const order of page.orders) {
+          await this.processOrder(order, { dryRun }, progress);
+        }
+
+        progress.pages_processed++;
+        pagesThisRun++;
+        pageInfo = page.nextPageInfo;
+
+        // Save the cursor after every page so an interrupted job can resume
+        await this.db.updateBackfillJob(jobId, {
+          ...progress,
+          cursor: pageInfo,
+          heartbeat_at: new Date().toISOString()
+        });
+        console.log(`📚 Backfill ${jobId}: page ${progress.pages_processed}, ${progress.orders_seen} orders seen`);
+      } while (pageInfo && pagesThisRun < maxPages);
+
+      if (pageInfo) {
+        console.log(`⏸️ Backfill ${jobId} queued for its next run after page ${progress.pages_processed}`);
+        return this.db.updateBackfillJob(jobId, { status: 'queued' });
+      }
+
+      console.log(`✅ Backfill ${jobId} completed - ${progress.claims_created} claim(s) created`);
+      return this.db.updateBackfillJob(jobId, {
+        status: 'completed',
+        finished_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`💥 Backfill ${jobId} failed:`, error.message);
+      return this.db.updateBackfillJob(jobId, {
+        ...progress,
+        status: 'failed',
+        error_message: error.message,
+        heartbeat_at: new Date().toISOString()
+      });
+    }
+  }
+
+  async processOrder(order, { dryRun }, progress) {
+    progress.orders_seen++;
+
+    if (order.cancelled_at) {
+      progress.orders_skipped++;
+      return;
+    }
+
+    // Dry runs report how many claims the range would create
+    if (dryRun) {
+      const eligibility = await this.eligibilityService.evaluateOrder(order);
+      if (eligibility.eligible) {
+        progress.orders_processed++;
+        progress.claims_created += eligibility.eligibleLineItems
+          .reduce((units, item) => units + (item.quantity || 1), 0);
+      } else {
+        progress.orders_skipped++;
+      }
+      return;
+    }
+
+    try {
+      // Same entry point as the webhook - failures are dead-lettered for replay
+      const result = await this.shopifyWebhookHandler.handleOrderPaid(order, {
+        rawBody: JSON.stringify(order)
+      });
+
+      if (result.deadLettered) {
+        progress.orders_failed++;
+        this.recordError(progress, order, `Dead-lettered at ${result.failureStage} (${result.failureId})`);
+      } else {
+        progress.orders_processed++;
+        progress.claims_created += result.claimsCreated || 0;
+      }
+    } catch (error) {
+      // Invalid payloads (e.g. guest orders without a customer) are skipped
+      progress.orders_skipped++;
+      this.recordError(progress, order, error.message);
+    }
+  }
+
+  recordError(progress, order, message) {
+    if (progress.errors.length < this.maxRecordedErrors) {
+      progress.errors.push({
+        orderId: order.id?.toString(),
+        orderNumber: order.order_number,
+        message
+      });
+    }
+  }
+}
+
+module.exports = OrderBackfillService;
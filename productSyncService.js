@@ -0,0 +1,385 @@
+/**
+ * Shopify Product Sync
+ * Keeps the local products table in step with Shopify so minted metadata and
+ * certificates can use the real product photo, description and attributes.
+ * Fed by products/create and products/update webhooks, plus an on-demand
+ * full sync through the Admin API.
+ *
+ * A full sync is recorded in product_sync_runs and runs PRODUCT_SYNC_PAGES_PER_RUN
+ * Admin API pages at a time, so each run fits in one serverless request. It
+ * first walks the store's collections to map products to them, then pages
+ * through the products. A run with pages left goes back to queued at its
+ * cursor; the scheduled worker (processPending) continues it. A failed run
+ * keeps its cursors and can be resumed (resumeSync).
+ */
+class ProductSyncService {
+  constructor({ db, shopifyAdminClient }) {
+    this.db = db;
+    this.shopifyAdminClient = shopifyAdminClient;
+
+    // A running sync whose heartbeat is older than this was interrupted
+    this.staleAfterMs = 5 * 60 * 1000;
+    this.pagesPerRun = parseInt(process.env.PRODUCT_SYNC_PAGES_PER_RUN, 10) || 5;
+  }
+
+  /**
+   * products/create and products/update webhook handler
+   */
+  async handleProductWebhook(product, topic) {
+    if (!product?.id) {
+      const error = new Error('Invalid product data');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Webhook payloads don't include collections - look them up when we can
+    let collections = null;
+    if (this.shopifyAdminClient.isConfigured()) {
+      collections = await this.shopifyAdminClient.getProductCollections(product.id).catch(error => {
+        console.warn('⚠️ Could not load collections for product', product.id, error.message);
+        return null;
+      });
+    }
+
+    const { stored, skipped } = await this.saveProduct(product, collections);
+
+    return {
+      received: true,
+      topic,
+      productId: product.id.toString(),
+      skipped,
+      title: stored.title
+    };
+  }
+
+  /**
+   * Fetch one product (and its collections) from the Admin API and store it
+   */
+  async syncProduct(productId) {
+    const product = await this.shopifyAdminClient.getProduct(productId);
+    const collections = await this.shopifyAdminClient.getProductCollections(productId);
+    const { stored } = await this.saveProduct(product, collections, { force: true });
+    return stored;
+  }
+
+  isStale(run) {
+    const heartbeat = new Date(run.heartbeat_at || run.started_at || run.created_at).getTime();
+    return Date.now() - heartbeat > this.staleAfterMs;
+  }
+
+  // The latest full sync, for the admin API
+  async getLatestSync() {
+    const [run] = await this.db.getProductSyncRuns({ limit: 1 });
+    return run ? this.summarizeRun(run) : null;
+  }
+
+  // A run without the collection memberships it builds up
+  summarizeRun(run) {
+    if (!run) return run;
+    const { collections, memberships, ...summary } = run;
+    return { ...summary, collectionsFound: (collections || []).length };
+  }
+
+  /**
+   * Queue a full sync of every product in the store
+   * @returns {Object} The queued product_sync_runs row
+   * @throws {Error} statusCode 409 while another sync is queued or running
+   */
+  async startSync() {
+    const [latest] = await this.db.getProductSyncRuns({ limit: 1 });
+    const active = latest?.status === 'queued' || (latest?.status === 'running' && !this.isStale(latest));
+    if (active) {
+      const error = new Error(`A product sync is already ${latest.status}`);
+      error.statusCode = 409;
+      error.sync = this.summarizeRun(latest);
+      throw error;
+    }
+
+    const run = await this.db.createProductSyncRun({ status: 'queued', cursor: null, pages_processed: 0, synced: 0, failed: 0 });
+    return this.summarizeRun(run);
+  }
+
+  /**
+   * Continue the sync waiting for its next run, or one whose run was interrupted
+   * @returns {Object|null} Run state after the run, or null if nothing was due
+   */
+  async processPending() {
+    const latest = await this.getLatestSync();
+    const due = latest?.status === 'queued' || (latest?.status === 'running' && this.isStale(latest));
+    return due ? this.runSync(latest.id) : null;
+  }
+
+  /**
+   * Resume the latest sync from its saved cursors after it failed, or when
+   * no worker has continued it in a while
+   * @returns {Object} Run state after the run
+   * @throws {Error} statusCode 404 for an unknown run, 409 when the run
+   *   isn't the latest or can't be resumed
+   */
+  async resumeSync(runId) {
+    const run = await this.db.getProductSyncRun(runId);
+    if (!run) {
+      const error = new Error('Product sync not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const latest = await this.getLatestSync();
+    const resumable = run.status === 'failed' ||
+      (['running', 'queued'].includes(run.status) && this.isStale(run));
+    if (latest.id !== run.id || !resumable) {
+      const error = new Error(latest.id !== run.id
+        ? 'Only the latest product sync can be resumed'
+        : `Product sync is ${run.status} and cannot be resumed`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const resumed = await this.runSync(run.id);
+    if (!resumed) {
+      const error = new Error('Product sync was resumed by another request');
+      error.statusCode = 409;
+      throw error;
+    }
+    return resumed;
+  }
+
+  /**
+   * Sync pages of a run from its saved cursors, up to maxPages - collection
+   * pages until memberships are complete, then product pages
+   * @param {string} runId
+   * @param {Object} [options]
+   * @param {number} [options.maxPages] - Defaults to PRODUCT_SYNC_PAGES_PER_RUN
+   * @returns {Object|null} Run state after the run - queued again if pages
+   *   are left - or null if another worker owns it
+   */
+  async runSync(runId, { maxPages = this.pagesPerRun } = {}) {
+    const staleBefore = new Date(Date.now() - this.staleAfterMs).toISOString();
+    const run = await this.db.claimProductSyncRun(runId, staleBefore);
+    if (!run) {
+      console.log('ℹ️ Product sync not runnable (already running or finished):', runId);
+      return null;
+    }
+
+    const progress = { pages_processed: run.pages_processed, synced: run.synced, failed: run.failed };
+    const walk = {
+      collections: run.collections || [],
+      memberships: run.memberships || {},
+      cursor: run.collection_cursor || { type: 'custom_collections', pageInfo: null },
+      ready: run.memberships_ready
+    };
+    let pageInfo = run.cursor;
+    let pagesThisRun = 0;
+    let done = false;
+
+    try {
+      console.log(`🛍️ ${run.cursor || run.collection_cursor ? 'Resuming' : 'Starting'} full Shopify product sync ${runId}...`);
+
+      while (!done && pagesThisRun < maxPages) {
+        pagesThisRun++;
+
+        // Save the cursors after every page so an interrupted run can continue
+        if (!walk.ready) {
+          await this.nextMembershipPage(walk);
+          await this.db.updateProductSyncRun(runId, {
+            collections: walk.collections,
+            memberships: walk.memberships,
+            collection_cursor: walk.cursor,
+            memberships_ready: walk.ready,
+            heartbeat_at: new Date().toISOString()
+          });
+          continue;
+        }
+
+        const page = await this.shopifyAdminClient.listProducts({ pageInfo });
+
+        for (const product of page.products) {
+          try {
+            await this.saveProduct(product, walk.memberships[product.id.toString()] || [], { force: true });
+            progress.synced++;
+          } catch (error) {
+            console.error('Error syncing product', product.id, error.message);
+            progress.failed++;
+          }
+        }
+
+        progress.pages_processed++;
+        pageInfo = page.nextPageInfo;
+        done = !pageInfo;
+
+        await this.db.updateProductSyncRun(runId, {
+          ...progress,
+          cursor: pageInfo,
+          heartbeat_at: new Date().toISOString()
+        });
+      }
+
+      if (!done) {
+        console.log(`⏸️ Product sync ${runId} queued for its next run after page ${progress.pages_processed}`);
+        return this.summarizeRun(await this.db.updateProductSyncRun(runId, { status: 'queued' }));
+      }
+
+      console.log(`✅ Product sync completed - ${progress.synced} synced, ${progress.failed} failed`);
+      return this.summarizeRun(await this.db.updateProductSyncRun(runId, {
+        status: 'completed',
+        memberships: {},
+        finished_at: new Date().toISOString()
+      }));
+    } catch (error) {
+      console.error('💥 Product sync failed:', error.message);
+      return this.summarizeRun(await this.db.updateProductSyncRun(runId, {
+        ...progress,
+        status: 'failed',
+        error_message: error.message,
+        finished_at: new Date().toISOString()
+      }));
+    }
+  }
+
+  /**
+   * Fetch the next page of the collection walk: the custom then smart
+   * collection listings, then each collection's products. Marks the walk
+   * ready once every collection has been walked.
+   * @param {Object} walk - { collections, memberships, cursor, ready }, updated in place
+   */
+  async nextMembershipPage(walk) {
+    const { cursor } = walk;
+
+    if (cursor.type) {
+      const page = await this.shopifyAdminClient.listCollections(cursor.type, { pageInfo: cursor.pageInfo });
+      walk.collections.push(...page.collections);
+
+      if (page.nextPageInfo) {
+        walk.cursor = { type: cursor.type, pageInfo: page.nextPageInfo };
+      } else if (cursor.type === 'custom_collections') {
+        walk.cursor = { type: 'smart_collections', pageInfo: null };
+      } else {
+        walk.cursor = { index: 0, pageInfo: null };
+      }
+    } else {
+      const collection = walk.collections[cursor.index];
+      const page = await this.shopifyAdminClient.listCollectionProductIds(collection.id, { pageInfo: cursor.pageInfo });
+
+      for (const productId of page.productIds) {
+        if (!walk.memberships[productId]) walk.memberships[productId] = [];
+        walk.memberships[productId].push(collection);
+      }
+      walk.cursor = page.nextPageInfo
+        ? { index: cursor.index, pageInfo: page.nextPageInfo }
+        : { index: cursor.index + 1, pageInfo: null };
+    }
+
+    walk.ready = walk.cursor.index !== undefined && walk.cursor.index >= walk.collections.length;
+  }
+
+  /**
+   * Store a Shopify product. Webhooks can arrive out of order, so an update
+   * older than the stored copy is ignored unless forced.
+   * @param {Object} product - Shopify product payload
+   * @param {Array|null} collections - null keeps the stored collections
+   */
+  async saveProduct(product, collections, { force = false } = {}) {
+    const productId = product.id.toString();
+    const existing = await this.db.getProduct(productId);
+
+    if (!force && existing?.shopify_updated_at && product.updated_at &&
+        new Date(product.updated_at) < new Date(existing.shopify_updated_at)) {
+      console.log('ℹ️ Ignoring stale product update:', productId);
+      return { stored: existing, skipped: true };
+    }
+
+    const row = this.normalizeProduct(product, collections ?? existing?.collections ?? []);
+    const stored = await this.db.upsertProduct(row);
+    console.log('🛍️ Product synced:', stored.title);
+
+    return { stored, skipped: false };
+  }
+
+  normalizeProduct(product, collections) {
+    const images = (product.images || []).map(image => ({
+      id: image.id?.toString(),
+      src: image.src,
+      alt: image.alt || null,
+      position: image.position
+    }));
+
+    return {
+      shopify_product_id: product.id.toString(),
+      title: product.title,
+      handle: product.handle,
+      description: this.stripHtml(product.body_html),
+      vendor: product.vendor || null,
+      product_type: product.product_type || null,
+      tags: this.parseTags(product.tags),
+      status: product.status || null,
+      image_url: product.image?.src || images[0]?.src || null,
+      images,
+      material: this.extractMaterial(product),
+      collections,
+      variant_skus: (product.variants || []).map(variant => variant.sku).filter(Boolean),
+      shopify_updated_at: product.updated_at || null,
+      synced_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Material comes from a "Material" option, or a "material:<value>" tag
+   */
+  extractMaterial(product) {
+    const option = (product.options || []).find(candidate => (candidate.name || '').toLowerCase() === 'material');
+    if (option?.values?.length) {
+      return option.values.join(', ');
+    }
+
+    const tag = this.parseTags(product.tags).find(candidate => candidate.toLowerCase().startsWith('material:'));
+    return tag ? tag.slice('material:'.length).trim() : null;
+  }
+
+  parseTags(tags) {
+    const list = Array.isArray(tags) ? tags : (tags || '').split(',');
+    return list.map(tag => tag.trim()).filter(Boolean);
+  }
+
+  stripHtml(html) {
+    if (!html) return null;
+    return html
+      .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Tags, product type, vendor and collection titles and handles for a line
+   * item, used by eligibility rules. Shopify line items carry none of these
+   * but the vendor, so they come from the synced product. Only Shopify
+   * orders are looked up - a Stripe or WooCommerce product ID means nothing
+   * in the products table. Raw Shopify payloads (backfill, dry-runs) carry
+   * no source.
+   * @param {Object} item - Line item
+   * @param {Object} [order] - The item's order
+   * @returns {Object|null} null when the product hasn't been synced or the
+   *   order isn't from Shopify
+   */
+  async resolveProductAttributes(item, order = null) {
+    if ((order?.source || 'shopify') !== 'shopify') return null;
+
+    const product = item.product_id ? await this.db.getProduct(item.product_id.toString()) : null;
+    if (!product) return null;
+
+    return {
+      tags: product.tags || [],
+      productType: product.product_type,
+      vendor: product.vendor || item.vendor,
+      collections: (product.collections || []).flatMap(collection => [collection.title, collection.handle]).filter(Boolean)
+    };
+  }
+}
+
+module.exports = ProductSyncService;
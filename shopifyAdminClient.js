@@ -0,0 +1,172 @@
+const axios = require('axios');
+
+/**
+ * Shopify Admin REST API client
+ * Used for backfilling orders the webhook never delivered and syncing the
+ * product catalog.
+ * SHOPIFY_ADMIN_API_URL overrides the base URL so the client can be pointed
+ * at a local stand-in (see test-backfill.js).
+ */
+class ShopifyAdminClient {
+  constructor() {
+    this.shopDomain = process.env.SHOPIFY_SHOP_DOMAIN; // your-store.myshopify.com
+    this.accessToken = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
+    this.apiVersion = process.env.SHOPIFY_API_VERSION || '2024-07';
+    this.baseUrl = process.env.SHOPIFY_ADMIN_API_URL ||
+      (this.shopDomain ? `https://${this.shopDomain}/admin/api/${this.apiVersion}` : null);
+    this.maxRetries = 3;
+  }
+
+  isConfigured() {
+    return !!(this.baseUrl && this.accessToken);
+  }
+
+  /**
+   * Fetch one page of orders
+   * @param {Object} params
+   * @param {string} [params.createdAtMin] - ISO date, inclusive
+   * @param {string} [params.createdAtMax] - ISO date, inclusive
+   * @param {string} [params.financialStatus] - Shopify financial_status filter
+   * @param {number} [params.limit] - Page size (max 250)
+   * @param {string} [params.pageInfo] - Cursor returned by the previous page
+   * @returns {Object} { orders, nextPageInfo }
+   */
+  async listOrders({ createdAtMin, createdAtMax, financialStatus = 'paid', limit = 250, pageInfo } = {}) {
+    // Shopify only accepts limit and fields alongside a page_info cursor
+    const params = pageInfo
+      ? { limit, page_info: pageInfo }
+      : {
+        limit,
+        status: 'any',
+        financial_status: financialStatus,
+        created_at_min: createdAtMin,
+        created_at_max: createdAtMax,
+        order: 'created_at asc'
+      };
+
+    const response = await this.request('/orders.json', params);
+
+    return {
+      orders: response.data.orders || [],
+      nextPageInfo: this.parseNextPageInfo(response.headers.link)
+    };
+  }
+
+  /**
+   * Fetch one page of products
+   * @param {Object} [params]
+   * @param {number} [params.limit] - Page size (max 250)
+   * @param {string} [params.pageInfo] - Cursor returned by the previous page
+   * @returns {Object} { products, nextPageInfo }
+   */
+  async listProducts({ limit = 250, pageInfo } = {}) {
+    const response = await this.request('/products.json', { limit, page_info: pageInfo || undefined });
+
+    return {
+      products: response.data.products || [],
+      nextPageInfo: this.parseNextPageInfo(response.headers.link)
+    };
+  }
+
+  async getProduct(productId) {
+    const response = await this.request(`/products/${productId}.json`);
+    return response.data.product;
+  }
+
+  /**
+   * Custom and smart collections a product belongs to
+   * @returns {Array} [{ id, handle, title }]
+   */
+  async getProductCollections(productId) {
+    const [custom, smart] = await Promise.all([
+      this.request('/custom_collections.json', { product_id: productId, fields: 'id,handle,title' }),
+      this.request('/smart_collections.json', { product_id: productId, fields: 'id,handle,title' })
+    ]);
+
+    return [
+      ...(custom.data.custom_collections || []),
+      ...(smart.data.smart_collections || [])
+    ].map(({ id, handle, title }) => ({ id: id.toString(), handle, title }));
+  }
+
+  /**
+   * Fetch one page of custom or smart collections
+   * @param {string} type - custom_collections or smart_collections
+   * @param {Object} [params]
+   * @param {string} [params.pageInfo] - Cursor returned by the previous page
+   * @returns {Object} { collections: [{ id, handle, title }], nextPageInfo }
+   */
+  async listCollections(type, { pageInfo } = {}) {
+    const response = await this.request(`/${type}.json`, { limit: 250, fields: 'id,handle,title', page_info: pageInfo || undefined });
+
+    return {
+      collections: (response.data[type] || []).map(({ id, handle, title }) => ({ id: id.toString(), handle, title })),
+      nextPageInfo: this.parseNextPageInfo(response.headers.link)
+    };
+  }
+
+  /**
+   * Fetch one page of the IDs of a collection's products
+   * @param {string} collectionId
+   * @param {Object} [params]
+   * @param {string} [params.pageInfo] - Cursor returned by the previous page
+   * @returns {Object} { productIds, nextPageInfo }
+   */
+  async listCollectionProductIds(collectionId, { pageInfo } = {}) {
+    const response = await this.request(`/collections/${collectionId}/products.json`, { limit: 250, fields: 'id', page_info: pageInfo || undefined });
+
+    return {
+      productIds: (response.data.products || []).map(product => product.id.toString()),
+      nextPageInfo: this.parseNextPageInfo(response.headers.link)
+    };
+  }
+
+  /**
+   * GET with retry on rate limiting (429) and transient 5xx errors
+   */
+  async request(path, params, attempt = 1) {
+    if (!this.isConfigured()) {
+      throw new Error('Shopify Admin API is not configured - set SHOPIFY_SHOP_DOMAIN and SHOPIFY_ADMIN_ACCESS_TOKEN');
+    }
+
+    try {
+      return await axios.get(`${this.baseUrl}${path}`, {
+        params,
+        headers: {
+          'X-Shopify-Access-Token': this.accessToken,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      const retryable = status === 429 || (status >= 500 && status < 600);
+
+      if (retryable && attempt <= this.maxRetries) {
+        const retryAfter = parseFloat(error.response.headers?.['retry-after']) || attempt * 2;
+        console.warn(`⏳ Shopify Admin API ${status}, retrying in ${retryAfter}s (attempt ${attempt}/${this.maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+        return this.request(path, params, attempt + 1);
+      }
+
+      console.error('Shopify Admin API request failed:', error.response?.data || error.message);
+      throw new Error(`Shopify Admin API request failed: ${error.response?.data?.errors || error.message}`);
+    }
+  }
+
+  /**
+   * Extract the next page cursor from a Link header, e.g.
+   * <https://shop/admin/api/2024-07/orders.json?limit=250&page_info=abc>; rel="next"
+   */
+  parseNextPageInfo(linkHeader) {
+    if (!linkHeader) return null;
+
+    const next = linkHeader.split(',').find(link => link.includes('rel="next"'));
+    if (!next) return null;
+
+    const match = next.match(/[?&]page_info=([^&>]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+}
+
+module.exports = ShopifyAdminClient;
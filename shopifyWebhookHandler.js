@@ -0,0 +1,272 @@
+const ShopifyAdapter = require('./adapters/shopifyAdapter');
+
+// Topics that should only ever take effect once per order, even when
+// Shopify sends them under different webhook IDs
+const ONCE_PER_ORDER_TOPICS = ['orders/paid', 'orders/cancelled'];
+
+/**
+ * Shopify Webhook Handler
+ * Routes verified Shopify deliveries to a dedicated handler per topic so
+ * cancelled or refunded orders revoke their claims instead of being
+ * treated as new orders. Product topics keep the local catalog in sync.
+ */
+class ShopifyWebhookHandler {
+  constructor({ db, ledger, claimPipeline, productSyncService }) {
+    this.db = db;
+    this.ledger = ledger;
+    this.claimPipeline = claimPipeline;
+    this.productSyncService = productSyncService;
+    this.shopifyAdapter = new ShopifyAdapter();
+
+    this.topicHandlers = {
+      'orders/paid': (payload, delivery) => this.handleOrderPaid(payload, delivery),
+      'orders/updated': payload => this.handleOrderUpdated(payload),
+      'orders/cancelled': payload => this.handleOrderCancelled(payload),
+      'refunds/create': payload => this.handleRefundCreated(payload),
+      'products/create': payload => this.productSyncService.handleProductWebhook(payload, 'products/create'),
+      'products/update': payload => this.productSyncService.handleProductWebhook(payload, 'products/update')
+    };
+  }
+
+  supportsTopic(topic) {
+    return Object.prototype.hasOwnProperty.call(this.topicHandlers, topic);
+  }
+
+  /**
+   * Process a delivery exactly once, keyed by X-Shopify-Webhook-Id.
+   * Repeated deliveries (Shopify retries) return the originally recorded
+   * result without running the handler again.
+   * @param {Object} delivery
+   * @param {string} delivery.webhookId - Value of the X-Shopify-Webhook-Id header
+   * @param {string} delivery.topic - Value of the X-Shopify-Topic header
+   * @param {Object} delivery.payload - Parsed webhook body
+   * @returns {Object} Handler result
+   */
+  async handleDelivery({ webhookId, topic, payload, rawBody }) {
+    if (!webhookId) {
+      throw this.invalidPayload('Missing X-Shopify-Webhook-Id header');
+    }
+
+    return this.ledger.run({
+      webhookId,
+      topic,
+      orderId: this.getOrderId(topic, payload),
+      oncePerOrder: ONCE_PER_ORDER_TOPICS.includes(topic)
+    }, () => this.handle(topic, payload, { webhookId, topic, rawBody }));
+  }
+
+  /**
+   * Dispatch a webhook payload to the handler registered for its topic
+   * @param {string} topic - Value of the X-Shopify-Topic header
+   * @param {Object} payload - Parsed webhook body
+   * @param {Object} [delivery] - Webhook ID and raw body, kept for dead-lettering
+   * @returns {Object} Handler result, returned to Shopify as the response body
+   */
+  async handle(topic, payload, delivery = {}) {
+    if (!this.supportsTopic(topic)) {
+      console.log('ℹ️ Ignoring unsupported Shopify topic:', topic);
+      return {
+        received: true,
+        ignored: true,
+        topic: topic || null
+      };
+    }
+
+    return this.topicHandlers[topic](payload, delivery);
+  }
+
+  /**
+   * orders/paid - normalize the order and run it through the claim pipeline
+   */
+  async handleOrderPaid(order, delivery = {}) {
+    if (!order.id) {
+      throw this.invalidPayload('Invalid order data');
+    }
+
+    return this.claimPipeline.handlePaidOrder(this.shopifyAdapter.normalize(order), {
+      ...delivery,
+      topic: 'orders/paid'
+    });
+  }
+
+  /**
+   * orders/updated - keep the stored order status in sync, and treat an
+   * order that has become cancelled, refunded or voided as a revocation
+   */
+  async handleOrderUpdated(order) {
+    if (!order.id) {
+      throw this.invalidPayload('Invalid order data');
+    }
+
+    if (order.cancelled_at) {
+      return this.handleOrderCancelled(order);
+    }
+
+    const shopifyOrderId = order.id.toString();
+
+    await this.db.updateOrderStatus(shopifyOrderId, {
+      financial_status: order.financial_status || null
+    });
+
+    if (['refunded', 'voided'].includes(order.financial_status)) {
+      const revocation = await this.revokeOrderClaims(shopifyOrderId, `order_${order.financial_status}`);
+      return {
+        received: true,
+        topic: 'orders/updated',
+        orderId: shopifyOrderId,
+        ...revocation
+      };
+    }
+
+    return {
+      received: true,
+      topic: 'orders/updated',
+      orderId: shopifyOrderId,
+      financialStatus: order.financial_status || null
+    };
+  }
+
+  /**
+   * orders/cancelled - revoke pending claims and flag completed mints
+   */
+  async handleOrderCancelled(order) {
+    if (!order.id) {
+      throw this.invalidPayload('Invalid order data');
+    }
+
+    const shopifyOrderId = order.id.toString();
+
+    await this.db.updateOrderStatus(shopifyOrderId, {
+      financial_status: order.financial_status || null,
+      cancelled_at: order.cancelled_at || new Date().toISOString(),
+      cancel_reason: order.cancel_reason || null
+    });
+
+    const revocation = await this.revokeOrderClaims(shopifyOrderId, `order_cancelled${order.cancel_reason ? `:${order.cancel_reason}` : ''}`);
+
+    return {
+      received: true,
+      topic: 'orders/cancelled',
+      orderId: shopifyOrderId,
+      ...revocation
+    };
+  }
+
+  /**
+   * refunds/create - revoke the claims for the refunded units.
+   * Refunds without line items (shipping-only, adjustments) leave claims alone.
+   */
+  async handleRefundCreated(refund) {
+    if (!refund.order_id) {
+      throw this.invalidPayload('Invalid refund data');
+    }
+
+    const shopifyOrderId = refund.order_id.toString();
+    const refundedItems = refund.refund_line_items || [];
+
+    if (refundedItems.length === 0) {
+      console.log('ℹ️ Refund without line items, claims unchanged for order:', shopifyOrderId);
+      return {
+        received: true,
+        topic: 'refunds/create',
+        orderId: shopifyOrderId,
+        revokedClaims: 0,
+        flaggedClaims: 0
+      };
+    }
+
+    const revocation = await this.revokeRefundedUnits(shopifyOrderId, refundedItems, `refund_created:${refund.id}`);
+
+    return {
+      received: true,
+      topic: 'refunds/create',
+      orderId: shopifyOrderId,
+      ...revocation
+    };
+  }
+
+  /**
+   * Revoke one claim per refunded unit, newest unit first. When a line item
+   * has fewer pending claims than refunded units the minted ones are flagged.
+   */
+  async revokeRefundedUnits(shopifyOrderId, refundedItems, reason) {
+    const claims = (await this.db.getClaimsForOrder(shopifyOrderId))
+      .filter(claim => claim.claim_status !== 'revoked');
+
+    // Order-level claims from before per-unit claims - fall back to the whole order
+    if (claims.some(claim => !claim.line_item_id)) {
+      return this.revokeOrderClaims(shopifyOrderId, reason);
+    }
+
+    const toRevoke = [];
+    const toFlag = [];
+
+    for (const refundedItem of refundedItems) {
+      const lineItemClaims = claims
+        .filter(claim => claim.line_item_id === refundedItem.line_item_id?.toString())
+        .sort((a, b) => b.unit_index - a.unit_index);
+      let remaining = refundedItem.quantity || 1;
+
+      for (const claim of lineItemClaims.filter(c => c.claim_status === 'pending')) {
+        if (remaining === 0) break;
+        toRevoke.push(claim.id);
+        remaining--;
+      }
+      for (const claim of lineItemClaims.filter(c => c.claim_status !== 'pending')) {
+        if (remaining === 0) break;
+        toFlag.push(claim.id);
+        remaining--;
+      }
+    }
+
+    const revoked = toRevoke.length > 0 ? await this.db.revokeClaims(toRevoke, reason) : [];
+    const flagged = toFlag.length > 0 ? await this.db.flagClaims(toFlag, reason) : [];
+
+    if (revoked.length > 0) {
+      console.log(`🚫 Revoked ${revoked.length} refunded claim(s) for order ${shopifyOrderId} (${reason})`);
+    }
+    if (flagged.length > 0) {
+      console.warn(`🚩 Flagged ${flagged.length} refunded minted claim(s) for order ${shopifyOrderId} (${reason})`);
+    }
+
+    return {
+      revokedClaims: revoked.length,
+      flaggedClaims: flagged.length
+    };
+  }
+
+  /**
+   * Revoke pending claims and flag already minted certificates for an order
+   */
+  async revokeOrderClaims(shopifyOrderId, reason) {
+    const revoked = await this.db.revokePendingClaims(shopifyOrderId, reason);
+    const flagged = await this.db.flagCompletedClaims(shopifyOrderId, reason);
+
+    if (revoked.length > 0) {
+      console.log(`🚫 Revoked ${revoked.length} pending claim(s) for order ${shopifyOrderId} (${reason})`);
+    }
+    if (flagged.length > 0) {
+      console.warn(`🚩 Flagged ${flagged.length} minted claim(s) for order ${shopifyOrderId} (${reason})`);
+    }
+
+    return {
+      revokedClaims: revoked.length,
+      flaggedClaims: flagged.length
+    };
+  }
+
+  getOrderId(topic, payload) {
+    if (!topic || topic.startsWith('products/')) return null;
+
+    const orderId = topic === 'refunds/create' ? payload?.order_id : payload?.id;
+    return orderId ? orderId.toString() : null;
+  }
+
+  invalidPayload(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = ShopifyWebhookHandler;
@@ -0,0 +1,788 @@
+const { ethers } = require('ethers');
+const { ThirdwebSDK } = require('@thirdweb-dev/sdk');
+
+// Fields of a populated transaction that are sent; everything else
+// (from, nonce, chainId) is set by the signer
+const REQUEST_FIELDS = ['to', 'data', 'value', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'type'];
+
+/**
+ * Minter Signer Service
+ * Pool of minter signers: THIRDWEB_PRIVATE_KEY plus any extra keys in
+ * MINTER_PRIVATE_KEYS (comma-separated), each of which must be authorized
+ * to mint on the contract. Every send goes to the least busy signer in
+ * rotation; a signer leaves the rotation when its balance drops below
+ * MINTER_MIN_BALANCE or it errors repeatedly (minter_signers).
+ *
+ * Sends are serialized per signer and nonces come from a persisted allocator
+ * (signer_nonces), so concurrent mints - across requests and instances -
+ * never reuse a nonce. Every send is recorded in signer_transactions with
+ * each hash broadcast for its nonce, so a stuck transaction can be sped up
+ * or cancelled (same nonce, higher fees) from any instance.
+ *
+ * VAULT_PRIVATE_KEY is the custody vault pre-minted certificates are held
+ * in. It is never in the mint rotation - it only sends the transfers out of
+ * the vault.
+ */
+class SignerService {
+  constructor({ db, gasPolicy = null, contractRegistry = null }) {
+    this.db = db;
+    this.gasPolicy = gasPolicy;
+    this.contractRegistry = contractRegistry;
+
+    // The first key is the primary signer - contract reads go through it
+    const keys = [process.env.THIRDWEB_PRIVATE_KEY, ...(process.env.MINTER_PRIVATE_KEYS || '').split(',')]
+      .map(key => key?.trim())
+      .filter(Boolean);
+    this.privateKeys = new Map();
+    for (const key of keys) {
+      try {
+        this.privateKeys.set(new ethers.Wallet(key).address, key);
+      } catch (error) {
+        console.error('❌ Ignoring invalid minter private key:', error.message);
+      }
+    }
+
+    this.vaultKeys = new Map();
+    if (process.env.VAULT_PRIVATE_KEY) {
+      try {
+        const vaultKey = process.env.VAULT_PRIVATE_KEY.trim();
+        this.vaultKeys.set(new ethers.Wallet(vaultKey).address, vaultKey);
+      } catch (error) {
+        console.error('❌ Ignoring invalid vault private key:', error.message);
+      }
+    }
+
+    this.providers = new Map();
+    this.wallets = new Map();
+    this.sdks = new Map();
+
+    // Tail of each signer's send queue, and sends picked but not yet recorded
+    this.sendQueues = new Map();
+    this.inFlight = new Map();
+
+    // Chains whose signers have been added to minter_signers
+    this.registeredChains = new Set();
+
+    this.minBalance = ethers.utils.parseEther(process.env.MINTER_MIN_BALANCE || '0.05');
+    this.balanceMaxAgeMs = 5 * 60 * 1000;
+    this.maxConsecutiveErrors = parseInt(process.env.MINTER_MAX_ERRORS, 10) || 3;
+    this.errorCooldownMs = 15 * 60 * 1000;
+
+    this.pollIntervalMs = 4000;
+    this.waitTimeoutMs = parseInt(process.env.MINT_WAIT_TIMEOUT_MS, 10) || 3 * 60 * 1000;
+    this.stuckAfterMs = parseInt(process.env.TX_STUCK_AFTER_MS, 10) || 90 * 1000;
+    this.maxSpeedUps = 3;
+
+    // A waiter refreshes waited_at on every poll; the scheduled worker
+    // leaves a transaction alone while its waiter is this recent
+    this.waiterTimeoutMs = 30 * 1000;
+
+    // Nodes only accept a replacement whose fees are at least 10% higher
+    this.feeBumpPercent = 25;
+    this.maxNonceAttempts = 5;
+
+    // Longer than a send takes between reserving its nonce and recording it
+    this.nonceReservationTimeoutMs = 60 * 1000;
+  }
+
+  isConfigured() {
+    return this.privateKeys.size > 0;
+  }
+
+  getAddresses() {
+    return [...this.privateKeys.keys()];
+  }
+
+  getAddress() {
+    return this.getAddresses()[0];
+  }
+
+  getVaultAddress() {
+    return [...this.vaultKeys.keys()][0] || null;
+  }
+
+  getProvider(chain) {
+    if (!this.providers.has(chain)) {
+      const sdk = new ThirdwebSDK(chain, {
+        clientId: process.env.THIRDWEB_CLIENT_ID,
+        secretKey: process.env.THIRDWEB_SECRET_KEY
+      });
+      this.providers.set(chain, sdk.getProvider());
+    }
+    return this.providers.get(chain);
+  }
+
+  getWallet(chain, address = this.getAddress()) {
+    const key = `${chain}:${address}`;
+    const privateKey = this.privateKeys.get(address) || this.vaultKeys.get(address);
+    if (!privateKey) {
+      const error = new Error(`No key configured for signer ${address}`);
+      error.statusCode = 409;
+      throw error;
+    }
+    if (!this.wallets.has(key)) {
+      this.wallets.set(key, new ethers.Wallet(privateKey, this.getProvider(chain)));
+    }
+    return this.wallets.get(key);
+  }
+
+  /**
+   * SDK bound to the primary signer - used to build contract calls, which
+   * are then sent through sendTransaction from whichever signer is picked.
+   * Calls that depend on the sender (a transfer out of the vault) are built
+   * with an SDK bound to that address.
+   */
+  getSdk(chain, address = this.getAddress()) {
+    const key = `${chain}:${address}`;
+    if (!this.sdks.has(key)) {
+      this.sdks.set(key, ThirdwebSDK.fromSigner(this.getWallet(chain, address), chain, {
+        clientId: process.env.THIRDWEB_CLIENT_ID,
+        secretKey: process.env.THIRDWEB_SECRET_KEY
+      }));
+    }
+    return this.sdks.get(key);
+  }
+
+  async getContract(chain, contractAddress, address = this.getAddress()) {
+    return this.getSdk(chain, address).getContract(contractAddress);
+  }
+
+  /**
+   * Configured signers with their minter_signers rows. Rows for keys no
+   * longer configured stay in the table but are never used.
+   */
+  async getSigners(chain) {
+    if (!this.registeredChains.has(chain)) {
+      await this.db.registerMinterSigners(this.getAddresses(), chain);
+      this.registeredChains.add(chain);
+    }
+
+    const rows = await this.db.getMinterSigners(chain);
+    return rows.filter(row => this.privateKeys.has(row.address));
+  }
+
+  isBalanceStale(signer) {
+    if (!signer.balance_checked_at) return true;
+    return Date.now() - new Date(signer.balance_checked_at).getTime() > this.balanceMaxAgeMs;
+  }
+
+  /**
+   * Re-read a signer's balance, taking it out of rotation below the minimum
+   * and putting it back once topped up
+   */
+  async refreshBalance(signer) {
+    const balance = await this.getProvider(signer.chain).getBalance(signer.address);
+    const updates = { balance_wei: balance.toString(), balance_checked_at: new Date().toISOString() };
+
+    if (balance.lt(this.minBalance) && signer.status === 'active') {
+      console.warn(`🪫 Minter ${signer.address} is low on gas on ${signer.chain} (${ethers.utils.formatEther(balance)}) - removed from rotation`);
+      Object.assign(updates, { status: 'paused', paused_reason: 'low_balance', paused_until: null });
+    } else if (balance.gte(this.minBalance) && signer.status === 'paused' && signer.paused_reason === 'low_balance') {
+      console.log(`⛽ Minter ${signer.address} topped up on ${signer.chain} - back in rotation`);
+      Object.assign(updates, { status: 'active', paused_reason: null });
+    }
+
+    return this.db.updateMinterSigner(signer.address, signer.chain, updates);
+  }
+
+  // Signers paused for errors get another chance after the cooldown
+  isAvailable(signer) {
+    if (signer.status === 'active') return true;
+    return signer.status === 'paused' &&
+      signer.paused_reason === 'errors' &&
+      new Date(signer.paused_until).getTime() <= Date.now();
+  }
+
+  /**
+   * The signer in rotation with the fewest unmined transactions, least
+   * recently used first. The pick is counted as in flight until the caller
+   * releases it, so concurrent picks spread across the pool.
+   */
+  async pickSigner(chain) {
+    const signers = await Promise.all((await this.getSigners(chain)).map(signer => {
+      if (signer.status === 'disabled' || !this.isBalanceStale(signer)) return signer;
+      return this.refreshBalance(signer).catch(error => {
+        console.warn(`⚠️ Could not check balance of ${signer.address}:`, error.message);
+        return signer;
+      });
+    }));
+
+    const available = signers.filter(signer => this.isAvailable(signer));
+    if (available.length === 0) {
+      const error = new Error(`No minter signer available on ${chain}`);
+      error.code = 'NO_SIGNER';
+      throw error;
+    }
+
+    const pending = await this.db.getPendingSignerTransactions({ chain, limit: 1000 });
+    const load = signer => pending.filter(transaction => transaction.address === signer.address).length +
+      (this.inFlight.get(`${chain}:${signer.address}`) || 0);
+    const lastUsed = signer => new Date(signer.last_used_at || 0).getTime();
+    available.sort((a, b) => load(a) - load(b) || lastUsed(a) - lastUsed(b));
+
+    const signer = available[0];
+    const key = `${chain}:${signer.address}`;
+    this.inFlight.set(key, (this.inFlight.get(key) || 0) + 1);
+
+    if (signer.status !== 'active') {
+      console.log(`🔄 Minter ${signer.address} back in rotation on ${chain} after error cooldown`);
+      await this.db.updateMinterSigner(signer.address, chain, {
+        status: 'active',
+        paused_reason: null,
+        paused_until: null,
+        consecutive_errors: 0
+      }).catch(error => {
+        console.error('Failed to return signer to rotation:', error);
+      });
+    }
+    return signer;
+  }
+
+  releaseSigner(chain, address) {
+    const key = `${chain}:${address}`;
+    const count = (this.inFlight.get(key) || 1) - 1;
+    if (count > 0) this.inFlight.set(key, count);
+    else this.inFlight.delete(key);
+  }
+
+  /**
+   * Count a failed send or reverted transaction against a signer, pausing
+   * it after too many in a row
+   */
+  async recordError(address, chain, message) {
+    const signer = (await this.db.getMinterSigners(chain)).find(row => row.address === address);
+    if (!signer) return;
+
+    const errors = signer.consecutive_errors + 1;
+    const updates = { consecutive_errors: errors, last_error: message };
+    if (errors >= this.maxConsecutiveErrors && signer.status === 'active') {
+      console.warn(`🚫 Minter ${address} failed ${errors} times in a row on ${chain} - removed from rotation`);
+      Object.assign(updates, {
+        status: 'paused',
+        paused_reason: 'errors',
+        paused_until: new Date(Date.now() + this.errorCooldownMs).toISOString()
+      });
+    }
+    await this.db.updateMinterSigner(address, chain, updates);
+  }
+
+  async recordSuccess(address, chain) {
+    await this.db.updateMinterSigner(address, chain, { consecutive_errors: 0, last_error: null });
+  }
+
+  // Run sends for one signer one at a time
+  serialize(key, task) {
+    const previous = this.sendQueues.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    this.sendQueues.set(key, run);
+    return run.finally(() => {
+      if (this.sendQueues.get(key) === run) this.sendQueues.delete(key);
+    });
+  }
+
+  /**
+   * Next nonce for a signer, reserved with a compare-and-swap on
+   * signer_nonces. The chain's pending count wins if it is ahead (sends made
+   * outside this service); a stored nonce ahead of the chain is a gap left
+   * by failed sends and is reused once nothing in it can still be sent.
+   */
+  async allocateNonce(chain, address) {
+    const provider = this.getProvider(chain);
+
+    for (let attempt = 0; attempt < this.maxNonceAttempts; attempt++) {
+      const [stored, chainNonce] = await Promise.all([
+        this.db.getSignerNonce(address, chain),
+        provider.getTransactionCount(address, 'pending')
+      ]);
+
+      let nonce = Math.max(stored?.next_nonce ?? 0, chainNonce);
+      if (stored && stored.next_nonce > chainNonce && await this.isAbandonedGap(address, chain, chainNonce, stored)) {
+        console.warn(`⚠️ Nonce gap for ${address} on ${chain} - reusing ${chainNonce} (stored ${stored.next_nonce})`);
+        nonce = chainNonce;
+      }
+
+      const reserved = stored
+        ? await this.db.advanceSignerNonce(address, chain, stored.next_nonce, nonce + 1)
+        : await this.db.createSignerNonce(address, chain, nonce + 1);
+
+      if (reserved) return nonce;
+    }
+
+    throw new Error(`Could not reserve a nonce for ${address} on ${chain}`);
+  }
+
+  /**
+   * True when no nonce between the chain's count and the stored one can
+   * still be sent: none is pending and each was recorded as failed. A nonce
+   * with no row yet may belong to a send (on any instance) about to record
+   * it, so it only counts as abandoned once the reservation is old.
+   */
+  async isAbandonedGap(address, chain, chainNonce, stored) {
+    const sends = await this.db.getSignerTransactionNonces(address, chain, chainNonce);
+    if (sends.some(send => send.status === 'pending')) return false;
+
+    const failed = new Set(sends.filter(send => send.status === 'failed').map(send => Number(send.nonce)));
+    for (let nonce = chainNonce; nonce < stored.next_nonce; nonce++) {
+      if (!failed.has(nonce)) {
+        return Date.now() - new Date(stored.updated_at).getTime() > this.nonceReservationTimeoutMs;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Send a populated transaction from the next signer in rotation
+   * @param {string} chain
+   * @param {Object} request - Populated transaction (to, data, gas and fees)
+   * @param {Object} [options]
+   * @param {string} [options.purpose] - e.g. 'mint'
+   * @param {string} [options.claimId] - Claim the transaction is for
+   * @param {Array<string>} [options.claimIds] - Claims a batch transaction is for
+   * @param {string} [options.from] - Send from this address (the vault)
+   *   instead of the rotation
+   * @returns {Object} signer_transactions row
+   */
+  async sendTransaction(chain, request, { purpose = null, claimId = null, claimIds = null, from = null } = {}) {
+    const address = from || (await this.pickSigner(chain)).address;
+    const wallet = this.getWallet(chain, address);
+    const stored = this.serializeRequest(request);
+
+    return this.serialize(`${chain}:${address}`, async () => {
+      const nonce = await this.allocateNonce(chain, address);
+
+      // Recorded before broadcasting so the nonce is accounted for if we crash
+      const row = await this.db.createSignerTransaction({
+        address,
+        chain,
+        nonce,
+        status: 'pending',
+        purpose,
+        claim_id: claimId,
+        claim_ids: claimIds,
+        request: stored,
+        hashes: []
+      });
+
+      let response;
+      try {
+        response = await wallet.sendTransaction({ ...this.deserializeRequest(stored), nonce });
+      } catch (error) {
+        // Nothing was broadcast - the nonce is reused by the next send
+        await this.db.updateSignerTransaction(row.id, { status: 'failed', error_message: error.message });
+        await this.recordError(address, chain, error.message).catch(recordError => {
+          console.error('Failed to record signer error:', recordError);
+        });
+        throw error;
+      }
+      console.log(`📤 Sent ${purpose || 'transaction'} ${response.hash} from ${address} (nonce ${nonce})`);
+
+      this.db.updateMinterSigner(address, chain, { last_used_at: new Date().toISOString() }).catch(error => {
+        console.error('Failed to record signer use:', error);
+      });
+
+      try {
+        return await this.db.updateSignerTransaction(row.id, {
+          current_hash: response.hash,
+          hashes: [this.hashEntry(response.hash, 'original', stored)]
+        });
+      } catch (error) {
+        // On chain already - callers must not fall back to a fresh send
+        error.broadcast = true;
+        error.transactionHash = response.hash;
+        throw error;
+      }
+    }).finally(() => {
+      if (!from) this.releaseSigner(chain, address);
+    });
+  }
+
+  /**
+   * Wait for any hash sent for the transaction's nonce to be mined, speeding
+   * it up while it is stuck
+   * @param {Object} transaction - signer_transactions row
+   * @param {Object} [options]
+   * @param {Function} [options.heartbeat] - Called on every poll; throwing
+   *   stops the wait (the caller no longer owns the send)
+   * @returns {Object} The receipt
+   */
+  async waitForTransaction(transaction, { heartbeat = null } = {}) {
+    const provider = this.getProvider(transaction.chain);
+    const deadline = Date.now() + this.waitTimeoutMs;
+    let current = transaction;
+
+    while (Date.now() < deadline) {
+      if (heartbeat) await heartbeat();
+
+      // Marks the row as waited on and picks up hashes sent from elsewhere
+      // (an admin speed-up or cancel)
+      current = await this.db.updateSignerTransaction(current.id, { waited_at: new Date().toISOString() });
+
+      const mined = await this.findReceipt(current);
+      if (mined) return this.settle(current, mined);
+
+      // The nonce was used by a transaction we didn't record
+      const minedNonce = await provider.getTransactionCount(current.address, 'latest');
+      if (minedNonce > current.nonce) {
+        current = await this.db.getSignerTransaction(current.id);
+        const lateMined = await this.findReceipt(current);
+        if (lateMined) return this.settle(current, lateMined);
+
+        await this.db.updateSignerTransaction(current.id, { status: 'replaced' });
+        throw new Error(`Transaction nonce ${current.nonce} was used by another transaction`);
+      }
+
+      if (this.isStuck(current)) {
+        current = await this.speedUp(current).catch(error => {
+          console.warn(`⚠️ Could not speed up ${current.current_hash}:`, error.message);
+          return current;
+        });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+
+    const error = new Error(`Transaction ${current.current_hash} not mined after ${this.waitTimeoutMs / 1000}s`);
+    error.code = 'TX_PENDING';
+    throw error;
+  }
+
+  /**
+   * Look up receipts for every hash sent for the nonce and record the one
+   * that was mined
+   * @returns {{ entry: Object, receipt: Object }|null}
+   */
+  async findReceipt(transaction) {
+    const provider = this.getProvider(transaction.chain);
+
+    for (const entry of transaction.hashes || []) {
+      const receipt = await provider.getTransactionReceipt(entry.hash);
+      if (!receipt) continue;
+
+      await this.db.updateSignerTransaction(transaction.id, {
+        status: entry.kind === 'cancel' ? 'cancelled' : 'mined',
+        current_hash: entry.hash,
+        block_number: receipt.blockNumber,
+        receipt_status: receipt.status,
+        mined_at: new Date().toISOString()
+      });
+
+      if (entry.kind !== 'cancel') {
+        const recorded = receipt.status === 0
+          ? this.recordError(transaction.address, transaction.chain, `Transaction ${entry.hash} reverted`)
+          : this.recordSuccess(transaction.address, transaction.chain);
+        await recorded.catch(error => {
+          console.error('Failed to record signer health:', error);
+        });
+      }
+      return { entry, receipt };
+    }
+
+    return null;
+  }
+
+  settle(transaction, { entry, receipt }) {
+    if (entry.kind === 'cancel') {
+      throw new Error(`Transaction nonce ${transaction.nonce} was cancelled`);
+    }
+    return receipt;
+  }
+
+  isStuck(transaction) {
+    const lastSend = transaction.hashes?.[transaction.hashes.length - 1];
+    if (!lastSend || transaction.status !== 'pending') return false;
+
+    const speedUps = transaction.hashes.filter(entry => entry.kind === 'speed_up').length;
+    return speedUps < this.maxSpeedUps && Date.now() - new Date(lastSend.sentAt).getTime() > this.stuckAfterMs;
+  }
+
+  /**
+   * Re-send the same transaction with the same nonce and higher fees
+   */
+  async speedUp(transaction) {
+    return this.replace(transaction, 'speed_up');
+  }
+
+  /**
+   * Replace the transaction with an empty transfer to ourselves
+   */
+  async cancel(transaction) {
+    const request = { to: transaction.address, data: '0x', value: 0, gasLimit: 21000 };
+    return this.replace(transaction, 'cancel', request);
+  }
+
+  /**
+   * Send a replacement for the nonce. The row is re-read first so the fees
+   * bump the latest hash sent (from any instance), and the new hash is
+   * appended with a compare-and-swap on current_hash so a replacement sent
+   * at the same time elsewhere is never dropped from hashes.
+   * @param {Object} [request] - Defaults to the stored request (a speed-up)
+   */
+  async replace(row, kind, request = null) {
+    const transaction = await this.db.getSignerTransaction(row.id);
+    if (transaction?.status !== 'pending') {
+      const error = new Error(`Transaction is ${transaction?.status || 'missing'}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    request = request || this.deserializeRequest(transaction.request);
+    const wallet = this.getWallet(transaction.chain, transaction.address);
+    let fees = await this.bumpedFees(transaction);
+
+    // Speed-ups stay within the gas policy; a cancel goes out whatever gas costs
+    if (kind === 'speed_up' && this.gasPolicy) {
+      fees = this.gasPolicy.capReplacementFees(fees, this.minimumReplacementFees(transaction), request.gasLimit);
+      if (!fees) {
+        const error = new Error(`Speeding up nonce ${transaction.nonce} would exceed the gas policy`);
+        error.statusCode = 409;
+        throw error;
+      }
+    }
+
+    const stored = this.serializeRequest({ ...request, ...fees });
+
+    const response = await wallet.sendTransaction({ ...this.deserializeRequest(stored), nonce: transaction.nonce });
+    console.log(`⏫ ${kind === 'cancel' ? 'Cancelled' : 'Sped up'} nonce ${transaction.nonce} with ${response.hash}`);
+
+    // Speed-ups keep the bumped fees so a later bump starts from them
+    const entry = this.hashEntry(response.hash, kind, stored);
+    let latest = transaction;
+    for (let attempt = 0; attempt < this.maxNonceAttempts; attempt++) {
+      const updated = await this.db.replaceSignerTransactionHash(latest.id, latest.current_hash, {
+        current_hash: response.hash,
+        hashes: [...(latest.hashes || []), entry],
+        ...(kind === 'speed_up' && { request: stored })
+      });
+      if (updated) return updated;
+      latest = await this.db.getSignerTransaction(latest.id);
+    }
+
+    const error = new Error(`Could not record ${response.hash} for nonce ${transaction.nonce}`);
+    error.broadcast = true;
+    error.transactionHash = response.hash;
+    throw error;
+  }
+
+  /**
+   * Fees for a replacement: the last fees sent plus the bump, or the
+   * network's current fees if those are higher
+   */
+  async bumpedFees(transaction) {
+    const last = transaction.hashes?.[transaction.hashes.length - 1] || {};
+    const feeData = await this.getProvider(transaction.chain).getFeeData();
+    const bump = value => ethers.BigNumber.from(value).mul(100 + this.feeBumpPercent).div(100);
+    const higher = (a, b) => (a.gt(b) ? a : b);
+
+    if (last.maxFeePerGas || feeData.maxFeePerGas) {
+      return {
+        maxFeePerGas: higher(bump(last.maxFeePerGas || 0), feeData.maxFeePerGas || ethers.constants.Zero),
+        maxPriorityFeePerGas: higher(bump(last.maxPriorityFeePerGas || 0), feeData.maxPriorityFeePerGas || ethers.constants.Zero)
+      };
+    }
+
+    return { gasPrice: higher(bump(last.gasPrice || 0), feeData.gasPrice) };
+  }
+
+  // Nodes reject a replacement that doesn't raise the last fees by 10%
+  minimumReplacementFees(transaction) {
+    const last = transaction.hashes?.[transaction.hashes.length - 1] || {};
+    const minimum = {};
+    for (const field of ['maxFeePerGas', 'gasPrice']) {
+      if (last[field]) minimum[field] = ethers.BigNumber.from(last[field]).mul(110).div(100);
+    }
+    return minimum;
+  }
+
+  hashEntry(hash, kind, request) {
+    return {
+      hash,
+      kind,
+      maxFeePerGas: request.maxFeePerGas || null,
+      maxPriorityFeePerGas: request.maxPriorityFeePerGas || null,
+      gasPrice: request.gasPrice || null,
+      sentAt: new Date().toISOString()
+    };
+  }
+
+  // BigNumbers are stored as decimal strings
+  serializeRequest(request) {
+    const stored = {};
+    for (const field of REQUEST_FIELDS) {
+      const value = request[field];
+      if (value === undefined || value === null) continue;
+      stored[field] = field !== 'type' && (ethers.BigNumber.isBigNumber(value) || typeof value === 'number')
+        ? ethers.BigNumber.from(value).toString()
+        : value;
+    }
+
+    // Fee fields decide the type - a replacement may switch between them
+    if (stored.maxFeePerGas) {
+      delete stored.gasPrice;
+      stored.type = 2;
+    } else {
+      delete stored.type;
+    }
+    return stored;
+  }
+
+  deserializeRequest(stored) {
+    const request = { ...stored };
+    for (const field of ['value', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+      if (request[field] !== undefined) request[field] = ethers.BigNumber.from(request[field]);
+    }
+    return request;
+  }
+
+  /**
+   * A claim's transaction (or a batch it is in) still waiting to be mined,
+   * if any. A row without a hash whose nonce the chain hasn't seen was never
+   * broadcast.
+   */
+  async getPendingTransactionForClaim(claimId) {
+    const transaction = await this.db.getPendingSignerTransactionForClaim(claimId);
+    if (!transaction || transaction.current_hash) return transaction;
+
+    const chainNonce = await this.getProvider(transaction.chain).getTransactionCount(transaction.address, 'pending');
+    if (chainNonce <= transaction.nonce) {
+      await this.db.updateSignerTransaction(transaction.id, { status: 'failed', error_message: 'Never broadcast' });
+      return null;
+    }
+    return transaction;
+  }
+
+  /**
+   * Settle pending transactions nobody is waiting on (e.g. the instance that
+   * sent them was stopped), speed up the stuck ones, fail the ones never
+   * broadcast and refresh stale signer balances
+   * @returns {Object} Counts by outcome
+   */
+  async processPending({ limit = 25 } = {}) {
+    const pending = await this.db.getPendingSignerTransactions({ limit });
+    const summary = { checked: 0, mined: 0, spedUp: 0, abandoned: 0, balancesChecked: 0, errors: 0 };
+
+    // Every chain a collection is minted on, so balances are known before the first mint
+    const targets = (await this.contractRegistry?.listTargets()) || [];
+    const chains = new Set([
+      process.env.THIRDWEB_CHAIN || 'polygon',
+      ...targets.map(target => target.chain),
+      ...this.registeredChains
+    ]);
+    for (const chain of chains) {
+      for (const signer of await this.getSigners(chain)) {
+        if (signer.status === 'disabled' || !this.isBalanceStale(signer)) continue;
+        try {
+          await this.refreshBalance(signer);
+          summary.balancesChecked++;
+        } catch (error) {
+          console.error(`Error checking balance of ${signer.address}:`, error.message);
+          summary.errors++;
+        }
+      }
+    }
+
+    for (const transaction of pending) {
+      if (!transaction.current_hash) {
+        // The send recording it stopped before broadcasting - left pending,
+        // it would keep its nonce from ever counting as an abandoned gap
+        if (this.isAbandonedSend(transaction)) {
+          const failed = await this.db.replaceSignerTransactionHash(transaction.id, null, {
+            status: 'failed',
+            error_message: 'Never broadcast'
+          });
+          if (failed) summary.abandoned++;
+        }
+        continue;
+      }
+      if (this.hasLiveWaiter(transaction)) continue;
+
+      try {
+        summary.checked++;
+        if (await this.findReceipt(transaction)) {
+          summary.mined++;
+        } else if (this.isStuck(transaction)) {
+          await this.speedUp(transaction);
+          summary.spedUp++;
+        }
+      } catch (error) {
+        console.error(`Error checking transaction ${transaction.current_hash}:`, error.message);
+        summary.errors++;
+      }
+    }
+
+    return summary;
+  }
+
+  // A row still without a hash once its nonce reservation has expired
+  isAbandonedSend(transaction) {
+    return Date.now() - new Date(transaction.created_at).getTime() > this.nonceReservationTimeoutMs;
+  }
+
+  // A mint is waiting on the transaction and speeds it up itself
+  hasLiveWaiter(transaction) {
+    if (!transaction.waited_at) return false;
+    return Date.now() - new Date(transaction.waited_at).getTime() < this.waiterTimeoutMs;
+  }
+
+  /**
+   * Take a signer out of rotation (disabled) or put it back (active)
+   */
+  async setSignerStatus(chain, address, status) {
+    await this.getSigners(chain);
+    const updated = await this.db.updateMinterSigner(address, chain, {
+      status,
+      paused_reason: null,
+      paused_until: null,
+      consecutive_errors: 0
+    });
+
+    if (updated) {
+      console.log(`🔧 Minter ${address} set to ${status} on ${chain}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Balances, health and nonces of every signer, for the admin API
+   */
+  async getStatus(chain) {
+    const provider = this.getProvider(chain);
+    const [signers, transactions] = await Promise.all([
+      this.getSigners(chain),
+      this.db.getPendingSignerTransactions({ chain })
+    ]);
+
+    const pool = await Promise.all(signers.map(async signer => {
+      const [stored, latest, pending] = await Promise.all([
+        this.db.getSignerNonce(signer.address, chain),
+        provider.getTransactionCount(signer.address, 'latest'),
+        provider.getTransactionCount(signer.address, 'pending')
+      ]);
+
+      return {
+        address: signer.address,
+        primary: signer.address === this.getAddress(),
+        status: signer.status,
+        inRotation: this.isAvailable(signer),
+        pausedReason: signer.paused_reason,
+        pausedUntil: signer.paused_until,
+        balance: signer.balance_wei !== null ? ethers.utils.formatEther(signer.balance_wei) : null,
+        balanceCheckedAt: signer.balance_checked_at,
+        lowBalance: signer.balance_wei !== null && ethers.BigNumber.from(signer.balance_wei).lt(this.minBalance),
+        consecutiveErrors: signer.consecutive_errors,
+        lastError: signer.last_error,
+        lastUsedAt: signer.last_used_at,
+        nonces: { next: stored?.next_nonce ?? null, mined: latest, pending },
+        pendingTransactions: transactions.filter(transaction => transaction.address === signer.address).length
+      };
+    }));
+
+    return {
+      chain,
+      minBalance: ethers.utils.formatEther(this.minBalance),
+      signers: pool,
+      pendingTransactions: transactions
+    };
+  }
+}
+
+module.exports = SignerService;
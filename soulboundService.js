@@ -0,0 +1,104 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Soulbound Certificates
+ * Product lines can mint on a non-transferable contract variant (the
+ * soulbound flag in collection_contracts). Their owners can't move the
+ * token, so a certificate that has to change hands - a lost wallet, a
+ * resale the house approves - is revoked by an admin, which burns it as
+ * the issuer, and reissued as a new claim for the same unit. The new claim
+ * is emailed to the customer and minted to a fresh wallet when claimed.
+ */
+class SoulboundService {
+  constructor({ db, claimStateMachine, nftMintService, emailService }) {
+    this.db = db;
+    this.claimStateMachine = claimStateMachine;
+    this.nftMintService = nftMintService;
+    this.emailService = emailService;
+  }
+
+  /**
+   * Revoke a confirmed soulbound certificate
+   * @param {Object} claim
+   * @param {Object} options
+   * @param {string} options.reason - Recorded as the revocation reason
+   * @param {boolean} [options.burn] - Burn the token first; false when it is
+   *   already gone from the chain
+   * @returns {Object} The revoked claim
+   * @throws {Error} 409 when the claim isn't a confirmed soulbound certificate
+   */
+  async revoke(claim, { reason, burn = true }) {
+    if (!claim.nft_soulbound) {
+      const error = new Error('Only soulbound certificates can be revoked once minted');
+      error.statusCode = 409;
+      throw error;
+    }
+    if (!this.claimStateMachine.canTransition(claim.claim_status, 'revoked')) {
+      const error = new Error(`Claim is ${claim.claim_status} - a certificate is revoked once its mint is confirmed`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const receipt = burn ? await this.nftMintService.burn(claim) : null;
+
+    const revoked = await this.claimStateMachine.transition(claim, 'revoked', {
+      fields: {
+        revocation_reason: reason,
+        burn_transaction_hash: receipt?.transactionHash || null
+      },
+      reason: 'soulbound_revoked'
+    });
+    if (!revoked) {
+      const error = new Error('Claim status changed - reload and try again');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    console.log(`🚫 Soulbound certificate revoked for claim ${claim.claim_token}${receipt ? ` - burned in ${receipt.transactionHash}` : ''}`);
+    return revoked;
+  }
+
+  /**
+   * Replace a revoked soulbound certificate with a new claim for the same
+   * unit and edition number, and email its claim link
+   * @param {Object} claim - Revoked claim, joined with its order
+   * @param {Object} [options]
+   * @param {string} [options.email] - Send the new claim here instead
+   * @returns {{ claim: Object, emailSent: boolean }} The new pending claim
+   * @throws {Error} 409 when the claim isn't a revoked soulbound certificate
+   *   or has already been reissued
+   */
+  async reissue(claim, { email = null } = {}) {
+    if (!claim.nft_soulbound || claim.claim_status !== 'revoked') {
+      const error = new Error('Only revoked soulbound certificates can be reissued');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const customerEmail = email || claim.customer_email;
+    const reissued = await this.db.createReissuedClaim(claim, customerEmail, uuidv4());
+    if (!reissued) {
+      const error = new Error('Certificate has already been reissued');
+      error.statusCode = 409;
+      throw error;
+    }
+    console.log(`🎫 Claim ${claim.claim_token} reissued as ${reissued.claim_token}`);
+
+    // The new claim exists either way - a failed email can be resent
+    let emailSent = true;
+    try {
+      await this.emailService.sendClaimEmail(customerEmail, reissued.claim_token, {
+        ...claim.orders,
+        product_name: reissued.product_name || claim.orders?.product_name,
+        product_sku: reissued.product_sku || claim.orders?.product_sku
+      });
+    } catch (error) {
+      emailSent = false;
+      console.error(`Failed to email reissued claim ${reissued.claim_token}:`, error.message);
+    }
+
+    return { claim: reissued, emailSent };
+  }
+}
+
+module.exports = SoulboundService;
@@ -0,0 +1,17 @@
+-- Track Shopify order lifecycle (orders/updated, orders/cancelled, refunds/create)
+-- so cancelled or refunded orders can revoke their claims.
+
+alter table orders
+  add column if not exists financial_status text,
+  add column if not exists cancelled_at timestamptz,
+  add column if not exists cancel_reason text,
+  add column if not exists updated_at timestamptz;
+
+-- Pending claims are revoked; minted certificates are flagged for review
+alter table claims
+  add column if not exists revoked_at timestamptz,
+  add column if not exists revocation_reason text,
+  add column if not exists flagged_at timestamptz,
+  add column if not exists flag_reason text;
+
+create index if not exists claims_shopify_order_id_idx on claims (shopify_order_id);
@@ -0,0 +1,29 @@
+-- Ledger of Shopify webhook deliveries, keyed by X-Shopify-Webhook-Id, so
+-- retried deliveries return the original result without side effects.
+
+create table if not exists webhook_deliveries (
+  webhook_id text primary key,
+  topic text not null,
+  shopify_order_id text,
+  status text not null default 'processing'
+    check (status in ('processing', 'completed', 'failed')),
+  attempts integer not null default 1,
+  response jsonb,
+  error_message text,
+  received_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists webhook_deliveries_order_idx
+  on webhook_deliveries (topic, shopify_order_id, status);
+
+-- storeOrder upserts on the Shopify order ID. Earlier redeliveries could
+-- insert the same order more than once - keep the latest row of each.
+-- Claims refer to orders by shopify_order_id, so none are orphaned.
+delete from orders older
+  using orders newer
+  where newer.shopify_order_id = older.shopify_order_id
+    and (newer.created_at, newer.id) > (older.created_at, older.id);
+
+create unique index if not exists orders_shopify_order_id_key
+  on orders (shopify_order_id);
@@ -0,0 +1,24 @@
+-- Dead-letter queue for Shopify deliveries that failed part-way through the
+-- paid-order pipeline. Replays resume from failure_stage using context.
+
+create table if not exists failed_webhooks (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id text,
+  topic text not null,
+  shopify_order_id text,
+  raw_payload text not null,
+  failure_stage text not null
+    check (failure_stage in ('store_order', 'create_claim', 'send_email')),
+  error_message text,
+  context jsonb not null default '{}'::jsonb,
+  status text not null default 'failed'
+    check (status in ('failed', 'replaying', 'replayed')),
+  attempts integer not null default 1,
+  replay_result jsonb,
+  created_at timestamptz not null default now(),
+  last_attempt_at timestamptz,
+  resolved_at timestamptz
+);
+
+create index if not exists failed_webhooks_status_idx
+  on failed_webhooks (status, created_at desc);
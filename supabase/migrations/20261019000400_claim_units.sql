@@ -0,0 +1,14 @@
+-- One claim per eligible line item unit instead of one per order.
+-- Claims created before this migration keep null line_item_id and cover
+-- the whole order.
+
+alter table claims
+  add column if not exists line_item_id text,
+  add column if not exists unit_index integer,
+  add column if not exists unit_count integer,
+  add column if not exists product_name text,
+  add column if not exists product_sku text;
+
+create unique index if not exists claims_order_unit_key
+  on claims (shopify_order_id, line_item_id, unit_index)
+  where line_item_id is not null;
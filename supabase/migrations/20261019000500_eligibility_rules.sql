@@ -0,0 +1,17 @@
+-- Admin-managed NFT eligibility rules, evaluated per line item.
+-- With no enabled rules the built-in defaults apply (product type
+-- "NFT Eligible" or the nft-eligible tag).
+
+create table if not exists nft_eligibility_rules (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  effect text not null default 'include' check (effect in ('include', 'exclude')),
+  enabled boolean not null default true,
+  priority integer not null default 0,
+  -- tags, product_types, vendors, collections, sku_patterns, min_price,
+  -- starts_at, ends_at, excluded_discount_codes
+  conditions jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
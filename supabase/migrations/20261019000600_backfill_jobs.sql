@@ -0,0 +1,25 @@
+-- Admin-triggered backfill of historical Shopify orders. cursor holds the
+-- Admin API page_info of the next page so failed jobs resume where they stopped.
+
+create table if not exists backfill_jobs (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'completed', 'failed')),
+  params jsonb not null,
+  cursor text,
+  pages_processed integer not null default 0,
+  orders_seen integer not null default 0,
+  orders_processed integer not null default 0,
+  orders_skipped integer not null default 0,
+  orders_failed integer not null default 0,
+  claims_created integer not null default 0,
+  errors jsonb not null default '[]'::jsonb,
+  error_message text,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  heartbeat_at timestamptz,
+  finished_at timestamptz
+);
+
+create index if not exists backfill_jobs_status_idx
+  on backfill_jobs (status, created_at desc);
@@ -0,0 +1,19 @@
+-- Per-SKU NFT template and metadata. Orders, certificates and minted metadata
+-- fall back to the house defaults for SKUs without an entry.
+
+create table if not exists product_catalog (
+  sku text primary key,
+  name text,
+  description text,
+  -- Image used as the NFT template (stored on the order as nft_template_url)
+  template_image_url text,
+  -- Certificate base image and per-field text overlay overrides
+  coa_layout jsonb not null default '{}'::jsonb,
+  -- Extra metadata traits, e.g. [{"trait_type": "Material", "value": "Silk"}]
+  attributes jsonb not null default '[]'::jsonb,
+  collection text,
+  chain text,
+  contract_address text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
@@ -0,0 +1,25 @@
+-- Local copy of Shopify products, kept current by products/create and
+-- products/update webhooks and the admin-triggered full sync.
+
+create table if not exists products (
+  shopify_product_id text primary key,
+  title text not null,
+  handle text,
+  description text,
+  vendor text,
+  product_type text,
+  tags text[] not null default '{}',
+  status text,
+  image_url text,
+  -- [{ id, src, alt, position }]
+  images jsonb not null default '[]'::jsonb,
+  material text,
+  -- [{ id, handle, title }]
+  collections jsonb not null default '[]'::jsonb,
+  variant_skus text[] not null default '{}',
+  shopify_updated_at timestamptz,
+  synced_at timestamptz not null default now()
+);
+
+create index if not exists products_variant_skus_idx
+  on products using gin (variant_skus);
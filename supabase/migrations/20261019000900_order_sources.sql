@@ -0,0 +1,13 @@
+-- Orders from Stripe Checkout and WooCommerce share the claim pipeline with
+-- Shopify. Their orders.shopify_order_id holds the internal "<source>:<id>"
+-- key; Shopify orders keep their plain ID.
+
+alter table orders
+  add column if not exists order_source text not null default 'shopify'
+    check (order_source in ('shopify', 'stripe', 'woocommerce'));
+
+-- Replays use the normalized order, so they don't depend on the source's
+-- payload format
+alter table failed_webhooks
+  add column if not exists source text not null default 'shopify',
+  add column if not exists normalized_order jsonb;
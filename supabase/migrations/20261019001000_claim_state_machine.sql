@@ -0,0 +1,37 @@
+-- Claim state machine: pending → processing → minted → confirmed, plus
+-- failed and revoked. Transitions are conditional updates on claim_status;
+-- each one stamps its column and is logged to claim_events.
+
+-- "completed" meant the mint call returned, which is now "minted"
+update claims set claim_status = 'minted' where claim_status = 'completed';
+
+alter table claims
+  add column if not exists status_updated_at timestamptz,
+  add column if not exists processing_started_at timestamptz,
+  add column if not exists minted_at timestamptz,
+  add column if not exists confirmed_at timestamptz,
+  add column if not exists failed_at timestamptz,
+  add column if not exists failure_reason text;
+
+update claims set minted_at = claimed_at where claim_status = 'minted' and minted_at is null;
+
+alter table claims
+  drop constraint if exists claims_claim_status_check;
+alter table claims
+  add constraint claims_claim_status_check
+    check (claim_status in ('pending', 'processing', 'minted', 'confirmed', 'failed', 'revoked'));
+
+create index if not exists claims_processing_idx
+  on claims (processing_started_at)
+  where claim_status = 'processing';
+
+create table if not exists claim_events (
+  id bigint generated always as identity primary key,
+  claim_id uuid not null references claims (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists claim_events_claim_id_idx on claim_events (claim_id, created_at);
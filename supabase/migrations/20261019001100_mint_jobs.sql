@@ -0,0 +1,34 @@
+-- Persisted mint jobs. /api/claim/process locks the claim, queues a job and
+-- returns 202; a worker runs the mint with retries and exponential backoff.
+-- prepared_mint holds the certificate and metadata of the first attempt so
+-- retries mint the same certificate.
+
+create table if not exists mint_jobs (
+  id uuid primary key default gen_random_uuid(),
+  claim_id uuid not null references claims (id) on delete cascade,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  next_attempt_at timestamptz not null default now(),
+  prepared_mint jsonb,
+  result jsonb,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  started_at timestamptz,
+  heartbeat_at timestamptz,
+  finished_at timestamptz
+);
+
+-- One live job per claim
+create unique index if not exists mint_jobs_active_claim_idx
+  on mint_jobs (claim_id)
+  where status in ('queued', 'running');
+
+create index if not exists mint_jobs_due_idx
+  on mint_jobs (next_attempt_at)
+  where status in ('queued', 'running');
+
+create index if not exists mint_jobs_claim_id_idx
+  on mint_jobs (claim_id, created_at desc);
@@ -0,0 +1,18 @@
+-- Mint confirmation tracking. A minted claim is confirmed once its
+-- transaction is MINT_CONFIRMATIONS blocks deep; the receipt is re-read on
+-- every check so reorgs and dropped transactions are caught.
+
+alter table claims
+  add column if not exists nft_network text,
+  add column if not exists nft_contract_address text,
+  add column if not exists mint_block_number bigint,
+  add column if not exists mint_block_hash text,
+  add column if not exists mint_gas_used numeric,
+  add column if not exists mint_effective_gas_price numeric,
+  add column if not exists mint_confirmations integer not null default 0,
+  add column if not exists mint_missing_since timestamptz,
+  add column if not exists confirmation_checked_at timestamptz;
+
+create index if not exists claims_awaiting_confirmation_idx
+  on claims (minted_at)
+  where claim_status = 'minted';
@@ -0,0 +1,38 @@
+-- Shared minter signer. signer_nonces is the persisted nonce allocator
+-- (compare-and-swap on next_nonce); signer_transactions records every send
+-- with each hash broadcast for its nonce, for speed-ups and cancels.
+
+create table if not exists signer_nonces (
+  address text not null,
+  chain text not null,
+  next_nonce bigint not null,
+  updated_at timestamptz not null default now(),
+  primary key (address, chain)
+);
+
+create table if not exists signer_transactions (
+  id uuid primary key default gen_random_uuid(),
+  address text not null,
+  chain text not null,
+  nonce bigint not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'mined', 'cancelled', 'replaced', 'failed')),
+  purpose text,
+  claim_id uuid references claims (id) on delete set null,
+  request jsonb not null,
+  hashes jsonb not null default '[]'::jsonb,
+  current_hash text,
+  block_number bigint,
+  receipt_status integer,
+  error_message text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  mined_at timestamptz
+);
+
+create index if not exists signer_transactions_pending_idx
+  on signer_transactions (address, chain, nonce)
+  where status = 'pending';
+
+create index if not exists signer_transactions_claim_id_idx
+  on signer_transactions (claim_id, created_at desc);
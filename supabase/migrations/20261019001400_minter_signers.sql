@@ -0,0 +1,21 @@
+-- Pool of minter signers. Keys stay in the environment (THIRDWEB_PRIVATE_KEY
+-- plus MINTER_PRIVATE_KEYS); this table tracks each signer's balance and
+-- health per chain, and whether it is in the mint rotation.
+
+create table if not exists minter_signers (
+  address text not null,
+  chain text not null,
+  status text not null default 'active'
+    check (status in ('active', 'paused', 'disabled')),
+  paused_reason text,
+  paused_until timestamptz,
+  -- wei as text - too large for a JSON number
+  balance_wei text,
+  balance_checked_at timestamptz,
+  consecutive_errors integer not null default 0,
+  last_error text,
+  last_used_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (address, chain)
+);
@@ -0,0 +1,5 @@
+-- Gas policy deferrals. A mint job deferred while gas is above the policy
+-- goes back to queued with the prices it saw; cleared once the job sends.
+
+alter table mint_jobs
+  add column if not exists deferral jsonb;
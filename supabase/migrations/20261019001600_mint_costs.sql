@@ -0,0 +1,39 @@
+-- Per-mint gas cost ledger for finance. One row per mint transaction with
+-- its gas, native-token cost and fiat value at mint time; the cost is also
+-- copied onto the claim.
+
+create table if not exists mint_costs (
+  id uuid primary key default gen_random_uuid(),
+  transaction_hash text not null unique,
+  claim_id uuid references claims (id) on delete set null,
+  shopify_order_id text,
+  order_number text,
+  order_source text,
+  product_sku text,
+  product_name text,
+  chain text not null,
+  contract_address text,
+  token_id text,
+  minter_address text,
+  status text not null default 'minted'
+    check (status in ('minted', 'reverted', 'dropped')),
+  gas_used numeric,
+  effective_gas_price numeric,
+  -- wei as text - too large for a JSON number
+  cost_wei text,
+  cost_native numeric,
+  symbol text,
+  native_price numeric,
+  cost_fiat numeric,
+  fiat_currency text,
+  price_source text,
+  minted_at timestamptz not null default now()
+);
+
+create index if not exists mint_costs_minted_at_idx on mint_costs (minted_at);
+create index if not exists mint_costs_claim_id_idx on mint_costs (claim_id);
+
+alter table claims
+  add column if not exists mint_cost_native numeric,
+  add column if not exists mint_cost_fiat numeric,
+  add column if not exists mint_cost_currency text;
@@ -0,0 +1,20 @@
+-- Batch minting. A batch is one signer transaction for several claims, so
+-- the mint cost ledger is unique per claim within a transaction and each
+-- claim records how many mints shared its transaction's gas.
+
+alter table signer_transactions
+  add column if not exists claim_ids uuid[];
+
+create index if not exists signer_transactions_claim_ids_idx
+  on signer_transactions using gin (claim_ids)
+  where status = 'pending';
+
+alter table claims
+  add column if not exists mint_batch_size integer not null default 1;
+
+alter table mint_costs
+  add column if not exists batch_size integer not null default 1,
+  drop constraint if exists mint_costs_transaction_hash_key;
+
+create unique index if not exists mint_costs_transaction_claim_key
+  on mint_costs (transaction_hash, claim_id);
@@ -0,0 +1,28 @@
+-- Vault pre-minting. With VAULT_PREMINT_ENABLED each claim's certificate is
+-- minted to the company vault when the paid order arrives (a vault_mint
+-- job, while the claim is still pending); claiming it is then a transfer
+-- from the vault to the customer's wallet (a vault_transfer job).
+
+alter table mint_jobs
+  add column if not exists kind text not null default 'mint'
+    check (kind in ('mint', 'vault_mint', 'vault_transfer'));
+
+-- queued → minted → transferred. A pre-mint that failed, was skipped (the
+-- customer claimed first) or whose token is gone from the vault leaves the
+-- claim to be minted directly.
+alter table claims
+  add column if not exists vault_status text
+    check (vault_status in ('queued', 'minted', 'transferred', 'failed', 'skipped', 'missing')),
+  add column if not exists vault_token_id text,
+  add column if not exists vault_transaction_hash text,
+  add column if not exists vault_chain text,
+  add column if not exists vault_contract_address text,
+  add column if not exists vault_minted_at timestamptz;
+
+create index if not exists claims_vault_status_idx
+  on claims (vault_status, vault_minted_at)
+  where vault_status is not null;
+
+-- Finance reports split pre-mints and transfers from direct mints
+alter table mint_costs
+  add column if not exists kind text not null default 'mint';
@@ -0,0 +1,21 @@
+-- Chain and contract per product line. A product line is the catalog
+-- entry's collection, or else the title of one of the product's Shopify
+-- collections. SKUs with their own chain/contract_address in
+-- product_catalog keep it; everything else falls back to the default row,
+-- then to THIRDWEB_CHAIN / THIRDWEB_CONTRACT_ADDRESS.
+
+create table if not exists collection_contracts (
+  product_line text primary key,
+  label text,
+  chain text not null,
+  contract_address text not null,
+  is_default boolean not null default false,
+  enabled boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+-- At most one default
+create unique index if not exists collection_contracts_default_idx
+  on collection_contracts (is_default)
+  where is_default;
@@ -0,0 +1,24 @@
+-- Limited editions. A product line can mint on an ERC-1155 contract and cap
+-- its certificates at edition_size, numbered "7 of 50". Each certificate is
+-- its own ERC-1155 token (supply 1) so it carries its own edition number.
+--
+-- Numbers are allocated to the claim when it is processed (or pre-minted)
+-- and kept by it for good - the unique index is the hard cap's guard
+-- against two claims taking the same number.
+
+alter table collection_contracts
+  add column if not exists token_standard text not null default 'erc721'
+    check (token_standard in ('erc721', 'erc1155')),
+  add column if not exists edition_size integer
+    check (edition_size is null or edition_size > 0);
+
+alter table claims
+  add column if not exists nft_token_standard text not null default 'erc721',
+  add column if not exists edition_product_line text,
+  add column if not exists edition_number integer,
+  add column if not exists edition_size integer,
+  add column if not exists edition_allocated_at timestamptz;
+
+create unique index if not exists claims_edition_number_idx
+  on claims (edition_product_line, edition_number)
+  where edition_number is not null;
@@ -0,0 +1,31 @@
+-- Soulbound certificates. A product line can mint on a non-transferable
+-- contract variant; the contract enforces it, soulbound tells us which
+-- contracts are that variant. The owner can't move a soulbound token, so
+-- an admin revokes it (burning it as the issuer) and reissues the
+-- certificate as a new claim for the same unit (and edition number).
+
+alter table collection_contracts
+  add column if not exists soulbound boolean not null default false;
+
+alter table claims
+  add column if not exists nft_soulbound boolean not null default false,
+  add column if not exists burn_transaction_hash text,
+  add column if not exists reissued_from_claim_id uuid references claims (id),
+  add column if not exists reissued_at timestamptz;
+
+-- A reissue shares its unit with the claim it replaces
+drop index if exists claims_order_unit_key;
+create unique index if not exists claims_order_unit_key
+  on claims (shopify_order_id, line_item_id, unit_index)
+  where line_item_id is not null and reissued_from_claim_id is null;
+
+-- A reissue keeps the edition number of the claim it replaces
+drop index if exists claims_edition_number_idx;
+create unique index if not exists claims_edition_number_idx
+  on claims (edition_product_line, edition_number)
+  where edition_number is not null and claim_status <> 'revoked';
+
+-- A claim is reissued at most once
+create unique index if not exists claims_reissued_from_key
+  on claims (reissued_from_claim_id)
+  where reissued_from_claim_id is not null;
@@ -0,0 +1,32 @@
+-- Token metadata served from GET /metadata/:contract/:tokenId. The metadata
+-- frozen at mint is the base; ownership history, service records and
+-- warranty status are added from here so they can change after minting.
+
+alter table claims
+  add column if not exists warranty_status text
+    check (warranty_status is null or warranty_status in ('active', 'expired', 'void')),
+  add column if not exists warranty_expires_at timestamptz,
+  add column if not exists metadata_updated_at timestamptz;
+
+-- Ownership changes recorded by an admin (resales, gifts) and service work
+create table if not exists certificate_records (
+  id bigint generated always as identity primary key,
+  claim_id uuid not null references claims (id) on delete cascade,
+  record_type text not null check (record_type in ('ownership', 'service')),
+  title text not null,
+  details text,
+  wallet_address text,
+  occurred_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists certificate_records_claim_id_idx
+  on certificate_records (claim_id, occurred_at);
+
+-- Metadata lookups by token id, minted or held in the vault
+create index if not exists claims_nft_token_id_idx
+  on claims (nft_token_id)
+  where nft_token_id is not null;
+create index if not exists claims_vault_token_id_idx
+  on claims (vault_token_id)
+  where vault_token_id is not null;
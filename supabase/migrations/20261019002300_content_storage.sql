@@ -0,0 +1,11 @@
+-- Content-addressed copies of each certificate. With CONTENT_STORE set the
+-- rendered CoA image and the metadata JSON are stored by CID (IPFS, or a
+-- local directory in development) and the token is minted with the stored
+-- metadata's URI. The SHA-256 of each file is kept alongside its CID.
+
+alter table claims
+  add column if not exists content_store text,
+  add column if not exists coa_image_cid text,
+  add column if not exists coa_image_sha256 text,
+  add column if not exists metadata_cid text,
+  add column if not exists metadata_sha256 text;
@@ -0,0 +1,14 @@
+-- GET /content/:cid serves only CIDs recorded on a claim, and as the type
+-- recorded for them rather than whatever the store or gateway reports.
+-- Metadata is always JSON; the image's type is kept when it is stored.
+
+alter table claims
+  add column if not exists coa_image_content_type text;
+
+create index if not exists claims_coa_image_cid_idx
+  on claims (coa_image_cid)
+  where coa_image_cid is not null;
+
+create index if not exists claims_metadata_cid_idx
+  on claims (metadata_cid)
+  where metadata_cid is not null;
@@ -0,0 +1,6 @@
+-- A webhook delivery left processing by a request that died part-way
+-- through is taken over by a retry once it hasn't been updated for a while.
+-- updated_at is when the delivery was last started, completed or failed.
+
+alter table webhook_deliveries
+  add column if not exists updated_at timestamptz not null default now();
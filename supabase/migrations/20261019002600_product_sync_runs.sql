@@ -0,0 +1,21 @@
+-- Full Shopify product syncs. Each run pages through the Admin API a few
+-- pages at a time (one serverless request each); cursor holds the page_info
+-- of the next page so the scheduled worker continues where a run stopped.
+
+create table if not exists product_sync_runs (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'completed', 'failed')),
+  cursor text,
+  pages_processed integer not null default 0,
+  synced integer not null default 0,
+  failed integer not null default 0,
+  error_message text,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  heartbeat_at timestamptz,
+  finished_at timestamptz
+);
+
+create index if not exists product_sync_runs_status_idx
+  on product_sync_runs (status, created_at desc);
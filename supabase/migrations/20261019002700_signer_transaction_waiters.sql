@@ -0,0 +1,6 @@
+-- waited_at is refreshed on every poll while a mint waits on the
+-- transaction. The scheduled worker leaves a transaction with a recent
+-- waited_at to its waiter instead of speeding it up as well.
+
+alter table signer_transactions
+  add column if not exists waited_at timestamptz;
@@ -0,0 +1,7 @@
+-- Each attempt at a mint job takes a new lease_id. The worker renews the
+-- job's heartbeat with its lease before every send and while it waits on
+-- the transaction, so a worker whose job was taken over as stale finds out
+-- and doesn't send it a second time.
+
+alter table mint_jobs
+  add column if not exists lease_id uuid;
@@ -0,0 +1,13 @@
+-- Collection memberships for a full product sync are walked a page at a
+-- time within the same per-run page budget as products, and kept on the run
+-- until it finishes. collection_cursor is where the walk continues: a
+-- collection listing ({ type, pageInfo }) or a collection's products
+-- ({ index, pageInfo }).
+
+alter table product_sync_runs
+  -- [{ id, handle, title }]
+  add column if not exists collections jsonb not null default '[]'::jsonb,
+  -- productId → [{ id, handle, title }]
+  add column if not exists memberships jsonb not null default '{}'::jsonb,
+  add column if not exists collection_cursor jsonb,
+  add column if not exists memberships_ready boolean not null default false;
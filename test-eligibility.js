@@ -0,0 +1,80 @@
+// test-eligibility.js - Run this locally to exercise the eligibility rules
+// against synced products and orders from each source (no database needed)
+const EligibilityService = require('./eligibilityService');
+const ProductSyncService = require('./productSyncService');
+
+// One synced Shopify product, tagged for a certificate
+const PRODUCTS = {
+  7: { shopify_product_id: '7', tags: ['nft-eligible'], product_type: 'Bags', vendor: 'Mavire Codoir', collections: [] }
+};
+
+async function runEligibilityTest() {
+  console.log('🧪 Starting eligibility test with the default rules...\n');
+
+  const failures = [];
+  const expect = (label, actual, expected) => {
+    const passed = JSON.stringify(actual) === JSON.stringify(expected);
+    console.log(`${passed ? '✅' : '❌'} ${label}: ${JSON.stringify(actual)}`);
+    if (!passed) failures.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  };
+
+  try {
+    const db = {
+      getEligibilityRules: async () => [],
+      getProduct: async productId => PRODUCTS[productId] || null
+    };
+    const productSyncService = new ProductSyncService({ db, shopifyAdminClient: {} });
+    const eligibilityService = new EligibilityService({
+      db,
+      productResolver: (item, order) => productSyncService.resolveProductAttributes(item, order)
+    });
+    const eligibleIds = async order => (await eligibilityService.evaluateOrder(order)).eligibleLineItems.map(item => item.id);
+
+    // Shopify line items carry no tags - the synced product's are used
+    expect('Shopify item takes its synced product\'s tags', await eligibleIds({
+      source: 'shopify',
+      line_items: [{ id: 1, product_id: 7, name: 'Leather Tote' }]
+    }), [1]);
+
+    // Raw Shopify payloads (backfill, dry-runs) have no source
+    expect('Raw Shopify payload is looked up too', await eligibleIds({
+      line_items: [{ id: 2, product_id: 7, name: 'Leather Tote' }]
+    }), [2]);
+
+    // A Stripe product ID that happens to equal a Shopify one is not looked up
+    expect('Stripe item ignores a colliding Shopify product', await eligibleIds({
+      source: 'stripe',
+      line_items: [{ id: 'li_1', product_id: '7', name: 'Gift Card' }]
+    }), []);
+    expect('Stripe item uses its own attributes', await eligibleIds({
+      source: 'stripe',
+      line_items: [{ id: 'li_2', product_id: '7', name: 'Silk Scarf', product_type: 'NFT Eligible' }]
+    }), ['li_2']);
+
+    // An exclude rule on a discount code excludes only orders that used it
+    const excludeCode = [{ id: 'staff', name: 'Staff discount', effect: 'exclude', conditions: { discount_codes: ['STAFF50'] } }];
+    const withCode = await eligibilityService.evaluateOrder({
+      discount_codes: [{ code: 'staff50' }],
+      line_items: [{ id: 3, name: 'Silk Scarf', product_type: 'NFT Eligible' }]
+    }, { rules: excludeCode });
+    const withoutCode = await eligibilityService.evaluateOrder({
+      discount_codes: [],
+      line_items: [{ id: 4, name: 'Silk Scarf', product_type: 'NFT Eligible' }]
+    }, { rules: excludeCode });
+    expect('Order using the code is excluded', withCode.eligible, false);
+    expect('Order without the code stays eligible', withoutCode.eligible, true);
+
+    if (failures.length > 0) {
+      failures.forEach(failure => console.error(`❌ ${failure}`));
+      process.exitCode = 1;
+    } else {
+      console.log('\n🎉 Eligibility test completed successfully!');
+    }
+  } catch (error) {
+    console.error('\n💥 Eligibility test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+runEligibilityTest();
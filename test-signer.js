@@ -0,0 +1,259 @@
+// test-signer.js - Run this locally to exercise the minter signer's nonce
+// allocation, send and replacement handling against a stand-in chain (no RPC
+// node or database needed)
+const { ethers } = require('ethers');
+const SignerService = require('./signerService');
+
+const CHAIN = 'polygon';
+
+// Keeps signer_nonces, signer_transactions and minter_signers in memory
+// instead of Supabase. Rows are copied in and out like database rows.
+function createInMemoryDb() {
+  const nonces = new Map();
+  const transactions = new Map();
+  const signers = new Map();
+  let nextId = 1;
+
+  // Lets concurrent callers interleave the way separate queries would
+  const roundTrip = value => new Promise(resolve => setImmediate(() => resolve(value)));
+  const copy = row => (row ? JSON.parse(JSON.stringify(row)) : null);
+
+  return {
+    transactions,
+
+    getSignerNonce: async (address, chain) => roundTrip(copy(nonces.get(`${chain}:${address}`))),
+    createSignerNonce: async (address, chain, nextNonce) => {
+      await roundTrip();
+      const key = `${chain}:${address}`;
+      if (nonces.has(key)) return false;
+      nonces.set(key, { address, chain, next_nonce: nextNonce, updated_at: new Date().toISOString() });
+      return true;
+    },
+    advanceSignerNonce: async (address, chain, expectedNonce, nextNonce) => {
+      await roundTrip();
+      const row = nonces.get(`${chain}:${address}`);
+      if (!row || row.next_nonce !== expectedNonce) return false;
+      Object.assign(row, { next_nonce: nextNonce, updated_at: new Date().toISOString() });
+      return true;
+    },
+    getSignerTransactionNonces: async (address, chain, fromNonce) => roundTrip([...transactions.values()]
+      .filter(row => row.address === address && row.chain === chain && row.nonce >= fromNonce)
+      .map(row => ({ nonce: row.nonce, status: row.status }))),
+
+    createSignerTransaction: async transaction => {
+      await roundTrip();
+      const row = { id: `tx-${nextId++}`, current_hash: null, created_at: new Date().toISOString(), ...copy(transaction) };
+      transactions.set(row.id, row);
+      return copy(row);
+    },
+    getSignerTransaction: async transactionId => roundTrip(copy(transactions.get(transactionId))),
+    getPendingSignerTransactions: async ({ chain = null, limit = 50 } = {}) => roundTrip([...transactions.values()]
+      .filter(row => row.status === 'pending' && (!chain || row.chain === chain))
+      .sort((a, b) => a.nonce - b.nonce)
+      .slice(0, limit)
+      .map(copy)),
+    updateSignerTransaction: async (transactionId, fields) => {
+      await roundTrip();
+      return copy(Object.assign(transactions.get(transactionId), copy(fields)));
+    },
+    replaceSignerTransactionHash: async (transactionId, expectedHash, fields) => {
+      await roundTrip();
+      const row = transactions.get(transactionId);
+      if (row.current_hash !== expectedHash) return null;
+      return copy(Object.assign(row, copy(fields)));
+    },
+
+    registerMinterSigners: async (addresses, chain) => {
+      for (const address of addresses) {
+        const key = `${chain}:${address}`;
+        if (!signers.has(key)) signers.set(key, { address, chain, status: 'active', consecutive_errors: 0 });
+      }
+    },
+    getMinterSigners: async chain => [...signers.values()].filter(row => row.chain === chain).map(copy),
+    updateMinterSigner: async (address, chain, updates) => copy(Object.assign(signers.get(`${chain}:${address}`), updates))
+  };
+}
+
+// A chain that keeps what was broadcast for each nonce. Sends can be made to
+// fail before broadcast, and a replacement can be mined in place of the
+// transaction it replaces.
+function createStandInChain() {
+  const pool = new Map();
+  const receipts = new Map();
+  const minedCount = new Map();
+  let failNextSend = false;
+  let mineReplacements = false;
+  let nextHash = 1;
+
+  const mine = ({ from, nonce, hash }) => {
+    receipts.set(hash, { status: 1, transactionHash: hash, blockNumber: 100 + nonce, logs: [] });
+    minedCount.set(from, Math.max(minedCount.get(from) || 0, nonce + 1));
+  };
+
+  const provider = {
+    getTransactionCount: async (address, blockTag) => {
+      let count = minedCount.get(address) || 0;
+      if (blockTag === 'pending') {
+        while (pool.has(`${address}:${count}`)) count++;
+      }
+      return count;
+    },
+    getTransactionReceipt: async hash => receipts.get(hash) || null,
+    getFeeData: async () => ({
+      maxFeePerGas: ethers.utils.parseUnits('50', 'gwei'),
+      maxPriorityFeePerGas: ethers.utils.parseUnits('30', 'gwei')
+    }),
+    getBalance: async () => ethers.utils.parseEther('10')
+  };
+
+  const wallet = from => ({
+    sendTransaction: async ({ nonce }) => {
+      if (failNextSend) {
+        failNextSend = false;
+        throw new Error('insufficient funds for intrinsic transaction cost');
+      }
+
+      const hash = ethers.utils.hexZeroPad(ethers.utils.hexlify(nextHash++), 32);
+      const key = `${from}:${nonce}`;
+      const replaced = pool.has(key);
+      pool.set(key, [...(pool.get(key) || []), hash]);
+      if (replaced && mineReplacements) mine({ from, nonce, hash });
+      return { hash };
+    }
+  });
+
+  return {
+    provider,
+    wallet,
+    receipts,
+    failNextSend: () => { failNextSend = true; },
+    mineReplacements: () => { mineReplacements = true; },
+    mineAll: () => {
+      for (const [key, hashes] of pool) {
+        const [from, nonce] = key.split(':');
+        if (!receipts.has(hashes[0])) mine({ from, nonce: Number(nonce), hash: hashes[0] });
+      }
+    }
+  };
+}
+
+// Each service stands in for a separate instance sharing the database
+function createSignerService(db, chain) {
+  const signerService = new SignerService({ db });
+  signerService.providers.set(CHAIN, chain.provider);
+  signerService.wallets.set(`${CHAIN}:${signerService.getAddress()}`, chain.wallet(signerService.getAddress()));
+  signerService.pollIntervalMs = 10;
+  signerService.waitTimeoutMs = 2000;
+  return signerService;
+}
+
+const request = { to: '0x000000000000000000000000000000000000dEaD', data: '0x', gasLimit: 100000, maxFeePerGas: 1000000000, maxPriorityFeePerGas: 1000000000 };
+
+async function runSignerTest() {
+  console.log('🧪 Starting signer test against a local chain stand-in...\n');
+
+  process.env.THIRDWEB_PRIVATE_KEY = ethers.Wallet.createRandom().privateKey;
+  delete process.env.MINTER_PRIVATE_KEYS;
+  delete process.env.VAULT_PRIVATE_KEY;
+
+  const failures = [];
+  const expect = (label, actual, expected) => {
+    const passed = JSON.stringify(actual) === JSON.stringify(expected);
+    console.log(`${passed ? '✅' : '❌'} ${label}: ${JSON.stringify(actual)}`);
+    if (!passed) failures.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  };
+
+  try {
+    // Nonces reserved at once - none recorded yet - are never handed out twice
+    const reserving = createInMemoryDb();
+    const reservingChain = createStandInChain();
+    const reservers = [createSignerService(reserving, reservingChain), createSignerService(reserving, reservingChain)];
+    const reserved = await Promise.all([0, 1, 2, 3].map(index =>
+      reservers[index % 2].allocateNonce(CHAIN, reservers[0].getAddress())
+    ));
+    expect('Concurrent allocations get distinct nonces', reserved.sort((a, b) => a - b), [0, 1, 2, 3]);
+
+    const db = createInMemoryDb();
+    const chain = createStandInChain();
+    const instances = [createSignerService(db, chain), createSignerService(db, chain)];
+
+    // Two instances sending at once never share a nonce
+    const sent = await Promise.all([0, 1, 2, 3, 4, 5].map(index =>
+      instances[index % 2].sendTransaction(CHAIN, request, { purpose: 'mint', claimId: `claim-${index}` })
+    ));
+    expect('Concurrent sends get distinct nonces', sent.map(row => row.nonce).sort((a, b) => a - b), [0, 1, 2, 3, 4, 5]);
+    chain.mineAll();
+
+    // A send that fails before broadcast leaves its nonce to the next send
+    chain.failNextSend();
+    const failed = await instances[0].sendTransaction(CHAIN, request, { purpose: 'mint', claimId: 'claim-failed' })
+      .then(() => null, error => error.message);
+    expect('Send fails before broadcast', failed, 'insufficient funds for intrinsic transaction cost');
+
+    const retried = await instances[1].sendTransaction(CHAIN, request, { purpose: 'mint', claimId: 'claim-failed' });
+    expect('Failed send\'s nonce is reused', retried.nonce, 6);
+
+    const failedRow = [...db.transactions.values()].find(row => row.status === 'failed');
+    expect('Failed send is recorded', failedRow && { nonce: failedRow.nonce, hashes: failedRow.hashes }, { nonce: 6, hashes: [] });
+    chain.mineAll();
+
+    // A stuck send is sped up and the replacement, not the original, is mined
+    instances[0].stuckAfterMs = 0;
+    chain.mineReplacements();
+    const stuck = await instances[0].sendTransaction(CHAIN, request, { purpose: 'mint', claimId: 'claim-stuck' });
+    const receipt = await instances[0].waitForTransaction(stuck);
+    const settled = await db.getSignerTransaction(stuck.id);
+
+    expect('Stuck send keeps its nonce', stuck.nonce, 7);
+    expect('Replacement was sent', settled.hashes.map(entry => entry.kind), ['original', 'speed_up']);
+    expect('Receipt is the replacement\'s', receipt.transactionHash, settled.hashes[1].hash);
+    expect('Original hash was never mined', chain.receipts.has(stuck.current_hash), false);
+    expect('Recorded as mined with the replacement hash', { status: settled.status, current_hash: settled.current_hash },
+      { status: 'mined', current_hash: settled.hashes[1].hash });
+
+    // Two instances speeding up the same row at once both keep their hash
+    const racing = createInMemoryDb();
+    const racingChain = createStandInChain();
+    const racers = [createSignerService(racing, racingChain), createSignerService(racing, racingChain)];
+    const raced = await racers[0].sendTransaction(CHAIN, request, { purpose: 'mint', claimId: 'claim-raced' });
+    await Promise.all(racers.map(racer => racer.speedUp(raced)));
+    const racedRow = await racing.getSignerTransaction(raced.id);
+    expect('Concurrent speed-ups both recorded', racedRow.hashes.map(entry => entry.kind), ['original', 'speed_up', 'speed_up']);
+    racingChain.mineAll();
+
+    // The scheduled worker leaves a transaction a mint is waiting on to it
+    racers[1].stuckAfterMs = 0;
+    const waited = await racers[0].sendTransaction(CHAIN, request, { purpose: 'mint', claimId: 'claim-waited' });
+    await racing.updateSignerTransaction(waited.id, { waited_at: new Date().toISOString() });
+    const worker = await racers[1].processPending();
+    expect('Waited-on transaction not sped up by the worker', worker.spedUp, 0);
+    expect('Waited-on transaction keeps one hash', (await racing.getSignerTransaction(waited.id)).hashes.length, 1);
+
+    // A send that stopped before broadcasting is failed and its nonce reused
+    const crashed = createInMemoryDb();
+    const crashedChain = createStandInChain();
+    const restarted = createSignerService(crashed, crashedChain);
+    const address = restarted.getAddress();
+    const abandonedNonce = await restarted.allocateNonce(CHAIN, address);
+    const abandoned = await crashed.createSignerTransaction({ address, chain: CHAIN, nonce: abandonedNonce, status: 'pending', hashes: [] });
+    await crashed.updateSignerTransaction(abandoned.id, { created_at: new Date(Date.now() - 5 * 60 * 1000).toISOString() });
+    const cleanup = await restarted.processPending();
+    expect('Never-broadcast send is failed by the worker', { abandoned: cleanup.abandoned, status: (await crashed.getSignerTransaction(abandoned.id)).status },
+      { abandoned: 1, status: 'failed' });
+    const reused = await restarted.sendTransaction(CHAIN, request, { purpose: 'mint', claimId: 'claim-reused' });
+    expect('Abandoned nonce is reused', reused.nonce, abandonedNonce);
+
+    if (failures.length > 0) {
+      failures.forEach(failure => console.error(`❌ ${failure}`));
+      process.exitCode = 1;
+    } else {
+      console.log('\n🎉 Signer test completed successfully!');
+    }
+  } catch (error) {
+    console.error('\n💥 Signer test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+runSignerTest();
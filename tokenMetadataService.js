@@ -0,0 +1,84 @@
+const { buildTokenMetadata } = require('./nftMetadataBuilder');
+
+/**
+ * Token Metadata
+ * Serves token metadata from the database at /metadata/:contract/:tokenId,
+ * so ownership history, service records and warranty status stay current
+ * after minting. A contract reads it once its token URIs point here - set
+ * per token (setTokenURI) or for the whole contract (setBaseURI) by an admin.
+ */
+class TokenMetadataService {
+  constructor({ db, signerService, nftMintService, contractRegistry }) {
+    this.db = db;
+    this.signerService = signerService;
+    this.nftMintService = nftMintService;
+    this.contractRegistry = contractRegistry;
+  }
+
+  /**
+   * Where a token's metadata is served - the contract's base URI when no
+   * tokenId is given
+   * @param {string} baseUrl - This API's public URL (METADATA_BASE_URL)
+   */
+  metadataUrl(baseUrl, contractAddress, tokenId = '') {
+    return `${baseUrl.replace(/\/$/, '')}/metadata/${contractAddress}/${tokenId}`;
+  }
+
+  /**
+   * Current metadata for a token
+   * @param {string} contractAddress
+   * @param {string} tokenId
+   * @returns {Object|null} null when no claim holds the token
+   */
+  async getTokenMetadata(contractAddress, tokenId) {
+    const address = contractAddress.toLowerCase();
+    const claims = await this.db.getClaimsByTokenId(tokenId);
+    const claim = claims.find(row =>
+      (row.nft_token_id === tokenId && row.nft_contract_address?.toLowerCase() === address) ||
+      (row.vault_token_id === tokenId && row.vault_contract_address?.toLowerCase() === address));
+    if (!claim) return null;
+
+    // Pre-minted tokens still in the vault keep their metadata on the pre-mint job
+    const base = claim.metadata?.nft_metadata ||
+      (await this.db.getLatestMintJobForClaim(claim.id, { kind: 'vault_mint' }))?.prepared_mint?.metadata;
+    if (!base) return null;
+
+    const records = await this.db.getCertificateRecords(claim.id);
+    return buildTokenMetadata({ base, claim, records, vaultAddress: this.signerService.getVaultAddress() });
+  }
+
+  // Chain of a registered contract, else the default chain
+  async chainFor(contractAddress) {
+    const targets = await this.contractRegistry.listTargets();
+    const target = targets.find(entry => entry.contractAddress?.toLowerCase() === contractAddress.toLowerCase());
+    return target?.chain || (await this.contractRegistry.getDefault()).chain;
+  }
+
+  /**
+   * Point one token's URI at a new location on chain
+   * @returns {{ transactionHash: string, uri: string }}
+   */
+  async setTokenUri({ chain, contractAddress, tokenId, uri }) {
+    const contract = await this.signerService.getContract(chain, contractAddress, this.signerService.getAddress());
+    console.log(`🔗 Setting token URI of ${contractAddress} #${tokenId} on ${chain}:`, uri);
+    const receipt = await this.nftMintService.sendAsIssuer(chain, contract.prepare('setTokenURI', [tokenId, uri]), {
+      purpose: 'set_token_uri'
+    });
+    return { transactionHash: receipt.transactionHash, uri };
+  }
+
+  /**
+   * Point every token of a contract at {uri}{tokenId}
+   * @returns {{ transactionHash: string, uri: string }}
+   */
+  async setBaseUri({ chain, contractAddress, uri }) {
+    const contract = await this.signerService.getContract(chain, contractAddress, this.signerService.getAddress());
+    console.log(`🔗 Setting base URI of ${contractAddress} on ${chain}:`, uri);
+    const receipt = await this.nftMintService.sendAsIssuer(chain, contract.prepare('setBaseURI', [uri]), {
+      purpose: 'set_base_uri'
+    });
+    return { transactionHash: receipt.transactionHash, uri };
+  }
+}
+
+module.exports = TokenMetadataService;
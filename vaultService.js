@@ -0,0 +1,154 @@
+const { ethers } = require('ethers');
+
+const VAULT_STATUSES = ['queued', 'minted', 'transferred', 'failed', 'skipped', 'missing'];
+
+/**
+ * Custody Vault
+ * With VAULT_PREMINT_ENABLED=true (and VAULT_PRIVATE_KEY set) each claim's
+ * certificate is minted to the company vault as soon as the paid order
+ * arrives. Processing the claim then transfers that token to the customer's
+ * wallet instead of minting (see MintJobQueue.enqueueClaim).
+ *
+ * Tokens stay in the vault until claimed, so the vault's holdings are
+ * reported here: counts by vault status, and the unclaimed tokens with how
+ * long they have been waiting.
+ */
+class VaultService {
+  constructor({ db, signerService, mintJobQueue, contractRegistry, editionAllocator = null }) {
+    this.db = db;
+    this.signerService = signerService;
+    this.mintJobQueue = mintJobQueue;
+    this.contractRegistry = contractRegistry;
+    this.editionAllocator = editionAllocator;
+  }
+
+  isEnabled() {
+    return process.env.VAULT_PREMINT_ENABLED === 'true' && Boolean(this.signerService.getVaultAddress());
+  }
+
+  /**
+   * Queue a pre-mint for each new claim. Limited-edition claims are numbered
+   * first, and a sold-out edition isn't pre-minted at all. Soulbound
+   * certificates can't leave the vault, so they aren't either.
+   * Safe to call again for the same claims: a claim already pre-minted is
+   * skipped and a pre-mint job still queued or running is reused. A failed
+   * or called-off pre-mint is queued again.
+   * @param {Array} claims - Claim rows still pending
+   * @returns {number} Pre-mints queued
+   * @throws {Error} When a pre-mint can't be queued, after queueing the rest
+   */
+  async premint(claims) {
+    if (!this.isEnabled()) return 0;
+
+    let queued = 0;
+    const failures = [];
+    for (const claim of claims) {
+      try {
+        if (claim.vault_status === 'minted') continue;
+
+        const target = await this.contractRegistry.resolveClaim(claim);
+        if (target.soulbound) continue;
+
+        await this.editionAllocator?.allocate(claim);
+        const latest = await this.db.getLatestMintJobForClaim(claim.id, { kind: 'vault_mint' });
+        const job = ['queued', 'running'].includes(latest?.status)
+          ? latest
+          : await this.mintJobQueue.enqueue(claim, { kind: 'vault_mint' });
+        await this.db.updateClaimVault(claim.id, { vault_status: 'queued' });
+        this.mintJobQueue.kick(job);
+        queued++;
+      } catch (error) {
+        if (error.code === 'EDITION_SOLD_OUT') {
+          console.log(`ℹ️ Not pre-minting claim ${claim.claim_token}: ${error.message}`);
+          continue;
+        }
+
+        console.error(`Failed to queue vault pre-mint for claim ${claim.claim_token}:`, error.message);
+        failures.push(claim.claim_token);
+      }
+    }
+
+    if (queued > 0) {
+      console.log(`🏦 Queued ${queued} vault pre-mint(s)`);
+    }
+    if (failures.length > 0) {
+      throw new Error(`Failed to queue vault pre-mint for claim(s): ${failures.join(', ')}`);
+    }
+    return queued;
+  }
+
+  /**
+   * Vault address, gas balance, tokens held on chain and claims by vault status
+   * @param {string} chain
+   * @param {string} contractAddress
+   */
+  async getInventory(chain, contractAddress) {
+    const address = this.signerService.getVaultAddress();
+    if (!address) {
+      const error = new Error('VAULT_PRIVATE_KEY is not configured');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const [balance, heldOnChain, ...counts] = await Promise.all([
+      this.signerService.getProvider(chain).getBalance(address),
+      this.signerService.getContract(chain, contractAddress)
+        .then(contract => contract.erc721.balanceOf(address))
+        .catch(error => {
+          console.warn('⚠️ Could not read vault token balance:', error.message);
+          return null;
+        }),
+      ...VAULT_STATUSES.map(status => this.db.countClaimsByVaultStatus(status))
+    ]);
+
+    const claims = Object.fromEntries(VAULT_STATUSES.map((status, index) => [status, counts[index]]));
+
+    return {
+      enabled: this.isEnabled(),
+      address,
+      chain,
+      contractAddress,
+      balance: ethers.utils.formatEther(balance),
+      tokensOnChain: heldOnChain === null ? null : heldOnChain.toString(),
+      // Pre-mints on this contract not tracked by any claim (e.g. minted
+      // by hand, or lost from a send that was never recorded)
+      untrackedTokens: heldOnChain === null ? null : Math.max(heldOnChain.toNumber() - claims.minted, 0),
+      claims
+    };
+  }
+
+  /**
+   * Tokens held in the vault for claims that haven't been claimed, oldest
+   * first. Claims revoked or expired since keep their token in the vault.
+   * @param {Object} [options]
+   * @param {number} [options.olderThanDays] - Only tokens pre-minted at least this long ago
+   * @param {number} [options.limit]
+   */
+  async getUnclaimed({ olderThanDays = 0, limit = 500 } = {}) {
+    const mintedBefore = olderThanDays > 0
+      ? new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+    const claims = await this.db.getVaultClaims({ statuses: ['minted'], mintedBefore, limit });
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    return claims.map(claim => ({
+      claimId: claim.id,
+      claimToken: claim.claim_token,
+      customerEmail: claim.customer_email,
+      claimStatus: claim.claim_status,
+      expired: new Date(claim.expires_at).getTime() < Date.now(),
+      orderNumber: claim.orders?.shopify_order_number || null,
+      productSku: claim.product_sku,
+      productName: claim.product_name,
+      tokenId: claim.vault_token_id,
+      chain: claim.vault_chain,
+      contractAddress: claim.vault_contract_address,
+      transactionHash: claim.vault_transaction_hash,
+      preMintedAt: claim.vault_minted_at,
+      daysInVault: Math.floor((Date.now() - new Date(claim.vault_minted_at).getTime()) / dayMs),
+      expiresAt: claim.expires_at
+    }));
+  }
+}
+
+module.exports = VaultService;
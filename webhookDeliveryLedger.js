@@ -0,0 +1,81 @@
+/**
+ * Webhook Delivery Ledger
+ * Processes each delivery exactly once, keyed by the source's delivery ID
+ * (X-Shopify-Webhook-Id, Stripe event ID, X-WC-Webhook-Delivery-ID).
+ * Repeated deliveries return the originally recorded result without running
+ * the handler again; failed deliveries may be retried, as may deliveries
+ * left processing by a request that died part-way through.
+ */
+class WebhookDeliveryLedger {
+  constructor({ db }) {
+    this.db = db;
+
+    // Longer than a delivery's handler can take
+    this.staleAfterMs = 5 * 60 * 1000;
+  }
+
+  /**
+   * @param {Object} delivery
+   * @param {string} delivery.webhookId - Unique delivery ID
+   * @param {string} delivery.topic - Event topic
+   * @param {string} [delivery.orderId] - Internal order key the delivery is about
+   * @param {boolean} [delivery.oncePerOrder] - Also skip if another delivery
+   *   already completed this topic for the same order
+   * @param {Function} handler - Runs the delivery, returns its result
+   * @returns {Object} Handler result
+   */
+  async run({ webhookId, topic, orderId, oncePerOrder = false }, handler) {
+    const { isNew, delivery } = await this.db.beginWebhookDelivery(webhookId, topic, orderId);
+
+    if (!isNew) {
+      if (delivery.status === 'completed') {
+        console.log('♻️ Duplicate webhook delivery, returning original result:', webhookId);
+        return { ...delivery.response, duplicate: true };
+      }
+
+      // A failed delivery may be retried, and so may one whose handler
+      // stopped updating it; one still in flight may not
+      const stale = delivery.status === 'processing' && this.isStale(delivery);
+      const retrying = (delivery.status === 'failed' || stale) &&
+        await this.db.retryWebhookDelivery(delivery, new Date(Date.now() - this.staleAfterMs).toISOString());
+
+      if (retrying && stale) {
+        console.warn(`⚠️ Taking over webhook delivery ${webhookId}, processing since ${delivery.updated_at}`);
+      }
+
+      if (!retrying) {
+        const error = new Error('Webhook delivery is already being processed');
+        error.statusCode = 409;
+        throw error;
+      }
+    }
+
+    try {
+      let result;
+
+      const previous = orderId && oncePerOrder
+        ? await this.db.findCompletedDeliveryForOrder(topic, orderId, webhookId)
+        : null;
+
+      if (previous) {
+        console.log(`♻️ ${topic} already processed for order ${orderId} by delivery ${previous.webhook_id}`);
+        result = { ...previous.response, duplicate: true };
+      } else {
+        result = await handler();
+      }
+
+      await this.db.completeWebhookDelivery(webhookId, result);
+      return result;
+    } catch (error) {
+      await this.db.failWebhookDelivery(webhookId, error.message).catch(() => {});
+      throw error;
+    }
+  }
+
+  isStale(delivery) {
+    const updatedAt = new Date(delivery.updated_at || delivery.received_at).getTime();
+    return Date.now() - updatedAt > this.staleAfterMs;
+  }
+}
+
+module.exports = WebhookDeliveryLedger;